@@ -2,256 +2,2718 @@
  * Main Application Controller
  */
 
+// Soundings fetched at once for the time-height section
+const CROSS_SECTION_CONCURRENCY = 3;
+
 class SoundingApp {
     constructor() {
         this.diagram = new SkewTDiagram('skewt');
+        this.hodograph = new HodographDiagram('hodograph');
         this.parser = new SoundingDataParser();
+        this.cache = new SoundingCache();
+        this.sources = new SoundingSources(this.parser);
+        this.stations = new StationCatalog();
+        this.exporter = new SoundingExporter();
+        this.parcelAnalyzer = new ParcelAnalyzer();
+        this.soaring = new SoaringForecast();
+        this.indices = new StabilityIndices();
+        this.windAnalysis = new WindAnalysis();
+        this.qc = new SoundingQC();
+        this.derived = new DerivedProfiles();
+        this.aviation = new AviationAnalysis();
+        this.inversionAnalysis = new InversionAnalysis();
+        this.comparison = new SoundingComparison();
+        this.editor = new ProfileEditor(this.parser);
+        this.crossSection = new CrossSectionDiagram('crossSection');
+        this.stationMap = new StationMap('stationMap');
+
+        // Display units shared by every renderer, panel and export
+        this.units = new UnitSystem();
+        this.diagram.setUnits(this.units);
+        this.hodograph.setUnits(this.units);
+        this.crossSection.setUnits(this.units);
+
+        // Layer visibility and styles shared by the main diagram and the comparison tiles
+        this.style = new DiagramStyle();
+        this.diagram.setStyle(this.style);
 
         // UI elements
         this.stationInput = document.getElementById('station');
+        this.stationList = document.getElementById('stationList');
+        this.stationHelp = document.getElementById('stationHelp');
         this.dateInput = document.getElementById('date');
         this.hourSelect = document.getElementById('hour');
         this.loadBtn = document.getElementById('loadBtn');
+        this.sourceSelect = document.getElementById('source');
+
+        this.mapBtn = document.getElementById('mapBtn');
+        this.mapPanel = document.getElementById('mapPanel');
+        this.mapInfo = document.getElementById('mapInfo');
+        this.mapNearestBtn = document.getElementById('mapNearestBtn');
+        this.mapForecastBtn = document.getElementById('mapForecastBtn');
+
+        this.unitsBtn = document.getElementById('unitsBtn');
+        this.unitsPanel = document.getElementById('unitsPanel');
+        this.unitSelects = {
+            temperature: document.getElementById('unitTemperature'),
+            wind: document.getElementById('unitWind'),
+            height: document.getElementById('unitHeight'),
+            pressure: document.getElementById('unitPressure')
+        };
+
+        this.layersBtn = document.getElementById('layersBtn');
+        this.layersPanel = document.getElementById('layersPanel');
+        this.themeSelect = document.getElementById('themeSelect');
+        this.styleBackgroundInput = document.getElementById('styleBackground');
+        this.styleTextInput = document.getElementById('styleText');
+        this.themeNameInput = document.getElementById('themeName');
+        this.themeSaveBtn = document.getElementById('themeSaveBtn');
+        this.themeDeleteBtn = document.getElementById('themeDeleteBtn');
+        this.layersTableBody = document.getElementById('layersTableBody');
+
+        this.sourcesBtn = document.getElementById('sourcesBtn');
+        this.sourcesPanel = document.getElementById('sourcesPanel');
+        this.sourcesList = document.getElementById('sourcesList');
+        this.proxyUrlInput = document.getElementById('proxyUrl');
+
+        this.copyLinkBtn = document.getElementById('copyLinkBtn');
+
+        this.historyBtn = document.getElementById('historyBtn');
+        this.historyPanel = document.getElementById('historyPanel');
+        this.historyTableBody = document.getElementById('historyTableBody');
+        this.storageInfo = document.getElementById('storageInfo');
+        this.purgeBtn = document.getElementById('purgeBtn');
+
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportBtn = document.getElementById('exportBtn');
+
+        this.importToggleBtn = document.getElementById('importToggleBtn');
+        this.importPanel = document.getElementById('importPanel');
+        this.dropZone = document.getElementById('dropZone');
+        this.importFileInput = document.getElementById('importFile');
+        this.importTextArea = document.getElementById('importText');
+        this.importFormatSelect = document.getElementById('importFormat');
+        this.importWindUnitsSelect = document.getElementById('importWindUnits');
+        this.importBtn = document.getElementById('importBtn');
+        this.importStatus = document.getElementById('importStatus');
+        this.importErrors = document.getElementById('importErrors');
+        this.importColumnInputs = {
+            pressure: document.getElementById('importColPressure'),
+            height: document.getElementById('importColHeight'),
+            temp: document.getElementById('importColTemp'),
+            dewpoint: document.getElementById('importColDewpoint'),
+            windDir: document.getElementById('importColWindDir'),
+            windSpeed: document.getElementById('importColWindSpeed')
+        };
+
+        this.minHeightInput = document.getElementById('minHeight');
+        this.maxHeightInput = document.getElementById('maxHeight');
+        this.minTempRangeInput = document.getElementById('minTempRange');
+        this.maxTempRangeInput = document.getElementById('maxTempRange');
+        this.zoomBtn = document.getElementById('zoomBtn');
+        this.verticalModeSelect = document.getElementById('verticalMode');
+        this.resetZoomBtn = document.getElementById('resetZoomBtn');
+        this.zoomBackBtn = document.getElementById('zoomBackBtn');
+
+        this.infoPanel = document.getElementById('infoPanel');
+        this.stationInfo = document.getElementById('stationInfo');
+        this.locationInfo = document.getElementById('locationInfo');
+        this.timeInfo = document.getElementById('timeInfo');
+        this.elevationInfo = document.getElementById('elevationInfo');
+        this.sourceInfo = document.getElementById('sourceInfo');
+
+        this.qcPanel = document.getElementById('qcPanel');
+        this.qcModeSelect = document.getElementById('qcMode');
+        this.qcSummary = document.getElementById('qcSummary');
+        this.qcTableBody = document.getElementById('qcTableBody');
+
+        this.indicesPanel = document.getElementById('indicesPanel');
+        this.indicesGrid = document.getElementById('indicesGrid');
+
+        this.parcelSelect = document.getElementById('parcelSelect');
+        this.parcelPanel = document.getElementById('parcelPanel');
+        this.parcelTableBody = document.getElementById('parcelTableBody');
+
+        this.rightMoverInfo = document.getElementById('rightMoverInfo');
+        this.leftMoverInfo = document.getElementById('leftMoverInfo');
+        this.shear01Info = document.getElementById('shear01Info');
+        this.shear06Info = document.getElementById('shear06Info');
+        this.srh01Info = document.getElementById('srh01Info');
+        this.srh03Info = document.getElementById('srh03Info');
+
+        this.inversionPanel = document.getElementById('inversionPanel');
+        this.mixingHeightInfo = document.getElementById('mixingHeightInfo');
+        this.mixingDepthInfo = document.getElementById('mixingDepthInfo');
+        this.inversionTableBody = document.getElementById('inversionTableBody');
+
+        this.aviationPanel = document.getElementById('aviationPanel');
+        this.aviationSummary = document.getElementById('aviationSummary');
+        this.aviationTableBody = document.getElementById('aviationTableBody');
+
+        this.maxTempInput = document.getElementById('maxTemp');
+        this.soaringBtn = document.getElementById('soaringBtn');
+        this.soaringPanel = document.getElementById('soaringPanel');
+        this.topOfLiftInfo = document.getElementById('topOfLiftInfo');
+        this.thermalTopInfo = document.getElementById('thermalTopInfo');
+        this.cloudbaseInfo = document.getElementById('cloudbaseInfo');
+        this.wStarInfo = document.getElementById('wStarInfo');
+        this.overdevelopmentInfo = document.getElementById('overdevelopmentInfo');
+        this.climbTableBody = document.getElementById('climbTableBody');
+
+        this.editBtn = document.getElementById('editBtn');
+        this.editPanel = document.getElementById('editPanel');
+        this.editModeSelect = document.getElementById('editMode');
+        this.editResetBtn = document.getElementById('editResetBtn');
+        this.scenarioNameInput = document.getElementById('scenarioName');
+        this.scenarioSaveBtn = document.getElementById('scenarioSaveBtn');
+        this.editSummary = document.getElementById('editSummary');
+        this.scenarioTableBody = document.getElementById('scenarioTableBody');
+
+        this.compareModeSelect = document.getElementById('compareMode');
+        this.compareBtn = document.getElementById('compareBtn');
+        this.comparisonPanel = document.getElementById('comparisonPanel');
+        this.comparisonList = document.getElementById('comparisonList');
+        this.comparisonGrid = document.getElementById('comparisonGrid');
+
+        this.forecastLatInput = document.getElementById('forecastLat');
+        this.forecastLonInput = document.getElementById('forecastLon');
+        this.forecastBtn = document.getElementById('forecastBtn');
+        this.forecastBar = document.getElementById('forecastBar');
+        this.forecastSlider = document.getElementById('forecastHour');
+        this.forecastHourLabel = document.getElementById('forecastHourLabel');
+
+        this.crossCountInput = document.getElementById('crossCount');
+        this.crossSectionBtn = document.getElementById('crossSectionBtn');
+        this.crossSectionContainer = document.getElementById('crossSectionContainer');
+
+        this.loading = document.getElementById('loading');
+        this.errorDiv = document.getElementById('error');
+
+        // Cursor info elements
+        this.cursorInfo = document.getElementById('cursorInfo');
+        this.cursorHeight = document.getElementById('cursorHeight');
+        this.cursorTemp = document.getElementById('cursorTemp');
+        this.cursorDewpoint = document.getElementById('cursorDewpoint');
+        this.cursorWind = document.getElementById('cursorWind');
+        this.cursorWindDir = document.getElementById('cursorWindDir');
+        this.cursorPressure = document.getElementById('cursorPressure');
+        this.cursorDerived = document.getElementById('cursorDerived');
+        this.cursorCompare = document.getElementById('cursorCompare');
+
+        // Store current sounding data for redrawing
+        this.currentSoundingData = null;
+
+        // Lifted parcels for the current sounding
+        this.parcels = [];
+
+        // Cloud, icing and turbulence layers of the current sounding
+        this.aviationHazards = [];
+
+        // Inversions, isothermal layers and mixing height of the current sounding
+        this.inversions = null;
+
+        // Wind analysis shown on the hodograph
+        this.windResult = null;
+
+        // Label of the current sounding, used when adding it to the comparison and naming exports
+        this.currentLabel = null;
+
+        // Station, date and hour of the current sounding (date and hour null when imported)
+        this.currentSource = null;
+
+        // Small-multiples diagrams, one per compared sounding: [{ entry, diagram }]
+        this.comparisonTiles = [];
+
+        // Point clicked on the station map and its nearest station: { lat, lon, station, distance }
+        this.mapPoint = null;
+
+        // Map drag in progress: { x, y, moved }
+        this.mapDrag = null;
+
+        // Profile edit in progress: { type: 'temp', 'dewpoint' or 'layer', stroke }
+        this.editDrag = null;
+
+        // Earlier diagram zooms, newest last, and the pan or box zoom in progress: { x, y, box, moved }
+        this.zoomHistory = [];
+        this.zoomHistoryLimit = 50;
+        this.zoomDrag = null;
+
+        // Time of the last wheel step; a pause starts a new zoom history entry
+        this.lastWheel = 0;
+
+        // Touch gesture on the diagram: { mode: 'pending', 'hold' or 'pinch', ... }; holding still
+        // for holdDelay ms shows the readout
+        this.touch = null;
+        this.holdDelay = 500;
+
+        // Soundings shown in the time-height cross-section, oldest first
+        this.crossSectionColumns = [];
+        this.crossSectionStation = null;
+
+        // Shared links: set while a link's view is being restored, and the pending address bar update
+        this.applyingLink = false;
+        this.linkTimer = null;
+
+        this.setupEventListeners();
+        this.initializeUnits();
+        this.updateLayersPanel();
+        this.fitDiagrams();
+        this.initializeStations();
+        this.initializeSources();
+        this.initializeDate();
+        this.loadInitialData();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.loadBtn.addEventListener('click', () => this.loadSounding());
+
+        // Allow Enter key to load
+        this.stationInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.loadSounding();
+        });
+
+        // Station search: resolve typed WMO, ICAO or name to a catalog station
+        this.stationInput.addEventListener('change', () => this.resolveStationInput());
+
+        // Station map: click a station or any point, drag to pan, wheel to zoom
+        this.mapBtn.addEventListener('click', () => this.toggleMapPanel());
+        this.stationMap.canvas.addEventListener('mousedown', (e) => {
+            this.mapDrag = { ...this.mapCoordinates(e), moved: false };
+        });
+        window.addEventListener('mousemove', (e) => this.handleMapDrag(e));
+        window.addEventListener('mouseup', (e) => {
+            if (this.mapDrag && !this.mapDrag.moved) this.handleMapClick(e);
+            this.mapDrag = null;
+        });
+        this.stationMap.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const { x, y } = this.mapCoordinates(e);
+            this.stationMap.zoomAt(x, y, e.deltaY < 0 ? 1 : -1);
+            this.stationMap.draw();
+        });
+        this.mapNearestBtn.addEventListener('click', () => {
+            if (!this.mapPoint) return;
+            this.selectStation(this.mapPoint.station);
+            this.loadSounding();
+        });
+        this.mapForecastBtn.addEventListener('click', () => this.loadForecast());
+
+        // Display units
+        this.unitsBtn.addEventListener('click', () => this.unitsPanel.classList.toggle('active'));
+        Object.entries(this.unitSelects).forEach(([quantity, select]) => {
+            select.addEventListener('change', () => this.setUnit(quantity, select.value));
+        });
+
+        // Quality control: plot flagged levels with markers or leave them out
+        this.qcModeSelect.addEventListener('change', () => {
+            if (!this.currentSoundingData) return;
+            const { station, date, hour } = this.currentSource;
+            this.displaySounding(this.currentSoundingData, station, date, hour, true);
+        });
+
+        // Data sources and their fallback order
+        this.sourcesBtn.addEventListener('click', () => this.toggleSourcesPanel());
+        this.proxyUrlInput.addEventListener('change', () => {
+            this.sources.setProxyTemplate(this.proxyUrlInput.value);
+            this.updateSourcesPanel();
+        });
+
+        // Layer visibility, themes and styles
+        this.layersBtn.addEventListener('click', () => this.layersPanel.classList.toggle('active'));
+        this.themeSelect.addEventListener('change', () => {
+            if (!this.themeSelect.value) return;
+            this.style.applyTheme(this.themeSelect.value);
+            this.updateLayersPanel();
+            this.redrawStyle();
+        });
+        [{ input: this.styleBackgroundInput, key: 'background' }, { input: this.styleTextInput, key: 'text' }].forEach(({ input, key }) => {
+            input.addEventListener('input', () => this.setStyleValue(null, key, input.value));
+        });
+        this.themeSaveBtn.addEventListener('click', () => this.saveTheme());
+        this.themeNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveTheme();
+        });
+        this.themeDeleteBtn.addEventListener('click', () => this.deleteTheme());
+
+        // Shareable link in the address bar; back and forward move between soundings
+        this.copyLinkBtn.addEventListener('click', () => this.copyLink());
+        window.addEventListener('popstate', () => this.applyLink(ViewLink.decode(window.location.search)));
+        this.sourceSelect.addEventListener('change', () => this.updateLink());
+
+        // Cached sounding history
+        this.historyBtn.addEventListener('click', () => this.toggleHistoryPanel());
+        this.purgeBtn.addEventListener('click', () => this.purgeHistory());
+
+        // Import from file, drag-and-drop or pasted text
+        this.importToggleBtn.addEventListener('click', () => this.importPanel.classList.toggle('active'));
+        this.importBtn.addEventListener('click', () => this.importText(this.importTextArea.value, 'Pasted sounding'));
+        this.importFileInput.addEventListener('change', () => {
+            if (this.importFileInput.files.length > 0) this.importFile(this.importFileInput.files[0]);
+        });
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            this.dropZone.classList.add('dragover');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (e.relatedTarget === null) this.dropZone.classList.remove('dragover');
+        });
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.dropZone.classList.remove('dragover');
+            this.importFile(e.dataTransfer.files[0]);
+        });
+
+        // Model forecast soundings; the slider steps through the run's forecast hours
+        this.forecastBtn.addEventListener('click', () => this.loadForecast());
+        this.forecastSlider.addEventListener('input', () => this.showForecastStep(parseInt(this.forecastSlider.value, 10)));
+
+        // Export
+        this.exportBtn.addEventListener('click', () => this.exportSounding());
+
+        // Zoom controls
+        this.zoomBtn.addEventListener('click', () => this.applyZoom());
+        this.resetZoomBtn.addEventListener('click', () => this.resetZoom());
+
+        this.zoomBackBtn.addEventListener('click', () => this.zoomBack());
+
+        // Allow Enter key in height and temperature inputs
+        [this.minHeightInput, this.maxHeightInput, this.minTempRangeInput, this.maxTempRangeInput].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.applyZoom();
+            });
+        });
+
+        // Diagram: wheel zooms at the cursor, drag pans, Shift-drag zooms to a box, double-click resets
+        this.diagram.canvas.addEventListener('wheel', (e) => this.handleDiagramWheel(e));
+        window.addEventListener('mousemove', (e) => this.handleZoomDragMove(e));
+        window.addEventListener('mouseup', () => this.handleZoomDragEnd());
+        this.diagram.canvas.addEventListener('dblclick', () => this.resetZoom());
+
+        // Vertical coordinate mode
+        this.verticalModeSelect.addEventListener('change', () => {
+            this.diagram.setVerticalMode(this.verticalModeSelect.value);
+            if (this.currentSoundingData) this.diagram.draw(this.currentSoundingData);
+            this.drawComparisonTiles();
+            this.updateLink();
+        });
+
+        // Parcel selection
+        this.parcelSelect.addEventListener('change', () => {
+            this.applyParcelSelection();
+            if (this.currentSoundingData) this.diagram.draw(this.currentSoundingData);
+            this.updateLink();
+        });
+
+        // Soaring forecast
+        this.soaringBtn.addEventListener('click', () => this.applySoaringForecast());
+        this.maxTempInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.applySoaringForecast();
+        });
+
+        // What-if editing on the diagram and saved scenarios
+        this.editBtn.addEventListener('click', () => this.toggleEditing());
+        this.editResetBtn.addEventListener('click', () => this.resetEdits());
+        this.scenarioSaveBtn.addEventListener('click', () => this.saveScenario());
+        this.scenarioNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveScenario();
+        });
+        // Editing takes precedence over panning and box zoom
+        this.diagram.canvas.addEventListener('mousedown', (e) => {
+            this.handleEditStart(e);
+            if (!this.editDrag) this.handleZoomDragStart(e);
+        });
+        window.addEventListener('mousemove', (e) => this.handleEditMove(e));
+        window.addEventListener('mouseup', () => this.handleEditEnd());
+
+        // Sounding comparison
+        this.compareBtn.addEventListener('click', () => this.addToComparison());
+        this.compareModeSelect.addEventListener('change', () => this.updateComparison());
+
+        // Time-height cross-section; clicking a column loads that sounding
+        this.crossSectionBtn.addEventListener('click', () => this.loadCrossSection());
+        this.crossSection.canvas.addEventListener('click', (e) => this.handleCrossSectionClick(e));
+
+        // Canvas mouse tracking
+        this.diagram.canvas.addEventListener('mousemove', (e) => this.handleCanvasHover(e));
+        this.diagram.canvas.addEventListener('mouseleave', () => this.clearCanvasHover());
+
+        // Touch: pinch to zoom and pan, tap and hold for the readout
+        this.diagram.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        this.diagram.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.diagram.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.diagram.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e));
+        this.diagram.canvas.addEventListener('contextmenu', (e) => {
+            if (this.touch) e.preventDefault();
+        });
+
+        // Diagrams follow their container's width and the screen's pixel density
+        window.addEventListener('resize', () => this.fitDiagrams());
+        if (window.ResizeObserver) {
+            const observer = new ResizeObserver(() => this.fitDiagrams());
+            observer.observe(this.diagram.canvas.parentElement);
+            observer.observe(this.comparisonGrid);
+        }
+
+        // Hodograph hover, linked to the Skew-T and the cursor tooltip
+        this.hodograph.canvas.addEventListener('mousemove', (e) => this.handleHodographHover(e));
+        this.hodograph.canvas.addEventListener('mouseleave', () => this.clearHodographHover());
+    }
+
+    /**
+     * Initialize date input to today
+     */
+    initializeDate() {
+        const today = new Date();
+
+        const year = today.getFullYear();
+        const month = String(today.getMonth() + 1).padStart(2, '0');
+        const day = String(today.getDate()).padStart(2, '0');
+        this.dateInput.value = `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Load initial data from URL or default
+     */
+    async loadInitialData() {
+        // The link's view, with the default station, date and hour for anything it leaves out
+        const state = ViewLink.decode(window.location.search);
+        if (!state.forecast) {
+            state.station = state.station || this.stationInput.value;
+            state.date = state.date || this.dateInput.value;
+            state.hour = state.hour || this.hourSelect.value;
+        }
+
+        await this.applyLink(state);
+        this.updateLink();
+    }
+
+    /**
+     * Restore a shared link's view: settings first, then its sounding, comparison set and zoom
+     * @param {object} state - Result of ViewLink.decode()
+     */
+    async applyLink(state) {
+        const choose = (select, value) => {
+            if (Array.from(select.options).some(option => option.value === value)) select.value = value;
+        };
+
+        this.applyingLink = true;
+        try {
+            if (state.units) {
+                // The link's units and layers apply to this session; the user's saved settings are kept
+                this.units.override(state.units);
+                Object.entries(this.unitSelects).forEach(([quantity, select]) => {
+                    select.value = this.units.settings[quantity];
+                });
+                this.updateUnitLabels();
+
+                // Links written here always carry the units; without hide and show lists the layers have
+                // their default visibility
+                this.style.setVisibilityChanges(state.hidden, state.shown);
+                this.updateLayersPanel();
+            }
+
+            choose(this.sourceSelect, state.source === 'file' ? 'auto' : state.source || 'auto');
+            choose(this.verticalModeSelect, state.vertical || 'height');
+            this.diagram.setVerticalMode(this.verticalModeSelect.value);
+            choose(this.parcelSelect, state.parcel || 'sb');
+            choose(this.qcModeSelect, state.qc || 'mark');
+            choose(this.compareModeSelect, state.compareMode || 'overlay');
+
+            // The link holds the soaring max temperature in °C
+            this.maxTempInput.value = state.maxTemp !== undefined
+                ? +this.units.convert('temperature', state.maxTemp).toFixed(1)
+                : '';
+
+            if (state.forecast) {
+                this.forecastLatInput.value = state.forecast.lat;
+                this.forecastLonInput.value = state.forecast.lon;
+                await this.loadForecast();
+                if (state.forecast.step > 0) this.showForecastStep(state.forecast.step);
+            } else if (state.station && state.date && state.hour) {
+                this.stationInput.value = state.station;
+                this.dateInput.value = state.date;
+                choose(this.hourSelect, state.hour);
+                await this.loadSounding();
+            }
+
+            await this.restoreComparison(state.compare || []);
+
+            if (state.zoom && this.currentSoundingData) {
+                this.diagram.setZoom(state.zoom);
+                this.redrawZoom();
+            }
+        } finally {
+            this.applyingLink = false;
+        }
+    }
+
+    /**
+     * Replace the comparison set with observed soundings from the cache or their sources
+     * @param {Array} soundings - [{ station, date, hour }]
+     */
+    async restoreComparison(soundings) {
+        const current = this.currentSource;
+        const results = await Promise.all(soundings.map(async ({ station, date, hour }) => {
+            // The displayed sounding is reused so it is not overlaid on itself
+            if (current && current.station === station && current.date === date && current.hour === hour) {
+                return this.currentSoundingData;
+            }
+
+            try {
+                return await this.fetchSounding(station, date, hour);
+            } catch (error) {
+                console.warn(`Could not load compared sounding ${SoundingCache.key(station, date, hour)}:`, error);
+                return null;
+            }
+        }));
+
+        this.comparison.clear();
+        soundings.forEach((source, i) => {
+            const result = results[i];
+            if (!result || !result.valid || result.data.length === 0) return;
+            this.comparison.add(result, this.soundingLabel(result.metadata, source.station, source.date, source.hour), source);
+        });
+
+        this.updateComparison();
+    }
+
+    /**
+     * The current view as a ViewLink state; imported soundings and scenarios have no sounding in the link
+     */
+    linkState() {
+        const result = this.currentSoundingData;
+        const state = {
+            source: this.sourceSelect.value,
+            vertical: this.verticalModeSelect.value,
+            parcel: this.parcelSelect.value,
+            qc: this.qcModeSelect.value,
+            units: this.units.settings,
+            ...this.style.visibilityChanges(),
+            compareMode: this.compareModeSelect.value,
+            compare: this.comparison.entries.filter(entry => entry.source).map(entry => entry.source)
+        };
+
+        if (result && result.forecast && result.forecast.location) {
+            const step = result.forecast.steps.findIndex(item => item.metadata === result.metadata);
+            state.forecast = { ...result.forecast.location, step: Math.max(0, step) };
+        } else if (result && this.currentSource.date && !result.metadata.scenario) {
+            Object.assign(state, this.currentSource);
+        }
+
+        if (result) state.zoom = this.diagram.getZoom();
+
+        const maxTemp = this.units.toBase('temperature', parseFloat(this.maxTempInput.value));
+        if (!isNaN(maxTemp)) state.maxTemp = maxTemp;
+
+        return state;
+    }
+
+    /**
+     * Sounding part of the link, to tell when a different sounding is shown
+     */
+    linkSounding() {
+        const { station, date, hour, forecast } = this.linkState();
+        return forecast ? `${forecast.lat},${forecast.lon}` : date ? SoundingCache.key(station, date, hour) : null;
+    }
+
+    /**
+     * Write the view into the address bar: a new history entry for a different sounding, otherwise
+     * replace the current one
+     */
+    updateLink(push = false) {
+        if (this.applyingLink) return;
+
+        clearTimeout(this.linkTimer);
+        if (push) {
+            this.writeLink('pushState');
+            return;
+        }
+
+        // Zoom gestures change the view many times a second; browsers limit address bar updates
+        this.linkTimer = setTimeout(() => this.writeLink('replaceState'), 300);
+    }
+
+    /**
+     * Update the address with history.pushState or history.replaceState when the view changed
+     */
+    writeLink(method) {
+        const query = ViewLink.encode(this.linkState());
+        const { pathname, search, hash } = window.location;
+        if (`?${query}` === search || (!query && !search)) return;
+
+        try {
+            history[method](null, '', `${pathname}${query ? '?' + query : ''}${hash}`);
+        } catch (error) {
+            console.warn('Could not update the address bar:', error);
+        }
+    }
+
+    /**
+     * Copy the link to the current view to the clipboard
+     */
+    async copyLink() {
+        clearTimeout(this.linkTimer);
+        this.writeLink('replaceState');
+        const url = window.location.href;
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // No clipboard access (e.g. a page opened from a file): let the user copy it
+            console.warn('Clipboard unavailable:', error);
+            window.prompt('Copy this link:', url);
+            return;
+        }
+
+        this.copyLinkBtn.textContent = 'Link Copied';
+        setTimeout(() => {
+            this.copyLinkBtn.textContent = 'Copy Link';
+        }, 2000);
+    }
+
+    /**
+     * Fill the station search list from the catalog and put the stations on the map
+     */
+    initializeStations() {
+        this.stations.stations.forEach(station => {
+            const option = document.createElement('option');
+            option.value = station.wmo;
+            option.label = StationCatalog.label(station);
+            option.textContent = StationCatalog.label(station);
+            this.stationList.appendChild(option);
+        });
+
+        this.stationMap.setStations(this.stations.stations);
+        this.resolveStationInput();
+    }
+
+    /**
+     * Catalog station for the station input: a WMO number, ICAO identifier or a name matching one station.
+     * Normalizes the input to the WMO number; shows the problem and returns null for unknown or ambiguous input.
+     */
+    resolveStationInput() {
+        const value = this.stationInput.value.trim();
+        let station = this.stations.find(value);
+
+        if (!station && value) {
+            const matches = this.stations.search(value);
+            if (matches.length === 1) station = matches[0];
+        }
+
+        if (!station) {
+            this.stationHelp.textContent = value
+                ? `Unknown station "${value}": choose one from the list or the map`
+                : 'Search by WMO number, ICAO identifier or name';
+            this.stationHelp.classList.add('invalid');
+            this.stationMap.setSelected(null);
+            return null;
+        }
+
+        this.selectStation(station);
+        return station;
+    }
+
+    /**
+     * Make a catalog station the selected station
+     */
+    selectStation(station) {
+        this.stationInput.value = station.wmo;
+        this.stationHelp.textContent = `${StationCatalog.label(station)}, ${station.lat.toFixed(2)}°, ` +
+            `${station.lon.toFixed(2)}°, ${this.units.format('height', station.elevation)}`;
+        this.stationHelp.classList.remove('invalid');
+
+        this.stationMap.setSelected(station);
+        if (this.mapPanel.classList.contains('active')) this.stationMap.draw();
+    }
+
+    /**
+     * Show or hide the station map, centred on the selected station
+     */
+    toggleMapPanel() {
+        const active = this.mapPanel.classList.toggle('active');
+        if (!active) return;
+
+        const station = this.stations.find(this.stationInput.value);
+        if (station) this.stationMap.centerOn(station.lat, station.lon, Math.max(this.stationMap.zoom, 4));
+        this.stationMap.draw();
+    }
+
+    /**
+     * Canvas coordinates of a mouse event on the map
+     */
+    mapCoordinates(event) {
+        const canvas = this.stationMap.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Pan the map while dragging; small movements still count as a click
+     */
+    handleMapDrag(event) {
+        if (!this.mapDrag) return;
+
+        const { x, y } = this.mapCoordinates(event);
+        const dx = x - this.mapDrag.x;
+        const dy = y - this.mapDrag.y;
+        if (!this.mapDrag.moved && Math.hypot(dx, dy) < 4) return;
+
+        this.mapDrag = { x, y, moved: true };
+        this.stationMap.pan(dx, dy);
+        this.stationMap.draw();
+    }
+
+    /**
+     * Select a clicked station, or mark a clicked point with its nearest station and set it as the forecast location
+     */
+    handleMapClick(event) {
+        const { x, y } = this.mapCoordinates(event);
+        const station = this.stationMap.stationAt(x, y);
+
+        if (station) {
+            this.mapPoint = null;
+            this.stationMap.setPoint(null);
+            this.selectStation(station);
+            this.mapInfo.textContent = `Selected ${StationCatalog.label(station)}`;
+        } else {
+            const { lat, lon } = this.stationMap.toLatLon(x, y);
+            const [nearest] = this.stations.nearest(lat, lon);
+            this.mapPoint = { lat, lon, ...nearest };
+
+            this.stationMap.setPoint({ lat, lon }, nearest.station);
+            this.forecastLatInput.value = lat.toFixed(2);
+            this.forecastLonInput.value = lon.toFixed(2);
+            this.mapInfo.textContent = `Point ${lat.toFixed(2)}°, ${lon.toFixed(2)}°: nearest station ` +
+                `${StationCatalog.label(nearest.station)}, ${Math.round(nearest.distance)} km away`;
+        }
+
+        this.mapNearestBtn.disabled = !this.mapPoint;
+        this.mapForecastBtn.disabled = !this.mapPoint;
+        this.stationMap.draw();
+    }
+
+    /**
+     * Fill the source selector with the providers and show the saved proxy URL
+     */
+    initializeSources() {
+        this.sources.providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            this.sourceSelect.appendChild(option);
+        });
+
+        this.proxyUrlInput.value = this.sources.proxyTemplate;
+    }
+
+    /**
+     * Get a parsed sounding from the offline cache, or fetch, parse and cache it.
+     * Choosing a specific source bypasses the cache; 'Local file' falls back to the automatic order.
+     */
+    async fetchSounding(station, date, hour) {
+        const sourceId = this.sourceSelect.value === 'file' ? 'auto' : this.sourceSelect.value;
+
+        if (sourceId === 'auto') {
+            try {
+                const record = await this.cache.get(station, date, hour);
+                if (record) {
+                    console.log('Loaded from cache:', SoundingCache.key(station, date, hour));
+                    return record.result;
+                }
+            } catch (error) {
+                console.warn('Cache read failed:', error);
+            }
+        }
+
+        // Fetch and parse from the chosen source, or the first that has the sounding
+        const { result, source } = await this.sources.load(station, date, hour, sourceId);
+        result.metadata.source = source.name;
+
+        if (result.valid && result.data.length > 0) {
+            try {
+                await this.cache.put(station, date, hour, this.soundingLabel(result.metadata, station, date, hour), result);
+                if (this.historyPanel.classList.contains('active')) this.updateHistoryPanel();
+            } catch (error) {
+                console.warn('Cache write failed:', error);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Display label for a sounding, e.g. "Vernon 2025-06-15 12Z"
+     */
+    soundingLabel(metadata, station, date, hour) {
+        if (!date) {
+            return metadata.observationTime
+                ? `${metadata.stationName || station} ${metadata.observationTime}`
+                : metadata.stationName || station;
+        }
+        return `${metadata.stationName || station} ${date} ${hour}Z`;
+    }
+
+    /**
+     * Load and display sounding
+     */
+    async loadSounding() {
+        const date = this.dateInput.value;
+        const hour = this.hourSelect.value;
+
+        // The local file source imports instead of fetching
+        if (this.sourceSelect.value === 'file') {
+            this.importPanel.classList.add('active');
+            this.importFileInput.click();
+            return;
+        }
+
+        if (!this.stationInput.value.trim() || !date) {
+            this.showError('Please enter a station ID and date');
+            return;
+        }
+
+        // Only catalog stations can be loaded
+        const entry = this.resolveStationInput();
+        if (!entry) {
+            this.showError(this.stationHelp.textContent);
+            return;
+        }
+        const station = entry.wmo;
+
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            // Cached copy or fresh fetch
+            const result = await this.fetchSounding(station, date, hour);
+
+            if (!result.valid || result.data.length === 0) {
+                throw new Error('No valid sounding data found. Check station ID and date.');
+            }
+
+            console.log('Parsed data:', result);
+
+            this.displaySounding(result, station, date, hour);
+
+            this.showLoading(false);
+
+        } catch (error) {
+            console.error('Error loading sounding:', error);
+            let errorMessage = error.message || 'Failed to load sounding data.';
+
+            // Add helpful suggestions
+            if (errorMessage.includes('timeout') || errorMessage.includes('unavailable') || errorMessage.includes('408')) {
+                errorMessage += ' Suggestions: Try using yesterday\'s date, a different time (12 UTC), or verify the station has data for this period.';
+            }
+
+            this.showError(errorMessage);
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Show a parsed sounding: panels, analyses and diagrams
+     * @param {string|null} date - UTC date and hour, null for imported soundings
+     * @param {boolean} keepZoom - Keep the current height range instead of fitting the new data
+     */
+    displaySounding(result, station, date, hour, keepZoom = false) {
+        // A new sounding ends editing of the previous one
+        if (this.editor.isActive()) this.stopEditing();
+
+        const previousLink = this.currentSoundingData ? this.linkSounding() : undefined;
+
+        // Check the levels, leaving out flagged ones if chosen
+        result = this.applyQC(result);
+        this.updateQCPanel(result);
+
+        // Store sounding data
+        this.currentSoundingData = result;
+        this.currentLabel = this.soundingLabel(result.metadata, station, date, hour);
+        this.currentSource = { station, date, hour };
+
+        // Update info panel
+        this.updateInfoPanel(result.metadata, station, date, hour);
+
+        // Compute stability indices
+        this.updateIndicesPanel(result);
+
+        // Hodograph and shear parameters
+        this.updateWindAnalysis(result);
+
+        // Wet-bulb, virtual temperature and other derived profiles for their optional traces
+        this.diagram.setDerivedProfiles(this.derived.compute(result.data));
+
+        // Inversions and the mixing height
+        this.updateInversionAnalysis(result);
+
+        // Cloud, icing and turbulence layers
+        this.updateAviationAnalysis(result);
+
+        // Lift parcels and update the parcel panel
+        this.updateParcelAnalysis(result);
+
+        // Recompute the soaring forecast for the new sounding
+        this.updateSoaringForecast();
+
+        // Reset zoom to data range
+        if (!keepZoom) this.resetZoomToDataRange(result);
+
+        // Forecast hour slider for model runs
+        this.updateForecastBar(result);
+
+        // Overlay the compared soundings on the new sounding
+        this.applyComparisonOverlays();
+
+        // Draw diagram
+        this.diagram.draw(result);
+        this.drawComparisonTiles();
+        this.drawCrossSection();
+
+        // A different sounding gets its own browser history entry
+        this.updateLink(previousLink !== undefined && this.linkSounding() !== previousLink);
+    }
+
+    /**
+     * Read a dropped or chosen file and import it
+     */
+    async importFile(file) {
+        try {
+            const text = await file.text();
+            this.importText(text, file.name);
+        } catch (error) {
+            this.showError(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse imported text with the selected format and column mapping, report line errors and display it
+     * @param {string} name - File name or description, used when the data names no station
+     */
+    importText(text, name) {
+        this.importPanel.classList.add('active');
+        this.importErrors.innerHTML = '';
+
+        if (!text || text.trim() === '') {
+            this.importStatus.textContent = 'Nothing to import: choose a file or paste sounding text.';
+            return;
+        }
+
+        const columns = {};
+        Object.entries(this.importColumnInputs).forEach(([field, input]) => {
+            columns[field] = input.value;
+        });
+
+        const result = this.parser.parse(text, {
+            format: this.importFormatSelect.value,
+            columns,
+            windUnits: this.importWindUnitsSelect.value
+        });
+
+        // Per-line problems, capped so a wrong format does not flood the panel
+        const maxErrors = 50;
+        result.errors.slice(0, maxErrors).forEach(({ line, text: lineText, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `Line ${line}: ${message} — ${lineText.trim()}`;
+            this.importErrors.appendChild(item);
+        });
+        if (result.errors.length > maxErrors) {
+            const item = document.createElement('li');
+            item.textContent = `…and ${result.errors.length - maxErrors} more`;
+            this.importErrors.appendChild(item);
+        }
+
+        if (!result.valid) {
+            this.importStatus.textContent = `Import failed: ${result.error || 'no valid data rows found.'}`;
+            return;
+        }
+
+        const formatName = this.parser.formats[result.format];
+        (result.forecast ? result.forecast.steps : [result]).forEach(item => {
+            item.metadata.source = `${name} (${formatName})`;
+        });
+        const imported = result.forecast ? `${result.forecast.steps.length} forecast hours` : `${result.data.length} levels`;
+        this.importStatus.textContent = `Imported ${imported} from ${name} as ${formatName}` +
+            (result.errors.length > 0 ? `, skipped ${result.errors.length} line${result.errors.length === 1 ? '' : 's'}:` : '.');
+
+        this.hideError();
+        this.displaySounding(result, result.metadata.station || name, null, null);
+    }
+
+    /**
+     * Fetch a model forecast sounding for the entered latitude and longitude
+     */
+    async loadForecast() {
+        const latitude = parseFloat(this.forecastLatInput.value);
+        const longitude = parseFloat(this.forecastLonInput.value);
+
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            this.showError('Please enter a latitude (-90 to 90) and longitude (-180 to 180) for the forecast');
+            return;
+        }
+
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const result = await this.sources.loadForecast(latitude, longitude);
+            result.forecast.steps.forEach(step => {
+                step.metadata.source = `Open-Meteo forecast (run ${result.forecast.runTime})`;
+            });
+            result.forecast.location = { lat: latitude, lon: longitude };
+
+            this.displaySounding(result, result.metadata.station, null, null);
+        } catch (error) {
+            console.error('Error loading forecast:', error);
+            this.showError(error.message || 'Failed to load forecast sounding.');
+        }
+
+        this.showLoading(false);
+    }
+
+    /**
+     * Show the forecast hour slider for a model run, positioned at the displayed hour, or hide it
+     */
+    updateForecastBar(result) {
+        if (!result.forecast) {
+            this.forecastBar.classList.remove('active');
+            return;
+        }
+
+        const { runTime, steps } = result.forecast;
+        const index = Math.max(0, steps.findIndex(step => step.metadata === result.metadata));
+        const step = steps[index];
+
+        this.forecastSlider.max = steps.length - 1;
+        this.forecastSlider.value = index;
+        this.forecastHourLabel.textContent = `+${step.forecastHour} h, valid ${step.validTime}` +
+            (runTime ? ` (run ${runTime}, ${index + 1} of ${steps.length})` : ` (${index + 1} of ${steps.length})`);
+        this.forecastBar.classList.add('active');
+    }
+
+    /**
+     * Display one forecast hour of the current model run, keeping the zoom
+     */
+    showForecastStep(index) {
+        const forecast = this.currentSoundingData && this.currentSoundingData.forecast;
+        if (!forecast || !forecast.steps[index]) return;
+
+        const step = forecast.steps[index];
+        const result = {
+            metadata: step.metadata,
+            data: step.data,
+            valid: true,
+            format: this.currentSoundingData.format,
+            errors: [],
+            forecast
+        };
+
+        this.displaySounding(result, step.metadata.station, null, null, true);
+    }
+
+    /**
+     * Export the diagram or the sounding data in the selected format
+     */
+    async exportSounding() {
+        if (!this.currentSoundingData) {
+            this.showError('Please load sounding data first');
+            return;
+        }
+
+        const result = this.currentSoundingData;
+        const label = this.currentLabel;
+        const { station, date, hour } = this.currentSource;
+
+        try {
+            switch (this.exportFormatSelect.value) {
+                case 'png':
+                    this.exporter.download(await this.exporter.toPNG(this.diagram, result),
+                        this.exporter.filename(label, 'png'));
+                    break;
+                case 'svg':
+                    this.exporter.download(this.exporter.toSVG(this.diagram, result),
+                        this.exporter.filename(label, 'svg'), 'image/svg+xml');
+                    break;
+                case 'pdf':
+                    this.exporter.download(this.exporter.toPDF(this.diagram, result, `Sounding Briefing: ${label}`, this.briefingSections()),
+                        this.exporter.filename(label, 'pdf'));
+                    break;
+                case 'csv':
+                    this.exporter.download(this.exporter.toCSV(result, this.units),
+                        this.exporter.filename(label, 'csv'), 'text/csv');
+                    break;
+                case 'json':
+                    this.exporter.download(this.exporter.toJSON(result, label, this.units),
+                        this.exporter.filename(label, 'json'), 'application/json');
+                    break;
+                case 'sharppy':
+                    this.exporter.download(this.exporter.toSharppy(result, result.metadata.station || station, date, hour),
+                        this.exporter.filename(label, 'txt'), 'text/plain');
+                    break;
+            }
+            this.hideError();
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Text of the visible analysis panels for the PDF briefing: [{ title, rows: [[label, value]] }]
+     */
+    briefingSections() {
+        // Label/value pairs from metadata grids, index items and two-column tables
+        const panelRows = (container) => Array.from(container.querySelectorAll('.metadata > div, .index-item, tr'))
+            .map(item => Array.from(item.children).map(child => child.textContent.trim().replace(/:$/, '')))
+            .filter(cells => cells.length >= 2);
+
+        const sections = [
+            { title: 'Sounding', rows: panelRows(this.infoPanel) },
+            { title: 'Stability Indices', rows: panelRows(this.indicesGrid) }
+        ];
+
+        if (this.parcels.length > 0) {
+            const level = (l) => l ? this.units.format('pressure', l.pressure) : '-';
+            sections.push({
+                title: 'Parcels',
+                rows: this.parcels.flatMap(parcel => [
+                    [parcel.label, `CAPE ${Math.round(parcel.cape)} / CIN ${Math.round(parcel.cin)} J/kg`],
+                    ['   LCL / LFC / EL', `${level(parcel.lcl)} / ${level(parcel.lfc)} / ${level(parcel.el)}`]
+                ])
+            });
+        }
+
+        if (this.windResult) {
+            sections.push({ title: 'Wind', rows: panelRows(this.hodograph.canvas.parentElement) });
+        }
+
+        if (this.inversions) {
+            sections.push({
+                title: 'Inversions and Mixing Height',
+                rows: [
+                    ['Mixing Height', this.mixingHeightInfo.textContent],
+                    ...this.inversions.layers.map(layer => [
+                        `${this.inversionAnalysis.types[layer.type]} ${this.formatLayerAltitude(layer)}`,
+                        this.formatInversionStrength(layer)
+                    ])
+                ]
+            });
+        }
+
+        if (this.aviationHazards.length > 0) {
+            sections.push({
+                title: 'Aviation Hazards',
+                rows: this.aviationHazards.map(layer => [
+                    `${this.formatLayerAltitude(layer)} ${this.aviation.hazards[layer.hazard]}`,
+                    this.formatHazardDetail(layer)
+                ])
+            });
+        }
+
+        if (this.soaringPanel.classList.contains('active')) {
+            sections.push({ title: 'Soaring Forecast', rows: panelRows(this.soaringPanel.querySelector('.metadata')) });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Update information panel
+     */
+    updateInfoPanel(metadata, station, date, hour) {
+        this.stationInfo.textContent = metadata.stationName || station;
+
+        if (metadata.latitude && metadata.longitude) {
+            this.locationInfo.textContent = `${metadata.latitude.toFixed(2)}°, ${metadata.longitude.toFixed(2)}°`;
+        } else {
+            this.locationInfo.textContent = 'N/A';
+        }
+
+        // Convert UTC time to local time; imported soundings show the time from the file
+        if (date) {
+            this.timeInfo.textContent = this.convertUTCToLocal(date, hour);
+        } else {
+            this.timeInfo.textContent = metadata.observationTime || 'N/A';
+        }
+
+        if (metadata.elevation) {
+            this.elevationInfo.textContent = this.units.format('height', metadata.elevation);
+        } else {
+            this.elevationInfo.textContent = 'N/A';
+        }
+
+        this.sourceInfo.textContent = metadata.source || 'N/A';
+
+        this.infoPanel.classList.add('active');
+    }
+
+    /**
+     * Run quality control on a sounding once and, when flagged levels are excluded, return a copy without them
+     * @returns {object} The result to display; a copy keeps the checked sounding as qcSource
+     */
+    applyQC(result) {
+        const source = result.qcSource || result;
+        if (!source.qc) source.qc = this.qc.check(source.data);
+
+        this.diagram.setQCFlags(source.qc.flags);
+        if (this.qcModeSelect.value !== 'exclude' || source.qc.flags.length === 0) return source;
+
+        return { ...source, data: this.qc.exclude(source.data, source.qc.flags), qcSource: source };
+    }
+
+    /**
+     * Fill the quality control report; hovering a flag highlights its level on the diagram
+     */
+    updateQCPanel(result) {
+        const { flags, levels } = result.qc;
+        const excluded = result.qcSource !== undefined;
+
+        this.qcSummary.textContent = flags.length === 0
+            ? 'No suspect levels found.'
+            : `${levels} suspect level${levels === 1 ? '' : 's'} of ${(result.qcSource || result).data.length}` +
+              (excluded ? ', left out of the diagram and calculations.' : ', marked on the diagram.');
+
+        this.qcTableBody.innerHTML = '';
+        this.diagram.setHighlight(null);
+
+        flags.forEach(flag => {
+            const row = document.createElement('tr');
+            const detail = flag.value === null ? flag.message : `${flag.message} ${this.formatQCValue(flag)}`;
+            const cells = [
+                `${this.units.format('pressure', flag.pressure)} / ${this.units.format('height', flag.height)}`,
+                this.qc.checks[flag.check],
+                detail
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            row.addEventListener('mouseenter', () => {
+                if (isNaN(flag.height)) return;
+                this.diagram.setHighlight({ levels: [flag], layer: false, label: this.qc.checks[flag.check] });
+                this.diagram.draw(this.currentSoundingData);
+            });
+            row.addEventListener('mouseleave', () => {
+                this.diagram.setHighlight(null);
+                this.diagram.draw(this.currentSoundingData);
+            });
+
+            this.qcTableBody.appendChild(row);
+        });
+
+        this.qcPanel.classList.add('active');
+    }
+
+    /**
+     * Size of a quality control problem in the display units
+     */
+    formatQCValue(flag) {
+        const temperature = this.units.label('temperature');
+
+        if (flag.quantity === 'temperatureDelta') return `${this.units.convertDelta(flag.value).toFixed(1)}${temperature}`;
+        if (flag.quantity === 'lapseRate') return `${this.units.convertDelta(flag.value).toFixed(0)}${temperature}/km`;
+
+        return this.units.format(flag.quantity, flag.value);
+    }
+
+    /**
+     * Fill the indices panel; hovering a value highlights its levels on the diagram
+     */
+    updateIndicesPanel(result) {
+        const entries = this.indices.compute(result.data);
+
+        this.indicesGrid.innerHTML = '';
+        this.diagram.setHighlight(null);
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'index-item';
+
+            const label = document.createElement('span');
+            label.textContent = this.indexLabel(entry);
+
+            const value = document.createElement('span');
+            value.className = 'index-value';
+            value.textContent = this.formatIndex(entry);
+
+            item.appendChild(label);
+            item.appendChild(value);
+
+            item.addEventListener('mouseenter', () => {
+                if (entry.value === null) return;
+                this.diagram.setHighlight({ levels: entry.levels, layer: entry.layer, label: this.indexLabel(entry) });
+                this.diagram.draw(this.currentSoundingData);
+            });
+            item.addEventListener('mouseleave', () => {
+                this.diagram.setHighlight(null);
+                this.diagram.draw(this.currentSoundingData);
+            });
+
+            this.indicesGrid.appendChild(item);
+        });
+
+        this.indicesPanel.classList.toggle('active', entries.length > 0);
+    }
+
+    /**
+     * Draw the hodograph and fill the storm motion, shear and helicity values
+     */
+    updateWindAnalysis(result) {
+        this.windResult = this.windAnalysis.analyze(result.data);
+        this.hodograph.setMarker(null);
+        this.hodograph.draw(this.windResult);
+
+        const analysis = this.windResult || {};
+        const formatMotion = (wind) => {
+            if (!wind) return 'N/A';
+            const { direction, speed } = WindAnalysis.toDirectionSpeed(wind.u, wind.v);
+            return `${Math.round(direction)}° / ${this.units.format('wind', speed)}`;
+        };
+        const formatShear = (shear) => shear ? this.units.format('wind', shear.magnitude) : 'N/A';
+        const formatHelicity = (srh) => srh === null || srh === undefined ? 'N/A' : `${Math.round(srh)} m²/s²`;
+
+        this.rightMoverInfo.textContent = formatMotion(analysis.rightMover);
+        this.leftMoverInfo.textContent = formatMotion(analysis.leftMover);
+        this.shear01Info.textContent = formatShear(analysis.shear01);
+        this.shear06Info.textContent = formatShear(analysis.shear06);
+        this.srh01Info.textContent = formatHelicity(analysis.srh01);
+        this.srh03Info.textContent = formatHelicity(analysis.srh03);
+    }
+
+    /**
+     * Mark a height (m MSL) on the hodograph, or clear the marker with null
+     */
+    setHodographMarker(height) {
+        if (!this.windResult) return;
+
+        const surfaceHeight = this.windResult.profile[0].height;
+        this.hodograph.setMarker(height === null ? null : height - surfaceHeight);
+        this.hodograph.draw(this.windResult);
+    }
+
+    /**
+     * Handle mouse hover over the hodograph: highlight the level on the Skew-T and show its values
+     */
+    handleHodographHover(event) {
+        if (!this.windResult) return;
+
+        const rect = this.hodograph.canvas.getBoundingClientRect();
+        const canvasX = (event.clientX - rect.left) * this.hodograph.canvas.width / rect.width;
+        const canvasY = (event.clientY - rect.top) * this.hodograph.canvas.height / rect.height;
+
+        const point = this.hodograph.findNearestPoint(canvasX, canvasY);
+        if (!point) {
+            this.clearHodographHover();
+            return;
+        }
+
+        this.diagram.setHighlight({
+            levels: [{ pressure: point.pressure, height: point.height }],
+            layer: false,
+            label: `${this.units.format('height', point.heightAGL)} AGL`
+        });
+        this.diagram.draw(this.currentSoundingData);
+        this.setHodographMarker(point.height);
+        this.updateComparisonCursorInfo(point.height);
+
+        const data = this.interpolateDataAtHeight(point.height);
+        if (data) {
+            this.showCursorInfo(data, event.clientX, event.clientY);
+        }
+    }
+
+    /**
+     * Remove the hodograph-linked highlight and tooltip
+     */
+    clearHodographHover() {
+        this.hideCursorInfo();
+        this.setHodographMarker(null);
+
+        if (this.diagram.highlight) {
+            this.diagram.setHighlight(null);
+            this.diagram.draw(this.currentSoundingData);
+        }
+    }
+
+    /**
+     * Find the inversions, isothermal layers and mixing height and show them on the diagram and in their panel
+     */
+    updateInversionAnalysis(result) {
+        this.inversions = this.inversionAnalysis.analyze(result.data);
+        this.diagram.setInversions(this.inversions);
+        this.updateInversionPanel();
+    }
+
+    /**
+     * Fill the mixing height and the table of stable layers; hovering a layer highlights it on the diagram
+     */
+    updateInversionPanel() {
+        const { layers, mixingHeight } = this.inversions;
+
+        this.mixingHeightInfo.textContent = mixingHeight
+            ? `${this.units.format('pressure', mixingHeight.pressure)} / ${this.units.format('height', mixingHeight.height)}`
+            : 'N/A';
+        this.mixingDepthInfo.textContent = mixingHeight ? this.units.format('height', mixingHeight.depth) : 'N/A';
+
+        this.inversionTableBody.innerHTML = '';
+
+        if (layers.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            cell.textContent = 'No inversions or isothermal layers found';
+            row.appendChild(cell);
+            this.inversionTableBody.appendChild(row);
+        }
+
+        layers.forEach(layer => {
+            const row = document.createElement('tr');
+            const name = this.inversionAnalysis.types[layer.type];
+            const cells = [
+                name,
+                `${this.units.format('pressure', layer.basePressure)} / ${this.units.format('height', layer.base)}`,
+                `${this.units.format('pressure', layer.topPressure)} / ${this.units.format('height', layer.top)}`,
+                this.formatInversionStrength(layer)
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const levels = [
+                { pressure: layer.basePressure, height: layer.base },
+                { pressure: layer.topPressure, height: layer.top }
+            ];
+            row.addEventListener('mouseenter', () => {
+                this.diagram.setHighlight({ levels, layer: true, label: name });
+                this.diagram.draw(this.currentSoundingData);
+            });
+            row.addEventListener('mouseleave', () => {
+                this.diagram.setHighlight(null);
+                this.diagram.draw(this.currentSoundingData);
+            });
+
+            this.inversionTableBody.appendChild(row);
+        });
+
+        this.inversionPanel.classList.add('active');
+    }
+
+    /**
+     * Temperature rise across a layer in the display unit, with the rate per 1000 height units for inversions
+     */
+    formatInversionStrength(layer) {
+        const temperature = this.units.label('temperature');
+        const rise = this.units.convertDelta(layer.strength);
+        const depth = this.units.convert('height', layer.top - layer.base) / 1000;
+
+        if (layer.type === 'isothermal') return `${rise >= 0 ? '+' : ''}${rise.toFixed(1)}${temperature}`;
+        return `+${rise.toFixed(1)}${temperature} (${(rise / depth).toFixed(1)}${temperature} per 1000 ${this.units.label('height')})`;
+    }
+
+    /**
+     * Find the cloud, icing and turbulence layers and show them on the diagram and in the hazards panel
+     */
+    updateAviationAnalysis(result) {
+        this.aviationHazards = this.aviation.analyze(result.data);
+        this.diagram.setAviationHazards(this.aviationHazards);
+        this.updateAviationPanel();
+    }
+
+    /**
+     * Fill the hazards table by altitude; hovering a layer highlights it on the diagram
+     */
+    updateAviationPanel() {
+        const hazards = this.aviationHazards;
+        const count = (hazard) => hazards.filter(layer => layer.hazard === hazard).length;
+
+        this.aviationSummary.textContent = hazards.length === 0
+            ? 'No cloud, icing or turbulence layers found.'
+            : Object.entries(this.aviation.hazards).map(([hazard, name]) => `${name}: ${count(hazard)}`).join(', ');
+
+        this.aviationTableBody.innerHTML = '';
+
+        hazards.forEach(layer => {
+            const row = document.createElement('tr');
+            const cells = [this.formatLayerAltitude(layer), this.aviation.hazards[layer.hazard], this.formatHazardDetail(layer)];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const levels = [
+                { pressure: layer.basePressure, height: layer.base },
+                { pressure: layer.topPressure, height: layer.top }
+            ];
+            row.addEventListener('mouseenter', () => {
+                this.diagram.setHighlight({ levels: layer.top > layer.base ? levels : [levels[0]], layer: true, label: this.aviation.hazards[layer.hazard] });
+                this.diagram.draw(this.currentSoundingData);
+            });
+            row.addEventListener('mouseleave', () => {
+                this.diagram.setHighlight(null);
+                this.diagram.draw(this.currentSoundingData);
+            });
+
+            this.aviationTableBody.appendChild(row);
+        });
+
+        this.aviationPanel.classList.add('active');
+    }
+
+    /**
+     * Base and top of a layer in the display height unit
+     */
+    formatLayerAltitude(layer) {
+        if (layer.top === layer.base) return this.units.format('height', layer.base);
+        return `${this.units.format('height', layer.base)} – ${this.units.format('height', layer.top)}`;
+    }
+
+    /**
+     * Severity and type of a hazard layer; turbulence adds its Richardson number and shear per 1000 height units
+     */
+    formatHazardDetail(layer) {
+        const severity = layer.severity.charAt(0).toUpperCase() + layer.severity.slice(1);
+
+        if (layer.hazard === 'icing') return `${severity}, ${layer.type.toLowerCase()}`;
+        if (layer.hazard === 'turbulence') {
+            const shear = layer.shear * this.units.toBase('height', 1000);
+            return `${severity}, Ri ${layer.ri.toFixed(2)}, shear ${this.units.format('wind', shear)} per 1000 ${this.units.label('height')}`;
+        }
+
+        return severity;
+    }
+
+    /**
+     * Lift SB/ML/MU parcels through the sounding and show the results
+     */
+    updateParcelAnalysis(result) {
+        this.parcels = this.parcelAnalyzer.analyze(result.data);
+        this.applyParcelSelection();
+        this.updateParcelPanel();
+    }
+
+    /**
+     * Pass the parcels and the selected parcel type to the diagram
+     */
+    applyParcelSelection() {
+        const type = this.parcelSelect.value;
+
+        if (type === 'none') {
+            this.diagram.setParcels([], null);
+        } else {
+            this.diagram.setParcels(this.parcels, type);
+        }
+
+        // Highlight the selected parcel in the table
+        this.parcelTableBody.querySelectorAll('tr').forEach(row => {
+            row.classList.toggle('selected', row.dataset.type === type);
+        });
+    }
+
+    /**
+     * Fill the parcel table with CAPE, CIN and characteristic levels
+     */
+    updateParcelPanel() {
+        const formatLevel = (level) => {
+            if (!level) return '-';
+            return `${this.units.format('pressure', level.pressure)} / ${this.units.format('height', level.height)}`;
+        };
+
+        this.parcelTableBody.innerHTML = '';
+
+        this.parcels.forEach(parcel => {
+            const row = document.createElement('tr');
+            row.dataset.type = parcel.type;
+
+            const cells = [
+                parcel.label,
+                `${Math.round(parcel.cape)} J/kg`,
+                `${Math.round(parcel.cin)} J/kg`,
+                formatLevel(parcel.lcl),
+                formatLevel(parcel.lfc),
+                formatLevel(parcel.el)
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            // Clicking a row selects that parcel on the diagram
+            row.addEventListener('click', () => {
+                this.parcelSelect.value = parcel.type;
+                this.applyParcelSelection();
+                this.diagram.draw(this.currentSoundingData);
+                this.updateLink();
+            });
+
+            this.parcelTableBody.appendChild(row);
+        });
+
+        this.applyParcelSelection();
+        this.parcelPanel.classList.toggle('active', this.parcels.length > 0);
+    }
+
+    /**
+     * Compute the soaring forecast from the max temperature input and redraw
+     */
+    applySoaringForecast() {
+        if (!this.currentSoundingData) {
+            this.showError('Please load sounding data first');
+            return;
+        }
+
+        if (isNaN(parseFloat(this.maxTempInput.value))) {
+            this.showError('Please enter a forecast max temperature');
+            return;
+        }
+
+        this.hideError();
+        if (!this.updateSoaringForecast()) {
+            this.showError('No thermals: the forecast max temperature does not reach the dry adiabat of the sounding.');
+        }
+        this.diagram.draw(this.currentSoundingData);
+        this.updateLink();
+    }
+
+    /**
+     * Update the soaring panel and thermal column for the current sounding
+     * @returns {boolean} Whether a forecast could be made
+     */
+    updateSoaringForecast() {
+        const maxTemp = this.units.toBase('temperature', parseFloat(this.maxTempInput.value));
+        const result = this.currentSoundingData;
+        const forecast = result && !isNaN(maxTemp)
+            ? this.soaring.analyze(result.data, result.metadata.elevation, maxTemp)
+            : null;
+
+        this.diagram.setSoaringForecast(forecast);
+
+        if (!forecast) {
+            this.soaringPanel.classList.remove('active');
+            return false;
+        }
+
+        this.topOfLiftInfo.textContent = this.units.format('height', forecast.topOfLift.height);
+        this.thermalTopInfo.textContent = this.units.format('height', forecast.thermalTop.height);
+        this.cloudbaseInfo.textContent = forecast.cloudbase
+            ? this.units.format('height', forecast.cloudbase.height)
+            : 'None (blue thermals)';
+        // Vertical speeds in the wind speed unit, with one decimal to keep climbs of under a knot apart
+        this.wStarInfo.textContent = this.units.format('wind', forecast.wStar, 1);
+        this.overdevelopmentInfo.textContent = forecast.overdevelopment.message;
+        this.overdevelopmentInfo.style.color = forecast.overdevelopment.likely ? '#c53030' : '';
+
+        // Climb rates from the top down, as pilots read them
+        this.climbTableBody.innerHTML = '';
+        [...forecast.climbProfile].reverse().forEach(level => {
+            const row = document.createElement('tr');
+            [
+                this.units.format('height', level.height),
+                this.units.format('wind', level.updraft, 1),
+                level.climb > 0 ? `+${this.units.format('wind', level.climb, 1)}` : 'No usable lift'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.climbTableBody.appendChild(row);
+        });
+
+        this.soaringPanel.classList.add('active');
+        return true;
+    }
+
+    /**
+     * Fill the unit selects from the unit definitions and show the saved choices
+     */
+    initializeUnits() {
+        Object.entries(this.unitSelects).forEach(([quantity, select]) => {
+            select.innerHTML = '';
+            Object.entries(this.units.definitions[quantity]).forEach(([id, unit]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = unit.name === unit.label ? unit.label : `${unit.name} (${unit.label})`;
+                select.appendChild(option);
+            });
+            select.value = this.units.settings[quantity];
+        });
+
+        this.updateUnitLabels();
+        this.syncZoomInputs();
+    }
+
+    /**
+     * Change a display unit, keeping the values typed in inputs, and refresh everything shown
+     */
+    setUnit(quantity, unit) {
+        // Typed values (zoom range, forecast max temperature) in the stored units before switching
+        const maxTemp = this.units.toBase('temperature', parseFloat(this.maxTempInput.value));
+
+        this.units.set(quantity, unit);
+        this.updateUnitLabels();
+
+        if (!isNaN(maxTemp)) this.maxTempInput.value = +this.units.convert('temperature', maxTemp).toFixed(1);
+        this.syncZoomInputs();
+
+        const station = this.stations.find(this.stationInput.value);
+        if (station) this.selectStation(station);
+
+        if (!this.currentSoundingData) {
+            this.diagram.draw(null);
+            this.updateLink();
+            return;
+        }
+
+        const result = this.currentSoundingData;
+        const { station: stationId, date, hour } = this.currentSource;
+        this.updateInfoPanel(result.metadata, stationId, date, hour);
+        this.updateIndicesPanel(result);
+        this.updateWindAnalysis(result);
+        this.updateParcelPanel();
+        this.updateInversionPanel();
+        this.updateAviationPanel();
+        this.updateSoaringForecast();
+        this.updateEditSummary();
+
+        this.diagram.draw(result);
+        this.drawComparisonTiles();
+        this.drawCrossSection();
+        this.updateLink();
+    }
+
+    /**
+     * Show the display units in the labels and limits of the height and temperature inputs
+     */
+    updateUnitLabels() {
+        // Input limits in the stored units
+        [
+            { input: this.minHeightInput, text: 'Min Height', quantity: 'height', min: 0, max: 30000 },
+            { input: this.maxHeightInput, text: 'Max Height', quantity: 'height', min: 0, max: 30000 },
+            { input: this.minTempRangeInput, text: 'Min Temp', quantity: 'temperature', min: -150, max: 100 },
+            { input: this.maxTempRangeInput, text: 'Max Temp', quantity: 'temperature', min: -150, max: 150 },
+            { input: this.maxTempInput, text: 'Forecast Max Temp', quantity: 'temperature', min: -40, max: 50 }
+        ].forEach(({ input, text, quantity, min, max }) => {
+            const label = document.querySelector(`label[for="${input.id}"]`);
+            if (label) label.textContent = `${text} (${this.units.label(quantity)})`;
+
+            input.min = Math.floor(this.units.convert(quantity, min));
+            input.max = Math.ceil(this.units.convert(quantity, max));
+        });
+    }
+
+    /**
+     * Index value with its units; temperatures, lapse rates and heights follow the display units
+     */
+    formatIndex(entry) {
+        if (entry.value === null) return 'N/A';
+
+        if (entry.units === '°C') {
+            return `${this.units.convertDelta(entry.value).toFixed(entry.decimals)}${this.units.label('temperature')}`;
+        }
+        if (entry.units === '°C/km') {
+            return `${this.units.convertDelta(entry.value).toFixed(entry.decimals)}${this.units.label('temperature')}/km`;
+        }
+        if (entry.units === 'm') return this.units.format('height', entry.value);
+
+        return `${entry.value.toFixed(entry.decimals)}${entry.units ? ' ' + entry.units : ''}`;
+    }
+
+    /**
+     * Label of a stability index, with the bounding pressures of a fixed layer in the display unit
+     */
+    indexLabel(entry) {
+        if (!entry.pressures) return entry.label;
+
+        const [lower, upper] = entry.pressures;
+        return `${+this.units.convert('pressure', lower).toFixed(2)}–${this.units.format('pressure', upper)} ${entry.label}`;
+    }
+
+    /**
+     * Fill the theme list, the background and text colours and one row of controls per layer
+     */
+    updateLayersPanel() {
+        this.updateThemeSelect();
+
+        const settings = this.style.settings;
+        this.styleBackgroundInput.value = settings.background;
+        this.styleTextInput.value = settings.text;
+
+        this.layersTableBody.innerHTML = '';
+        let group = null;
+
+        this.style.layers.forEach(layer => {
+            if (layer.group !== group) {
+                group = layer.group;
+                const row = document.createElement('tr');
+                row.className = 'group-row';
+                const cell = document.createElement('td');
+                cell.colSpan = 5;
+                cell.textContent = group;
+                row.appendChild(cell);
+                this.layersTableBody.appendChild(row);
+            }
+
+            const row = document.createElement('tr');
+            const style = this.style.layer(layer.id) || {};
+            const cell = (content) => {
+                const td = document.createElement('td');
+                if (typeof content === 'string') td.textContent = content;
+                else td.appendChild(content);
+                row.appendChild(td);
+            };
+            const input = (type, value, onChange, attributes = {}) => {
+                const element = document.createElement('input');
+                element.type = type;
+                Object.assign(element, attributes);
+                element.value = value;
+                element.addEventListener('input', () => onChange(element));
+                return element;
+            };
+
+            cell(layer.name);
+
+            const show = document.createElement('input');
+            show.type = 'checkbox';
+            show.checked = this.style.visible(layer.id);
+            show.setAttribute('aria-label', `Show ${layer.name}`);
+            show.addEventListener('change', () => {
+                this.style.setVisible(layer.id, show.checked);
+                this.redrawStyle();
+                this.updateLink();
+            });
+            cell(show);
+
+            cell(layer.color === false ? '-' : input('color', style.color,
+                element => this.setStyleValue(layer.id, 'color', element.value)));
+
+            cell(layer.width === false ? '-' : input('number', style.width, element => {
+                const width = parseFloat(element.value);
+                if (width > 0) this.setStyleValue(layer.id, 'width', width);
+            }, { min: 0.5, max: 6, step: 0.5 }));
+
+            cell(layer.opacity === false ? '-' : input('range', style.opacity,
+                element => this.setStyleValue(layer.id, 'opacity', parseFloat(element.value)),
+                { min: 0.05, max: 1, step: 0.05 }));
+
+            this.layersTableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the theme list with the presets and custom themes, selecting the current theme
+     */
+    updateThemeSelect() {
+        this.themeSelect.innerHTML = '';
+
+        const addGroup = (label, options) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            options.forEach(({ value, text }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                optgroup.appendChild(option);
+            });
+            this.themeSelect.appendChild(optgroup);
+        };
+
+        // A changed theme is shown as modified until it is saved
+        const modified = document.createElement('option');
+        modified.value = '';
+        modified.textContent = 'Modified';
+        this.themeSelect.appendChild(modified);
+
+        addGroup('Presets', Object.entries(this.style.themes).map(([id, theme]) => ({ value: id, text: theme.name })));
+        const custom = Object.keys(this.style.customThemes());
+        if (custom.length > 0) addGroup('Custom', custom.map(name => ({ value: `custom:${name}`, text: name })));
+
+        const theme = this.style.settings.theme || '';
+        this.themeSelect.value = Array.from(this.themeSelect.options).some(option => option.value === theme) ? theme : '';
+        modified.hidden = this.themeSelect.value !== '';
+        this.themeDeleteBtn.disabled = !this.themeSelect.value.startsWith('custom:');
+    }
+
+    /**
+     * Change one style value from the layers panel and redraw
+     * @param {string|null} layer - Layer id, null for the background and text colours
+     */
+    setStyleValue(layer, key, value) {
+        this.style.set(layer, key, value);
+        this.updateThemeSelect();
+        this.redrawStyle();
+    }
+
+    /**
+     * Save the current style as a custom theme under the entered name
+     */
+    saveTheme() {
+        const name = this.themeNameInput.value.trim();
+        if (!name) {
+            this.showError('Please enter a theme name');
+            return;
+        }
+
+        if (this.style.saveCustomTheme(name)) {
+            this.themeNameInput.value = '';
+            this.hideError();
+        } else {
+            this.showError('Could not save the theme: browser storage is full or unavailable');
+        }
+
+        this.updateThemeSelect();
+    }
+
+    /**
+     * Delete the selected custom theme; the diagram keeps its current style
+     */
+    deleteTheme() {
+        const value = this.themeSelect.value;
+        if (!value.startsWith('custom:')) return;
+
+        if (!this.style.deleteCustomTheme(value.slice(7))) {
+            this.showError('Could not delete the theme: browser storage is full or unavailable');
+        }
+        this.updateThemeSelect();
+    }
+
+    /**
+     * Redraw the diagrams after a style or layer change
+     */
+    redrawStyle() {
+        this.diagram.draw(this.currentSoundingData);
+        this.drawComparisonTiles();
+    }
+
+    /**
+     * Show or hide the data source settings
+     */
+    toggleSourcesPanel() {
+        const active = this.sourcesPanel.classList.toggle('active');
+        if (active) this.updateSourcesPanel();
+    }
+
+    /**
+     * List the providers in fallback order with enable checkboxes and reorder buttons
+     */
+    updateSourcesPanel() {
+        this.sourcesList.innerHTML = '';
+
+        this.sources.order.forEach((id, index) => {
+            const provider = this.sources.provider(id);
+            const row = document.createElement('tr');
+
+            const enabled = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.sources.disabled.has(id);
+            checkbox.disabled = provider.interactive === true;
+            checkbox.addEventListener('change', () => this.sources.setEnabled(id, checkbox.checked));
+            enabled.appendChild(checkbox);
+
+            const name = document.createElement('td');
+            name.textContent = provider.interactive ? `${provider.name} (Load opens the file picker)` : provider.name;
+
+            // Why the provider cannot serve the current selection, if it cannot
+            const status = document.createElement('td');
+            const available = provider.interactive
+                ? '-'
+                : provider.isAvailable(this.stationInput.value.trim(), this.dateInput.value, this.hourSelect.value);
+            status.textContent = available === true ? 'Available' : available;
+
+            const actions = document.createElement('td');
+            actions.className = 'history-actions';
+
+            [
+                { text: '▲', offset: -1, disabled: index === 0 },
+                { text: '▼', offset: 1, disabled: index === this.sources.order.length - 1 }
+            ].forEach(({ text, offset, disabled }) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.disabled = disabled;
+                button.addEventListener('click', () => {
+                    this.sources.move(id, offset);
+                    this.updateSourcesPanel();
+                });
+                actions.appendChild(button);
+            });
+
+            row.appendChild(enabled);
+            row.appendChild(name);
+            row.appendChild(status);
+            row.appendChild(actions);
+            this.sourcesList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show or hide the cached sounding history
+     */
+    toggleHistoryPanel() {
+        const active = this.historyPanel.classList.toggle('active');
+        if (active) this.updateHistoryPanel();
+    }
+
+    /**
+     * List cached soundings with load, pin and delete actions, and show storage usage
+     */
+    async updateHistoryPanel() {
+        let records;
+        let usage;
+        try {
+            records = await this.cache.list();
+            usage = await this.cache.usage();
+        } catch (error) {
+            this.storageInfo.textContent = `Cache unavailable: ${error.message}`;
+            return;
+        }
+
+        const formatBytes = (bytes) => bytes >= 1048576
+            ? `${(bytes / 1048576).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} kB`;
+
+        this.storageInfo.textContent = usage.count === 0
+            ? 'No cached soundings'
+            : `${usage.count} cached soundings, ${formatBytes(usage.bytes)}` +
+              (usage.quota ? ` of ${formatBytes(usage.quota)} available` : '');
+
+        this.historyTableBody.innerHTML = '';
+
+        records.forEach(record => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', record.pinned);
+
+            const label = document.createElement('td');
+            label.textContent = record.pinned ? `${record.label} (pinned)` : record.label;
+
+            const fetched = document.createElement('td');
+            fetched.textContent = new Date(record.fetchedAt).toLocaleString();
+
+            const actions = document.createElement('td');
+            actions.className = 'history-actions';
+
+            [
+                { text: record.pinned ? 'Unpin' : 'Pin', action: () => this.pinHistoryEntry(record.key, !record.pinned) },
+                { text: 'Delete', action: () => this.deleteHistoryEntry(record.key) }
+            ].forEach(({ text, action }) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    action();
+                });
+                actions.appendChild(button);
+            });
+
+            row.appendChild(label);
+            row.appendChild(fetched);
+            row.appendChild(actions);
+
+            // Clicking a row loads that sounding from the cache
+            row.addEventListener('click', () => {
+                this.stationInput.value = record.station;
+                this.dateInput.value = record.date;
+                this.hourSelect.value = record.hour;
+                this.loadSounding();
+            });
+
+            this.historyTableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Pin or unpin a cached sounding
+     */
+    async pinHistoryEntry(key, pinned) {
+        try {
+            await this.cache.setPinned(key, pinned);
+        } catch (error) {
+            this.showError(`Could not ${pinned ? 'pin' : 'unpin'} the cached sounding: ${error.message}`);
+        }
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Delete a cached sounding
+     */
+    async deleteHistoryEntry(key) {
+        try {
+            await this.cache.remove(key);
+        } catch (error) {
+            this.showError(`Could not delete the cached sounding: ${error.message}`);
+        }
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Delete all unpinned cached soundings
+     */
+    async purgeHistory() {
+        try {
+            await this.cache.purge();
+        } catch (error) {
+            this.showError(`Could not clear the cache: ${error.message}`);
+        }
+        this.updateHistoryPanel();
+    }
+
+    /**
+     * Start editing the current sounding, or stop and keep the edited profile displayed
+     */
+    toggleEditing() {
+        if (this.editor.isActive()) {
+            this.stopEditing();
+            if (this.currentSoundingData) this.diagram.draw(this.currentSoundingData);
+            return;
+        }
+
+        if (!this.currentSoundingData) {
+            this.showError('Please load sounding data first');
+            return;
+        }
+
+        this.editor.start(this.currentSoundingData);
+        this.diagram.setOriginalProfile(this.editor.original.data);
+        this.editBtn.textContent = 'Stop Editing';
+        this.editPanel.classList.add('active');
+
+        this.updateEditPanel();
+        this.diagram.draw(this.currentSoundingData);
+    }
+
+    /**
+     * Leave edit mode
+     */
+    stopEditing() {
+        this.editor.stop();
+        this.editDrag = null;
+        this.diagram.setOriginalProfile(null);
+        this.diagram.setEditStroke(null);
+        this.editBtn.textContent = 'Edit Profile';
+        this.editPanel.classList.remove('active');
+    }
+
+    /**
+     * Discard all edits and show the original profile again
+     */
+    resetEdits() {
+        if (!this.editor.isActive()) return;
+
+        this.editor.reset();
+        this.applyEdit();
+    }
+
+    /**
+     * Show the edited profile and recompute everything derived from it
+     */
+    applyEdit() {
+        const result = this.editor.result();
+        const { station, date, hour } = this.currentSource;
+
+        this.currentSoundingData = result;
+        this.currentLabel = this.soundingLabel(result.metadata, station, date, hour);
+
+        this.updateIndicesPanel(result);
+        this.updateParcelAnalysis(result);
+        this.updateSoaringForecast();
+        this.applyComparisonOverlays();
+        this.diagram.setDerivedProfiles(this.derived.compute(result.data));
+        this.updateInversionAnalysis(result);
+        this.updateAviationAnalysis(result);
+
+        this.diagram.draw(result);
+        this.updateEditSummary();
+    }
+
+    /**
+     * Begin dragging a surface point, or begin a temperature stroke in layer mode
+     */
+    handleEditStart(event) {
+        if (!this.editor.isActive()) return;
+
+        const { x, y } = this.diagram.eventPosition(event);
+        const diagram = this.diagram;
+        if (x < diagram.margin.left || x > diagram.margin.left + diagram.width ||
+            y < diagram.margin.top || y > diagram.margin.top + diagram.height) return;
+
+        if (this.editModeSelect.value === 'layer') {
+            const height = diagram.yToHeight(y);
+            this.editDrag = { type: 'layer', stroke: [{ height, temp: diagram.xToTemp(x, diagram.heightToPressure(height)) }] };
+            event.preventDefault();
+            return;
+        }
+
+        // Nearest surface handle within reach
+        const handles = diagram.surfaceHandles(this.editor.data);
+        if (!handles) return;
+
+        let best = null;
+        let bestDistance = 12;
+        ['temp', 'dewpoint'].forEach(type => {
+            const point = handles[type];
+            const distance = point ? Math.hypot(point.x - x, point.y - y) : Infinity;
+            if (distance <= bestDistance) {
+                best = type;
+                bestDistance = distance;
+            }
+        });
+
+        if (best) {
+            this.editDrag = { type: best };
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Move the dragged surface point (recomputing live) or extend the temperature stroke
+     */
+    handleEditMove(event) {
+        if (!this.editDrag) return;
+
+        const { x, y } = this.diagram.eventPosition(event);
+        const diagram = this.diagram;
+
+        if (this.editDrag.type === 'layer') {
+            const height = diagram.yToHeight(Math.max(diagram.margin.top, Math.min(diagram.margin.top + diagram.height, y)));
+            this.editDrag.stroke.push({ height, temp: diagram.xToTemp(x, diagram.heightToPressure(height)) });
+            diagram.setEditStroke(this.editDrag.stroke);
+            diagram.draw(this.currentSoundingData);
+            return;
+        }
+
+        const surface = this.editor.data[this.editor.surfaceIndex()];
+        const temp = Math.round(diagram.xToTemp(x, surface.pressure) * 10) / 10;
+        this.editor.setSurface(this.editDrag.type, temp);
+        this.applyEdit();
+    }
+
+    /**
+     * Finish a drag; a finished stroke replaces the temperature over its height span
+     */
+    handleEditEnd() {
+        if (!this.editDrag) return;
+
+        if (this.editDrag.type === 'layer') {
+            this.editor.redrawLayer(this.editDrag.stroke);
+            this.diagram.setEditStroke(null);
+            this.applyEdit();
+        }
+
+        this.editDrag = null;
+    }
+
+    /**
+     * Describe the edits: surface values against the original and the number of changed levels
+     */
+    updateEditSummary() {
+        if (!this.editor.isActive()) return;
+
+        const index = this.editor.surfaceIndex();
+        const original = this.editor.original.data[index];
+        const edited = this.editor.data[index];
+        const format = (value) => this.units.format('temperature', value);
+        const changed = this.editor.changedLevels();
+
+        this.editSummary.textContent = `Surface temperature ${format(original.temp)} → ${format(edited.temp)}, ` +
+            `dew point ${format(original.dewpoint)} → ${format(edited.dewpoint)}; ` +
+            `${changed} level${changed === 1 ? '' : 's'} changed`;
+    }
+
+    /**
+     * Edit summary and the saved scenarios with load and delete actions
+     */
+    updateEditPanel() {
+        this.updateEditSummary();
+        this.scenarioTableBody.innerHTML = '';
+
+        this.editor.listScenarios().forEach(scenario => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('td');
+            name.textContent = scenario.name;
+
+            const based = document.createElement('td');
+            const { station, date, hour } = scenario.source || {};
+            based.textContent = date ? `${station} ${date} ${hour}Z` : (station || '-');
+
+            const saved = document.createElement('td');
+            saved.textContent = new Date(scenario.savedAt).toLocaleString();
+
+            const actions = document.createElement('td');
+            actions.className = 'history-actions';
+
+            [
+                { text: 'Load', action: () => this.loadScenario(scenario.name) },
+                { text: 'Delete', action: () => this.deleteScenario(scenario.name) }
+            ].forEach(({ text, action }) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.addEventListener('click', action);
+                actions.appendChild(button);
+            });
+
+            row.appendChild(name);
+            row.appendChild(based);
+            row.appendChild(saved);
+            row.appendChild(actions);
+            this.scenarioTableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Save the edited profile under the entered name
+     */
+    saveScenario() {
+        const name = this.scenarioNameInput.value.trim();
+        if (!name) {
+            this.showError('Please enter a scenario name');
+            return;
+        }
+
+        try {
+            this.editor.saveScenario(name, this.currentSource);
+            this.scenarioNameInput.value = '';
+            this.hideError();
+        } catch (error) {
+            console.error('Saving scenario failed:', error);
+            this.showError(`Could not save scenario: ${error.message}`);
+        }
+
+        this.updateEditPanel();
+    }
+
+    /**
+     * Display a saved scenario as the current sounding
+     */
+    loadScenario(name) {
+        const scenario = this.editor.loadScenario(name);
+        if (!scenario) return;
 
-        this.minHeightInput = document.getElementById('minHeight');
-        this.maxHeightInput = document.getElementById('maxHeight');
-        this.zoomBtn = document.getElementById('zoomBtn');
-        this.resetZoomBtn = document.getElementById('resetZoomBtn');
+        const { station, date, hour } = scenario.source;
+        this.displaySounding(scenario.result, station, date, hour);
+    }
 
-        this.infoPanel = document.getElementById('infoPanel');
-        this.stationInfo = document.getElementById('stationInfo');
-        this.locationInfo = document.getElementById('locationInfo');
-        this.timeInfo = document.getElementById('timeInfo');
-        this.elevationInfo = document.getElementById('elevationInfo');
+    /**
+     * Delete a saved scenario
+     */
+    deleteScenario(name) {
+        this.editor.deleteScenario(name);
+        this.updateEditPanel();
+    }
 
-        this.loading = document.getElementById('loading');
-        this.errorDiv = document.getElementById('error');
+    /**
+     * Add the current sounding to the comparison set
+     */
+    addToComparison() {
+        if (!this.currentSoundingData) {
+            this.showError('Please load sounding data first');
+            return;
+        }
 
-        // Cursor info elements
-        this.cursorInfo = document.getElementById('cursorInfo');
-        this.cursorHeight = document.getElementById('cursorHeight');
-        this.cursorTemp = document.getElementById('cursorTemp');
-        this.cursorDewpoint = document.getElementById('cursorDewpoint');
-        this.cursorWind = document.getElementById('cursorWind');
-        this.cursorWindDir = document.getElementById('cursorWindDir');
-        this.cursorPressure = document.getElementById('cursorPressure');
+        // Observed soundings keep their station, date and hour for shared links
+        const source = this.currentSource.date && !this.currentSoundingData.metadata.scenario ? { ...this.currentSource } : null;
+        if (!this.comparison.add(this.currentSoundingData, this.currentLabel, source)) {
+            this.showError(this.comparison.entries.length >= this.comparison.maxEntries
+                ? `At most ${this.comparison.maxEntries} soundings can be compared`
+                : `${this.currentLabel} is already in the comparison`);
+            return;
+        }
 
-        // Store current sounding data for redrawing
-        this.currentSoundingData = null;
+        this.hideError();
+        this.updateComparison();
+    }
 
-        this.setupEventListeners();
-        this.initializeDate();
-        this.loadInitialData();
+    /**
+     * Remove a sounding from the comparison set
+     */
+    removeFromComparison(id) {
+        this.comparison.remove(id);
+        this.updateComparison();
     }
 
     /**
-     * Setup event listeners
+     * Rebuild the comparison panel, overlays and tiles after the set or view mode changes
      */
-    setupEventListeners() {
-        this.loadBtn.addEventListener('click', () => this.loadSounding());
+    updateComparison() {
+        this.comparisonList.innerHTML = '';
 
-        // Allow Enter key to load
-        this.stationInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.loadSounding();
-        });
+        this.comparison.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'comparison-item';
 
-        // Zoom controls
-        this.zoomBtn.addEventListener('click', () => this.applyZoom());
-        this.resetZoomBtn.addEventListener('click', () => this.resetZoom());
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.borderColor = entry.style.color;
+            swatch.style.borderTopStyle = entry.style.dash.length > 0 ? 'dashed' : 'solid';
 
-        // Allow Enter key in height inputs
-        this.minHeightInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.applyZoom();
-        });
-        this.maxHeightInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.applyZoom();
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeFromComparison(entry.id));
+
+            item.appendChild(swatch);
+            item.appendChild(label);
+            item.appendChild(removeBtn);
+            this.comparisonList.appendChild(item);
         });
 
-        // Canvas mouse tracking
-        this.diagram.canvas.addEventListener('mousemove', (e) => this.handleCanvasHover(e));
-        this.diagram.canvas.addEventListener('mouseleave', () => this.hideCursorInfo());
+        this.comparisonPanel.classList.toggle('active', this.comparison.isActive());
+
+        this.applyComparisonOverlays();
+        this.buildComparisonTiles();
+
+        if (this.currentSoundingData) this.diagram.draw(this.currentSoundingData);
+        this.drawComparisonTiles();
+        this.updateLink();
     }
 
     /**
-     * Initialize date input to today
+     * In overlay mode, pass the compared soundings (other than the one shown) to the main diagram
      */
-    initializeDate() {
-        const today = new Date();
+    applyComparisonOverlays() {
+        const overlays = this.compareModeSelect.value === 'overlay'
+            ? this.comparison.entries.filter(entry => entry.result !== this.currentSoundingData)
+            : [];
 
-        const year = today.getFullYear();
-        const month = String(today.getMonth() + 1).padStart(2, '0');
-        const day = String(today.getDate()).padStart(2, '0');
-        this.dateInput.value = `${year}-${month}-${day}`;
+        this.diagram.setOverlays(overlays);
     }
 
     /**
-     * Load initial data from URL or default
+     * In small-multiples mode, create one diagram per compared sounding below the main diagram
      */
-    async loadInitialData() {
-        // Check if there's a URL parameter
-        const urlParams = new URLSearchParams(window.location.search);
-        const station = urlParams.get('station') || this.stationInput.value;
-        const date = urlParams.get('date') || this.dateInput.value;
-        const hour = urlParams.get('hour') || this.hourSelect.value;
+    buildComparisonTiles() {
+        this.comparisonGrid.innerHTML = '';
+        this.comparisonTiles = [];
+
+        if (this.compareModeSelect.value !== 'tiles') return;
+
+        this.comparison.entries.forEach(entry => {
+            const container = document.createElement('div');
+            container.className = 'canvas-container';
+
+            const title = document.createElement('h4');
+            title.textContent = entry.label;
+            title.style.color = entry.style.color;
+
+            const canvas = document.createElement('canvas');
+            canvas.id = `compare-${entry.id}`;
+            canvas.width = 800;
+            canvas.height = 600;
+
+            container.appendChild(title);
+            container.appendChild(canvas);
+            this.comparisonGrid.appendChild(container);
 
-        this.stationInput.value = station;
-        this.dateInput.value = date;
-        this.hourSelect.value = hour;
+            const diagram = new SkewTDiagram(canvas.id);
+            diagram.setUnits(this.units);
+            diagram.setStyle(this.style);
+            canvas.addEventListener('mousemove', (e) => this.handleCanvasHover(e, diagram));
+            canvas.addEventListener('mouseleave', () => this.clearCanvasHover());
+            this.fitDiagram(diagram, window.devicePixelRatio || 1);
 
-        await this.loadSounding();
+            this.comparisonTiles.push({ entry, diagram });
+        });
     }
 
     /**
-     * Build URL for UW Wyoming data
+     * Redraw the small-multiples tiles with the main diagram's vertical axis and zoom
      */
-    buildDataURL(station, date, hour) {
-        // Format: https://weather.uwyo.edu/wsgi/sounding?datetime=YYYY-MM-DD HH:00:00&id=STATION&src=BUFR&type=TEXT:LIST
-        const dateTime = `${date} ${hour}:00:00`;
-        const params = new URLSearchParams({
-            datetime: dateTime,
-            id: station,
-            src: 'BUFR',
-            type: 'TEXT:LIST'
+    drawComparisonTiles() {
+        this.comparisonTiles.forEach(({ entry, diagram }) => {
+            diagram.setVerticalMode(this.diagram.verticalMode);
+            diagram.setZoom(this.diagram.getZoom());
+            diagram.draw(entry.result);
         });
-
-        return `https://weather.uwyo.edu/wsgi/sounding?${params.toString()}`;
     }
 
     /**
-     * Fetch sounding data with timeout
+     * Draw the shared cursor at a height (m, null to clear) on the main diagram and all tiles
      */
-    async fetchData(url) {
-        const timeout = 30000; // 30 second timeout
+    setComparisonCursor(height) {
+        if (!this.comparison.isActive() || this.diagram.cursorHeight === height) return;
 
-        // Helper to create timeout promise
-        const fetchWithTimeout = (fetchUrl, timeoutMs) => {
-            return Promise.race([
-                fetch(fetchUrl),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Request timeout')), timeoutMs)
-                )
-            ]);
-        };
+        this.diagram.setCursorHeight(height);
+        if (this.currentSoundingData) this.diagram.draw(this.currentSoundingData);
 
-        // Try direct fetch first (may fail due to CORS)
-        try {
-            const response = await fetchWithTimeout(url, timeout);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return await response.text();
-        } catch (error) {
-            console.log('Direct fetch failed, trying CORS proxy...');
+        this.comparisonTiles.forEach(({ diagram }) => diagram.setCursorHeight(height));
+        this.drawComparisonTiles();
+    }
 
-            // Try first CORS proxy
-            try {
-                const proxyUrl = `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`;
-                const response = await fetchWithTimeout(proxyUrl, timeout);
-                if (!response.ok) {
-                    throw new Error(`Proxy returned ${response.status}`);
-                }
-                return await response.text();
-            } catch (proxyError) {
-                // Try alternative CORS proxy
-                console.log('First proxy failed, trying alternative...');
-                try {
-                    const altProxyUrl = `https://corsproxy.io/?${encodeURIComponent(url)}`;
-                    const response = await fetchWithTimeout(altProxyUrl, timeout);
-                    if (!response.ok) {
-                        throw new Error(`Alternative proxy returned ${response.status}`);
-                    }
-                    return await response.text();
-                } catch (altError) {
-                    throw new Error('Data unavailable. Try: (1) Use yesterday\'s date, (2) Try a different station, or (3) Check if data exists for this date/time.');
-                }
-            }
+    /**
+     * Fill the comparison section of the cursor tooltip with each compared sounding at a height
+     */
+    updateComparisonCursorInfo(height) {
+        this.cursorCompare.innerHTML = '';
+
+        this.comparison.entries.forEach(entry => {
+            if (entry.result === this.currentSoundingData) return;
+
+            const heights = entry.result.data.map(row => row.height).filter(h => !isNaN(h));
+            const inRange = height >= Math.min(...heights) && height <= Math.max(...heights);
+            const data = inRange ? this.interpolateDataAtHeight(height, entry.result.data) : null;
+
+            const divider = document.createElement('div');
+            divider.className = 'divider';
+            this.cursorCompare.appendChild(divider);
+
+            const format = (value) => data ? this.units.format('temperature', value) : 'N/A';
+            const wind = data && !isNaN(data.windSpeed) && !isNaN(data.windDir)
+                ? `${Math.round(data.windDir)}° / ${this.units.format('wind', data.windSpeed)}`
+                : 'N/A';
+
+            [
+                [entry.label, ''],
+                ['T / Td:', `${format(data && data.temp)} / ${format(data && data.dewpoint)}`],
+                ['Wind:', wind]
+            ].forEach(([labelText, valueText], i) => {
+                const row = document.createElement('div');
+                row.className = 'info-row';
+
+                const label = document.createElement('span');
+                label.className = 'info-label';
+                label.textContent = labelText;
+                if (i === 0) label.style.color = entry.style.color;
+
+                const value = document.createElement('span');
+                value.className = 'info-value';
+                value.textContent = valueText;
+
+                row.appendChild(label);
+                row.appendChild(value);
+                this.cursorCompare.appendChild(row);
+            });
+        });
+    }
+
+    /**
+     * Date and hour of the last N synoptic (00Z/12Z) soundings ending at the given time, oldest first
+     */
+    recentSoundingTimes(date, hour, count) {
+        const end = new Date(`${date}T${hour}:00:00Z`);
+        const times = [];
+
+        for (let i = count - 1; i >= 0; i--) {
+            const time = new Date(end.getTime() - i * 12 * 3600 * 1000);
+            times.push({
+                date: time.toISOString().slice(0, 10),
+                hour: String(time.getUTCHours()).padStart(2, '0')
+            });
         }
+
+        return times;
     }
 
     /**
-     * Load and display sounding
+     * Fetch the last N soundings for the selected station and draw the time-height cross-section
      */
-    async loadSounding() {
-        const station = this.stationInput.value.trim();
+    async loadCrossSection() {
         const date = this.dateInput.value;
         const hour = this.hourSelect.value;
+        const count = parseInt(this.crossCountInput.value, 10);
 
-        if (!station || !date) {
+        if (!this.stationInput.value.trim() || !date) {
             this.showError('Please enter a station ID and date');
             return;
         }
 
-        this.showLoading(true);
-        this.hideError();
+        const entry = this.resolveStationInput();
+        if (!entry) {
+            this.showError(this.stationHelp.textContent);
+            return;
+        }
+        const station = entry.wmo;
 
-        try {
-            // Build URL
-            const url = this.buildDataURL(station, date, hour);
-            console.log('Fetching:', url);
+        if (isNaN(count) || count < 2 || count > 20) {
+            this.showError('Please enter between 2 and 20 soundings for the cross-section');
+            return;
+        }
 
-            // Fetch data
-            const rawData = await this.fetchData(url);
+        this.showLoading(true);
+        this.hideError();
 
-            // Parse data
-            const result = this.parser.parse(rawData);
+        // Fetch a few at a time so the sources and their proxies are not flooded; columns fill in as they
+        // arrive and a missing sounding leaves an empty column
+        const columns = this.recentSoundingTimes(date, hour, count).map(time => ({ ...time, result: null }));
+        this.crossSectionColumns = columns;
+        this.crossSectionStation = station;
+        this.crossSectionContainer.classList.add('active');
+        this.drawCrossSection();
+
+        let next = 0;
+        const fetchColumns = async () => {
+            while (next < columns.length) {
+                const column = columns[next++];
+                try {
+                    const result = await this.fetchSounding(station, column.date, column.hour);
+                    column.result = result.valid && result.data.length > 0 ? result : null;
+                } catch (error) {
+                    console.error(`Cross-section: no sounding for ${column.date} ${column.hour}Z:`, error);
+                }
 
-            if (!result.valid || result.data.length === 0) {
-                throw new Error('No valid sounding data found. Check station ID and date.');
+                // A newer section may have replaced this one while it loaded
+                if (this.crossSectionColumns === columns && column.result) this.drawCrossSection();
             }
+        };
+        await Promise.all(Array.from({ length: Math.min(CROSS_SECTION_CONCURRENCY, columns.length) }, fetchColumns));
 
-            console.log('Parsed data:', result);
-
-            // Store sounding data
-            this.currentSoundingData = result;
-
-            // Update info panel
-            this.updateInfoPanel(result.metadata, station, date, hour);
-
-            // Reset zoom to data range
-            this.resetZoomToDataRange(result);
-
-            // Draw diagram
-            this.diagram.draw(result);
-
-            this.showLoading(false);
-
-        } catch (error) {
-            console.error('Error loading sounding:', error);
-            let errorMessage = error.message || 'Failed to load sounding data.';
-
-            // Add helpful suggestions
-            if (errorMessage.includes('timeout') || errorMessage.includes('unavailable') || errorMessage.includes('408')) {
-                errorMessage += ' Suggestions: Try using yesterday\'s date, a different time (12 UTC), or verify the station has data for this period.';
-            }
+        if (this.crossSectionColumns !== columns) return;
+        this.showLoading(false);
 
-            this.showError(errorMessage);
-            this.showLoading(false);
+        if (columns.every(column => !column.result)) {
+            this.crossSectionColumns = [];
+            this.crossSectionContainer.classList.remove('active');
+            this.showError('No soundings found for the cross-section. Check station ID and date.');
         }
     }
 
     /**
-     * Update information panel
+     * Redraw the cross-section with the main diagram's height range, marking the loaded sounding
      */
-    updateInfoPanel(metadata, station, date, hour) {
-        this.stationInfo.textContent = metadata.stationName || station;
+    drawCrossSection() {
+        if (this.crossSectionColumns.length === 0) return;
 
-        if (metadata.latitude && metadata.longitude) {
-            this.locationInfo.textContent = `${metadata.latitude.toFixed(2)}°, ${metadata.longitude.toFixed(2)}°`;
-        } else {
-            this.locationInfo.textContent = 'N/A';
-        }
+        const columns = this.crossSectionColumns;
+        const named = columns.find(column => column.result && column.result.metadata.stationName);
+        const stationName = named ? named.result.metadata.stationName : this.crossSectionStation;
 
-        // Convert UTC time to local time
-        const localTimeStr = this.convertUTCToLocal(date, hour);
-        this.timeInfo.textContent = localTimeStr;
+        const selected = columns.findIndex(column =>
+            this.stationInput.value.trim() === this.crossSectionStation &&
+            column.date === this.dateInput.value && column.hour === this.hourSelect.value);
 
-        if (metadata.elevation) {
-            this.elevationInfo.textContent = `${metadata.elevation} m`;
-        } else {
-            this.elevationInfo.textContent = 'N/A';
-        }
+        this.crossSection.setHeightRange(this.diagram.hMin, this.diagram.hMax);
+        this.crossSection.setSelected(selected >= 0 ? selected : null);
+        this.crossSection.draw(columns, `Time-Height Section: ${stationName}`);
+    }
 
-        this.infoPanel.classList.add('active');
+    /**
+     * Load the sounding of the clicked cross-section column into the Skew-T
+     */
+    handleCrossSectionClick(event) {
+        const canvas = this.crossSection.canvas;
+        const rect = canvas.getBoundingClientRect();
+        const canvasX = (event.clientX - rect.left) * canvas.width / rect.width;
+
+        const index = this.crossSection.xToColumn(canvasX);
+        if (index === null) return;
+
+        const column = this.crossSectionColumns[index];
+        this.stationInput.value = this.crossSectionStation;
+        this.dateInput.value = column.date;
+        this.hourSelect.value = column.hour;
+        this.loadSounding();
     }
 
     /**
@@ -330,12 +2792,23 @@ class SoundingApp {
         // Set max to default 4500m
         const maxH = 4500;
 
+        // Update diagram, with the default temperature range
+        const range = this.diagram.defaultTemperatureRange;
+        this.diagram.setZoom({ hMin: minH, hMax: maxH, tMin: range.min, tMax: range.max });
+
         // Update UI
-        this.minHeightInput.value = minH;
-        this.maxHeightInput.value = maxH;
+        this.syncZoomInputs();
+    }
 
-        // Update diagram
-        this.diagram.setHeightRange(minH, maxH);
+    /**
+     * Show the diagram's height and temperature ranges in the zoom inputs
+     */
+    syncZoomInputs() {
+        const units = this.units;
+        this.minHeightInput.value = Math.round(units.convert('height', this.diagram.hMin));
+        this.maxHeightInput.value = Math.round(units.convert('height', this.diagram.hMax));
+        this.minTempRangeInput.value = Math.round(units.convert('temperature', this.diagram.tMin) * 10) / 10;
+        this.maxTempRangeInput.value = Math.round(units.convert('temperature', this.diagram.tMax) * 10) / 10;
     }
 
     /**
@@ -347,8 +2820,11 @@ class SoundingApp {
             return;
         }
 
-        const minH = parseFloat(this.minHeightInput.value);
-        const maxH = parseFloat(this.maxHeightInput.value);
+        // Inputs are in the display units
+        const minH = this.units.toBase('height', parseFloat(this.minHeightInput.value));
+        const maxH = this.units.toBase('height', parseFloat(this.maxHeightInput.value));
+        const minT = this.units.toBase('temperature', parseFloat(this.minTempRangeInput.value));
+        const maxT = this.units.toBase('temperature', parseFloat(this.maxTempRangeInput.value));
 
         if (isNaN(minH) || isNaN(maxH)) {
             this.showError('Please enter valid height values');
@@ -360,11 +2836,17 @@ class SoundingApp {
             return;
         }
 
+        if (isNaN(minT) || isNaN(maxT) || minT >= maxT) {
+            this.showError('Minimum temperature must be less than maximum temperature');
+            return;
+        }
+
         this.hideError();
 
-        // Update diagram with new height range
-        this.diagram.setHeightRange(minH, maxH);
-        this.diagram.draw(this.currentSoundingData);
+        // Update diagram with new height and temperature range
+        this.pushZoomHistory();
+        this.diagram.setZoom({ hMin: minH, hMax: maxH, tMin: minT, tMax: maxT });
+        this.redrawZoom();
     }
 
     /**
@@ -372,57 +2854,300 @@ class SoundingApp {
      */
     resetZoom() {
         if (!this.currentSoundingData) return;
+        this.pushZoomHistory();
         this.resetZoomToDataRange(this.currentSoundingData);
+        this.redrawZoom();
+    }
+
+    /**
+     * Remember the current zoom so Zoom Back can return to it
+     */
+    pushZoomHistory() {
+        this.zoomHistory.push(this.diagram.getZoom());
+        if (this.zoomHistory.length > this.zoomHistoryLimit) this.zoomHistory.shift();
+        this.zoomBackBtn.disabled = false;
+    }
+
+    /**
+     * Return to the previous zoom
+     */
+    zoomBack() {
+        const zoom = this.zoomHistory.pop();
+        this.zoomBackBtn.disabled = this.zoomHistory.length === 0;
+        if (!zoom || !this.currentSoundingData) return;
+
+        this.diagram.setZoom(zoom);
+        this.redrawZoom();
+    }
+
+    /**
+     * Redraw everything that follows the diagram's zoom and update the zoom inputs
+     */
+    redrawZoom() {
+        this.syncZoomInputs();
         this.diagram.draw(this.currentSoundingData);
+        this.drawComparisonTiles();
+        this.drawCrossSection();
+        this.updateLink();
+    }
+
+    /**
+     * Whether canvas coordinates are inside the diagram's plot area
+     */
+    insideDiagram(x, y) {
+        const diagram = this.diagram;
+        return x >= diagram.margin.left && x <= diagram.margin.left + diagram.width &&
+            y >= diagram.margin.top && y <= diagram.margin.top + diagram.height;
+    }
+
+    /**
+     * Zoom in or out at the cursor; a burst of wheel steps is one zoom history entry
+     */
+    handleDiagramWheel(event) {
+        if (!this.currentSoundingData) return;
+
+        const { x, y } = this.diagram.eventPosition(event);
+        if (!this.insideDiagram(x, y)) return;
+        event.preventDefault();
+
+        const now = Date.now();
+        if (now - this.lastWheel > 500) this.pushZoomHistory();
+        this.lastWheel = now;
+
+        this.diagram.zoomAt(x, y, event.deltaY < 0 ? 0.8 : 1.25);
+        this.redrawZoom();
+    }
+
+    /**
+     * Begin panning, or a box zoom when Shift is held
+     */
+    handleZoomDragStart(event) {
+        if (!this.currentSoundingData || event.button !== 0) return;
+
+        const { x, y } = this.diagram.eventPosition(event);
+        if (!this.insideDiagram(x, y)) return;
+
+        this.zoomDrag = { x, y, startX: x, startY: y, box: event.shiftKey, moved: false };
+        event.preventDefault();
+    }
+
+    /**
+     * Pan the diagram with the mouse, or stretch the box zoom rectangle
+     */
+    handleZoomDragMove(event) {
+        const drag = this.zoomDrag;
+        if (!drag) return;
+
+        const { x, y } = this.diagram.eventPosition(event);
+
+        // Ignore small movements so a click or double-click does not pan
+        if (!drag.moved) {
+            if (Math.hypot(x - drag.startX, y - drag.startY) < 4) return;
+            drag.moved = true;
+            if (!drag.box) this.pushZoomHistory();
+            this.diagram.canvas.style.cursor = drag.box ? 'crosshair' : 'grabbing';
+        }
+
+        if (drag.box) {
+            this.diagram.setZoomBox({ x1: drag.startX, y1: drag.startY, x2: x, y2: y });
+            this.diagram.draw(this.currentSoundingData);
+            return;
+        }
+
+        this.diagram.pan(x - drag.x, y - drag.y);
+        drag.x = x;
+        drag.y = y;
+        this.redrawZoom();
+    }
+
+    /**
+     * Finish panning, or zoom to the box drawn
+     */
+    handleZoomDragEnd() {
+        const drag = this.zoomDrag;
+        if (!drag) return;
+
+        this.zoomDrag = null;
+        this.diagram.canvas.style.cursor = '';
+        if (!drag.box || !drag.moved) return;
+
+        const box = this.diagram.zoomBox;
+        this.diagram.setZoomBox(null);
+
+        if (Math.abs(box.x2 - box.x1) > 5 && Math.abs(box.y2 - box.y1) > 5) {
+            this.pushZoomHistory();
+            this.diagram.zoomToBox(box.x1, box.y1, box.x2, box.y2);
+        }
+        this.redrawZoom();
+    }
+
+    /**
+     * Fit the main diagram and the comparison tiles to their containers and redraw any that changed
+     */
+    fitDiagrams() {
+        const pixelRatio = window.devicePixelRatio || 1;
+
+        if (this.fitDiagram(this.diagram, pixelRatio)) this.diagram.draw(this.currentSoundingData);
+
+        let tilesChanged = false;
+        this.comparisonTiles.forEach(({ diagram }) => {
+            if (this.fitDiagram(diagram, pixelRatio)) tilesChanged = true;
+        });
+        if (tilesChanged) this.drawComparisonTiles();
+    }
+
+    /**
+     * Size a diagram to its displayed width: 4:3 on wide screens, taller than wide on narrow ones
+     * @returns {boolean} Whether the size changed
+     */
+    fitDiagram(diagram, pixelRatio) {
+        const width = Math.round(diagram.canvas.clientWidth);
+        if (!width) return false;
+
+        const height = Math.round(width * (width < diagram.narrowWidth ? 1.3 : 0.75));
+        return diagram.resize(width, height, pixelRatio);
+    }
+
+    /**
+     * Start a touch gesture: two fingers pinch, one finger held still shows the readout
+     */
+    handleTouchStart(event) {
+        this.endTouch();
+        if (!this.currentSoundingData) return;
+
+        const touches = event.touches;
+        if (touches.length === 2) {
+            event.preventDefault();
+            this.clearCanvasHover();
+            this.pushZoomHistory();
+            this.touch = { mode: 'pinch', ...this.pinchGeometry(touches[0], touches[1]) };
+            return;
+        }
+
+        if (touches.length !== 1) return;
+
+        this.clearCanvasHover();
+        const { clientX, clientY } = touches[0];
+        this.touch = {
+            mode: 'pending',
+            clientX,
+            clientY,
+            timer: setTimeout(() => {
+                this.touch.mode = 'hold';
+                this.handleCanvasHover({ clientX, clientY }, this.diagram, true);
+            }, this.holdDelay)
+        };
+    }
+
+    /**
+     * Pinch zoom and pan, move the held readout, or give up the hold when the finger starts scrolling
+     */
+    handleTouchMove(event) {
+        const touch = this.touch;
+        if (!touch) return;
+
+        if (touch.mode === 'pinch' && event.touches.length === 2) {
+            event.preventDefault();
+            const { center, distance } = this.pinchGeometry(event.touches[0], event.touches[1]);
+
+            // Keep the content under the fingers: follow the centre, then zoom about it
+            this.diagram.pan(center.x - touch.center.x, center.y - touch.center.y);
+            if (distance > 0 && touch.distance > 0) this.diagram.zoomAt(center.x, center.y, touch.distance / distance);
+            touch.center = center;
+            touch.distance = distance;
+            this.redrawZoom();
+            return;
+        }
+
+        const { clientX, clientY } = event.touches[0];
+        if (touch.mode === 'hold') {
+            event.preventDefault();
+            this.handleCanvasHover({ clientX, clientY }, this.diagram, true);
+        } else if (touch.mode === 'pending' && Math.hypot(clientX - touch.clientX, clientY - touch.clientY) > 10) {
+            this.endTouch();
+        }
+    }
+
+    /**
+     * Finish a touch gesture; the readout stays until the next touch
+     */
+    handleTouchEnd(event) {
+        if (this.touch && this.touch.mode === 'pinch' && event.touches.length >= 2) return;
+        this.endTouch();
+    }
+
+    /**
+     * Forget the current touch gesture and cancel a pending hold
+     */
+    endTouch() {
+        if (this.touch) clearTimeout(this.touch.timer);
+        this.touch = null;
+    }
+
+    /**
+     * Centre (drawing coordinates) and finger distance of a two-finger touch
+     */
+    pinchGeometry(a, b) {
+        const p = this.diagram.eventPosition(a);
+        const q = this.diagram.eventPosition(b);
+        return {
+            center: { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 },
+            distance: Math.hypot(p.x - q.x, p.y - q.y)
+        };
     }
 
     /**
-     * Handle mouse hover over canvas
+     * Handle mouse hover over the main diagram or a comparison tile
      */
-    handleCanvasHover(event) {
+    handleCanvasHover(event, diagram = this.diagram, above = false) {
         if (!this.currentSoundingData || !this.currentSoundingData.data) {
             this.hideCursorInfo();
             return;
         }
 
-        // Get canvas bounding rect
-        const rect = this.diagram.canvas.getBoundingClientRect();
-        const scaleX = this.diagram.canvas.width / rect.width;
-        const scaleY = this.diagram.canvas.height / rect.height;
-
         // Get mouse position relative to canvas
-        const canvasX = (event.clientX - rect.left) * scaleX;
-        const canvasY = (event.clientY - rect.top) * scaleY;
+        const { x: canvasX, y: canvasY } = diagram.eventPosition(event);
 
         // Check if mouse is within the diagram area
-        if (canvasX < this.diagram.margin.left ||
-            canvasX > this.diagram.margin.left + this.diagram.width ||
-            canvasY < this.diagram.margin.top ||
-            canvasY > this.diagram.margin.top + this.diagram.height) {
-            this.hideCursorInfo();
+        if (canvasX < diagram.margin.left ||
+            canvasX > diagram.margin.left + diagram.width ||
+            canvasY < diagram.margin.top ||
+            canvasY > diagram.margin.top + diagram.height) {
+            this.clearCanvasHover();
             return;
         }
 
-        // Convert Y position to height
-        const relativeY = canvasY - this.diagram.margin.top;
-        const ratio = 1 - (relativeY / this.diagram.height);
-        const height = this.diagram.hMin + ratio * (this.diagram.hMax - this.diagram.hMin);
+        // Convert Y position to height in the current vertical coordinate
+        const height = diagram.yToHeight(canvasY);
 
         // Interpolate data at this height
         const data = this.interpolateDataAtHeight(height);
 
+        // Mark the same height on the hodograph and the comparison diagrams
+        this.setHodographMarker(height);
+        this.setComparisonCursor(height);
+        this.updateComparisonCursorInfo(height);
+
         if (data) {
-            this.showCursorInfo(data, event.clientX, event.clientY);
+            this.showCursorInfo(data, event.clientX, event.clientY, above);
         } else {
             this.hideCursorInfo();
         }
     }
 
     /**
-     * Interpolate sounding data at a specific height
+     * Remove the hover tooltip, hodograph marker and shared comparison cursor
+     */
+    clearCanvasHover() {
+        this.hideCursorInfo();
+        this.setHodographMarker(null);
+        this.setComparisonCursor(null);
+    }
+
+    /**
+     * Interpolate sounding data at a specific height (the current sounding unless data is given)
      */
-    interpolateDataAtHeight(targetHeight) {
-        const data = this.currentSoundingData.data;
+    interpolateDataAtHeight(targetHeight, data = this.currentSoundingData.data) {
 
         // Find surrounding data points
         for (let i = 0; i < data.length - 1; i++) {
@@ -466,16 +3191,16 @@ class SoundingApp {
 
     /**
      * Show cursor info tooltip
+     * @param {boolean} above - Place it above the point, clear of a finger on a touch screen
      */
-    showCursorInfo(data, mouseX, mouseY) {
+    showCursorInfo(data, mouseX, mouseY, above = false) {
         // Update values
-        this.cursorHeight.textContent = `${Math.round(data.height)} m`;
-        this.cursorTemp.textContent = !isNaN(data.temp) ? `${data.temp.toFixed(1)}°C` : 'N/A';
-        this.cursorDewpoint.textContent = !isNaN(data.dewpoint) ? `${data.dewpoint.toFixed(1)}°C` : 'N/A';
+        this.cursorHeight.textContent = this.units.format('height', data.height);
+        this.cursorTemp.textContent = this.units.format('temperature', data.temp);
+        this.cursorDewpoint.textContent = this.units.format('temperature', data.dewpoint);
 
-        // Convert wind speed from m/s to km/h
-        const windKmh = data.windSpeed * 3.6;
-        this.cursorWind.textContent = !isNaN(data.windSpeed) ? `${windKmh.toFixed(1)} km/h` : 'N/A';
+        // Wind speed in the display unit
+        this.cursorWind.textContent = this.units.format('wind', data.windSpeed, 1);
 
         // Wind direction with cardinal direction
         if (!isNaN(data.windDir)) {
@@ -485,16 +3210,39 @@ class SoundingApp {
             this.cursorWindDir.textContent = 'N/A';
         }
 
-        this.cursorPressure.textContent = !isNaN(data.pressure) ? `${data.pressure.toFixed(1)} mb` : 'N/A';
+        this.cursorPressure.textContent = this.units.format('pressure', data.pressure, this.units.unit('pressure').decimals + 1);
 
-        // Position tooltip right next to cursor
-        const offsetX = 10;
-        const offsetY = -5;
-        this.cursorInfo.style.left = (mouseX + offsetX) + 'px';
-        this.cursorInfo.style.top = (mouseY + offsetY) + 'px';
+        // Derived values at the cursor
+        const derived = this.derived.at(data.temp, data.dewpoint, data.pressure);
+        this.cursorDerived.innerHTML = '<div class="divider"></div>';
+        this.derived.quantities.forEach(({ id, label }) => {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+
+            const name = document.createElement('span');
+            name.className = 'info-label';
+            name.textContent = `${label}:`;
+
+            const value = document.createElement('span');
+            value.className = 'info-value';
+            value.textContent = id === 'rhIce'
+                ? (isNaN(derived.rhIce) ? 'N/A' : `${Math.round(derived.rhIce)}%`)
+                : this.units.format('temperature', derived[id]);
+
+            row.appendChild(name);
+            row.appendChild(value);
+            this.cursorDerived.appendChild(row);
+        });
 
         // Show tooltip
         this.cursorInfo.classList.add('active');
+
+        // Position tooltip right next to cursor, kept inside the window on narrow screens
+        const offsetX = 10;
+        const offsetY = above ? -this.cursorInfo.offsetHeight - 40 : -5;
+        const maxLeft = window.innerWidth - this.cursorInfo.offsetWidth - 5;
+        this.cursorInfo.style.left = Math.max(5, Math.min(mouseX + offsetX, maxLeft)) + 'px';
+        this.cursorInfo.style.top = Math.max(5, mouseY + offsetY) + 'px';
     }
 
     /**
@@ -0,0 +1,196 @@
+/**
+ * Aviation hazards from a sounding: probable cloud layers, icing risk and clear-air turbulence
+ */
+
+class AviationAnalysis {
+    constructor() {
+        // Dew point depression (°C) of cloud by temperature, allowing for saturation over ice in cold air:
+        // cloud is likely at or below likely, possible at or below possible
+        this.cloudDepressions = [
+            { minTemp: 0, likely: 1, possible: 3 },
+            { minTemp: -20, likely: 2, possible: 4 },
+            { minTemp: -Infinity, likely: 3, possible: 6 }
+        ];
+
+        // Icing in likely cloud by temperature band (°C, down to minTemp); one step lighter in possible cloud
+        this.icingBands = [
+            { minTemp: -8, severity: 'moderate', type: 'Clear or mixed' },
+            { minTemp: -15, severity: 'moderate', type: 'Mixed or rime' },
+            { minTemp: -20, severity: 'light', type: 'Rime' }
+        ];
+        this.icingSeverities = ['trace', 'light', 'moderate', 'severe'];
+
+        // Clear-air turbulence from the bulk Richardson number of layers at least minDepth (m) deep with at
+        // least minShear (1/s) of wind shear, above the convective boundary layer (minHeightAGL, m)
+        this.turbulence = { moderateRi: 0.25, lightRi: 1, minShear: 0.005, minDepth: 50, minHeightAGL: 1000 };
+
+        // Hazard names shown in the report and on the diagram
+        this.hazards = { cloud: 'Cloud', icing: 'Icing', turbulence: 'Turbulence' };
+    }
+
+    /**
+     * Find the hazard layers of a sounding
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {Array} Layers ordered by base: [{ hazard ('cloud', 'icing' or 'turbulence'), severity,
+     *     base, top (m), basePressure, topPressure (hPa), type (icing), ri, shear (1/s, turbulence) }].
+     *     Cloud severity is 'likely' or 'possible'; icing 'trace' to 'severe'; turbulence 'light' or 'moderate'
+     */
+    analyze(data) {
+        if (!data) return [];
+
+        const levels = data
+            .filter(row => !isNaN(row.height) && !isNaN(row.pressure) && !isNaN(row.temp))
+            .sort((a, b) => a.height - b.height);
+        if (levels.length < 2) return [];
+
+        const order = Object.keys(this.hazards);
+        return [...this.cloudLayers(levels), ...this.icingLayers(levels), ...this.turbulenceLayers(levels)]
+            .sort((a, b) => a.base - b.base || order.indexOf(a.hazard) - order.indexOf(b.hazard));
+    }
+
+    /**
+     * Cloud likelihood at a level from its dew point depression: 'likely', 'possible' or null
+     */
+    cloudClass(row) {
+        if (isNaN(row.dewpoint)) return null;
+
+        const depression = row.temp - row.dewpoint;
+        const limits = this.cloudDepressions.find(band => row.temp >= band.minTemp);
+        return depression <= limits.likely ? 'likely' : depression <= limits.possible ? 'possible' : null;
+    }
+
+    /**
+     * Merge runs of consecutive levels with the same class into layers
+     * @param {Function} classify - Level to an object describing its class, or null
+     */
+    runs(levels, classify) {
+        const layers = [];
+        let current = null;
+
+        levels.forEach(row => {
+            const value = classify(row);
+            const key = value ? JSON.stringify(value) : null;
+
+            if (current && key === current.key) {
+                current.top = row.height;
+                current.topPressure = row.pressure;
+                return;
+            }
+
+            current = key ? { key, ...value, base: row.height, top: row.height, basePressure: row.pressure, topPressure: row.pressure } : null;
+            if (current) layers.push(current);
+        });
+
+        return layers.map(({ key, ...layer }) => layer);
+    }
+
+    /**
+     * Probable cloud layers; a layer with any likely level is likely
+     */
+    cloudLayers(levels) {
+        return this.runs(levels, row => this.cloudClass(row) ? { hazard: 'cloud' } : null).map(layer => {
+            const inLayer = levels.filter(row => row.height >= layer.base && row.height <= layer.top);
+            return { ...layer, severity: inLayer.some(row => this.cloudClass(row) === 'likely') ? 'likely' : 'possible' };
+        });
+    }
+
+    /**
+     * Icing risk layers: supercooled cloud by temperature band, and freezing rain or drizzle in the sub-zero
+     * layer beneath a warm layer aloft (see freezingPrecipitationLevels)
+     */
+    icingLayers(levels) {
+        const freezing = this.freezingPrecipitationLevels(levels);
+
+        return this.runs(levels, (row) => {
+            if (freezing.has(row)) return { hazard: 'icing', severity: 'severe', type: 'Freezing rain or drizzle' };
+
+            const cloud = this.cloudClass(row);
+            if (!cloud || row.temp > 0) return null;
+
+            const band = this.icingBands.find(item => row.temp >= item.minTemp);
+            if (!band) return null;
+
+            const step = this.icingSeverities.indexOf(band.severity) - (cloud === 'likely' ? 0 : 1);
+            return { hazard: 'icing', severity: this.icingSeverities[step], type: band.type };
+        });
+    }
+
+    /**
+     * Levels where precipitation melted in a warm (above 0°C) layer aloft freezes on contact: the sub-zero
+     * levels directly beneath the warm layer, when likely cloud lies in it or at the level directly above it
+     * @returns {Set} Levels of freezing rain or drizzle
+     */
+    freezingPrecipitationLevels(levels) {
+        const freezing = new Set();
+
+        for (let i = 1; i < levels.length; i++) {
+            if (levels[i].temp <= 0 || levels[i - 1].temp > 0) continue;
+
+            // Warm layer from level i to j, with its precipitation source in it or just above
+            let j = i;
+            while (j + 1 < levels.length && levels[j + 1].temp > 0) j++;
+            const source = levels.slice(i, j + 2).some(row => this.cloudClass(row) === 'likely');
+
+            for (let k = i - 1; source && k >= 0 && levels[k].temp <= 0; k--) {
+                freezing.add(levels[k]);
+            }
+            i = j;
+        }
+
+        return freezing;
+    }
+
+    /**
+     * Clear-air turbulence layers from the bulk Richardson number Ri = N² / (dV/dz)², merged when
+     * consecutive layers share a severity (keeping the lowest Ri and strongest shear)
+     */
+    turbulenceLayers(levels) {
+        const { g } = THERMO_CONSTANTS;
+        const { moderateRi, lightRi, minShear, minDepth, minHeightAGL } = this.turbulence;
+
+        const windLevels = levels.filter(row => !isNaN(row.windDir) && !isNaN(row.windSpeed));
+        if (windLevels.length < 2) return [];
+
+        const surfaceHeight = levels[0].height;
+        const thetaV = (row) => !isNaN(row.thetaV) ? row.thetaV
+            : Thermo.potentialTemperature(Thermo.virtualTemperature(row.temp, row.pressure, row.dewpoint), row.pressure);
+
+        const layers = [];
+        let lower = windLevels[0];
+
+        windLevels.slice(1).forEach(upper => {
+            const depth = upper.height - lower.height;
+            if (depth < minDepth) return;
+
+            const a = lower;
+            lower = upper;
+            if (a.height - surfaceHeight < minHeightAGL) return;
+
+            const va = WindAnalysis.toComponents(a.windDir, a.windSpeed);
+            const vb = WindAnalysis.toComponents(upper.windDir, upper.windSpeed);
+            const shear = Math.hypot(vb.u - va.u, vb.v - va.v) / depth;
+            if (shear < minShear) return;
+
+            const meanThetaV = (thetaV(a) + thetaV(upper)) / 2;
+            const ri = (g / meanThetaV) * (thetaV(upper) - thetaV(a)) / depth / (shear * shear);
+            const severity = ri < moderateRi ? 'moderate' : ri < lightRi ? 'light' : null;
+            if (!severity) return;
+
+            const previous = layers[layers.length - 1];
+            if (previous && previous.top === a.height && previous.severity === severity) {
+                previous.top = upper.height;
+                previous.topPressure = upper.pressure;
+                previous.ri = Math.min(previous.ri, ri);
+                previous.shear = Math.max(previous.shear, shear);
+                return;
+            }
+
+            layers.push({
+                hazard: 'turbulence', severity, ri, shear,
+                base: a.height, top: upper.height, basePressure: a.pressure, topPressure: upper.pressure
+            });
+        });
+
+        return layers;
+    }
+}
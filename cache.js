@@ -0,0 +1,165 @@
+/**
+ * Offline cache of parsed soundings in IndexedDB, keyed by station/date/hour
+ */
+
+class SoundingCache {
+    constructor() {
+        this.dbName = 'skewt-soundings';
+        this.storeName = 'soundings';
+        this.version = 1;
+
+        // Oldest unpinned soundings are evicted beyond this count
+        this.maxEntries = 200;
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Cache key for a sounding
+     */
+    static key(station, date, hour) {
+        return `${station}/${date}/${hour}`;
+    }
+
+    /**
+     * Open the database once; resolves to null where IndexedDB is unavailable (e.g. some private modes)
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Sounding cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once the transaction completes
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} operation - Receives the object store, returns an IDBRequest
+     */
+    async transact(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Cached record { key, station, date, hour, label, result, fetchedAt, pinned }, or null
+     */
+    async get(station, date, hour) {
+        const record = await this.transact('readonly', store => store.get(SoundingCache.key(station, date, hour)));
+        return record || null;
+    }
+
+    /**
+     * Store a parsed sounding, keeping its pin, then evict the oldest unpinned soundings over the limit
+     */
+    async put(station, date, hour, label, result) {
+        const existing = await this.get(station, date, hour);
+
+        await this.transact('readwrite', store => store.put({
+            key: SoundingCache.key(station, date, hour),
+            station,
+            date,
+            hour,
+            label,
+            result,
+            fetchedAt: Date.now(),
+            pinned: existing ? existing.pinned : false
+        }));
+
+        const records = await this.list();
+        const unpinned = records.filter(record => !record.pinned).sort((a, b) => a.fetchedAt - b.fetchedAt);
+        const excess = records.length - this.maxEntries;
+
+        for (let i = 0; i < excess && i < unpinned.length; i++) {
+            await this.remove(unpinned[i].key);
+        }
+    }
+
+    /**
+     * All cached records, newest sounding first
+     */
+    async list() {
+        const records = await this.transact('readonly', store => store.getAll());
+        if (!records) return [];
+
+        return records.sort((a, b) => `${b.date} ${b.hour}`.localeCompare(`${a.date} ${a.hour}`) ||
+                                      a.station.localeCompare(b.station));
+    }
+
+    /**
+     * Pin a sounding so purge and eviction keep it, or unpin it
+     */
+    async setPinned(key, pinned) {
+        const record = await this.transact('readonly', store => store.get(key));
+        if (!record) return;
+
+        record.pinned = pinned;
+        await this.transact('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete one sounding
+     */
+    async remove(key) {
+        await this.transact('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete all unpinned soundings
+     * @returns {number} Number of soundings deleted
+     */
+    async purge() {
+        const unpinned = (await this.list()).filter(record => !record.pinned);
+
+        for (const record of unpinned) {
+            await this.remove(record.key);
+        }
+
+        return unpinned.length;
+    }
+
+    /**
+     * Storage used by the cache
+     * @returns {object} { count, bytes, quota } - bytes estimated from the records, quota null when unknown
+     */
+    async usage() {
+        const records = await this.list();
+        const bytes = records.reduce((sum, record) => sum + JSON.stringify(record).length, 0);
+
+        let quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                quota = (await navigator.storage.estimate()).quota || null;
+            } catch (error) {
+                quota = null;
+            }
+        }
+
+        return { count: records.length, bytes, quota };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Set of soundings loaded for side-by-side or overlay comparison
+ */
+
+class SoundingComparison {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+
+        // Distinct styles assigned in turn to each added sounding
+        this.styles = [
+            { color: '#3182ce', dash: [] },
+            { color: '#d69e2e', dash: [10, 4] },
+            { color: '#805ad5', dash: [4, 4] },
+            { color: '#319795', dash: [12, 4, 3, 4] },
+            { color: '#d53f8c', dash: [2, 3] },
+            { color: '#2f855a', dash: [8, 2] }
+        ];
+
+        // Most soundings that can be compared at once
+        this.maxEntries = this.styles.length;
+    }
+
+    /**
+     * Add a parsed sounding to the set
+     * @param {object} result - Result of SoundingDataParser.parse()
+     * @param {string} label - Legend label, e.g. "Vernon 2025-06-15 12Z"
+     * @param {object|null} source - { station, date, hour } of an observed sounding, kept for shared links
+     * @returns {object|null} The new entry, or null if the set is full or already holds this label
+     */
+    add(result, label, source = null) {
+        if (this.entries.length >= this.maxEntries) return null;
+        if (this.entries.some(entry => entry.label === label)) return null;
+
+        const usedColors = this.entries.map(entry => entry.style.color);
+        const style = this.styles.find(s => !usedColors.includes(s.color));
+
+        const entry = {
+            id: this.nextId++,
+            label,
+            result,
+            source,
+            style
+        };
+        this.entries.push(entry);
+
+        return entry;
+    }
+
+    /**
+     * Remove a sounding by id
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+
+    /**
+     * Remove all soundings
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Whether the set holds any soundings
+     */
+    isActive() {
+        return this.entries.length > 0;
+    }
+}
@@ -0,0 +1,430 @@
+/**
+ * Time-Height Cross-Section Renderer
+ */
+
+class CrossSectionDiagram {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Diagram bounds
+        this.margin = { top: 50, right: 30, bottom: 60, left: 80 };
+        this.width = this.canvas.width - this.margin.left - this.margin.right;
+        this.height = this.canvas.height - this.margin.top - this.margin.bottom;
+
+        // Height range (meters)
+        this.hMin = 0;
+        this.hMax = 4500;
+
+        // Vertical grid levels used for interpolation and contouring
+        this.gridLevels = 60;
+
+        // Temperature contour interval (°C)
+        this.tempInterval = 5;
+
+        // Wind barb staff length (px)
+        this.barbLength = 30;
+
+        // Display units of the height axis, isotherm labels and wind barbs
+        this.units = new UnitSystem();
+
+        // Dewpoint depression shading (°C and below), moistest first
+        this.depressionShading = [
+            { max: 2, color: 'rgba(56, 161, 105, 0.55)' },
+            { max: 5, color: 'rgba(56, 161, 105, 0.35)' },
+            { max: 10, color: 'rgba(56, 161, 105, 0.15)' }
+        ];
+
+        // Columns from oldest to newest: [{ date, hour, label, result }], result null when missing
+        this.columns = [];
+
+        // Index of the column loaded into the Skew-T
+        this.selectedIndex = null;
+
+        this.title = '';
+    }
+
+    /**
+     * Set the display units (a UnitSystem shared with the rest of the page)
+     */
+    setUnits(units) {
+        this.units = units;
+    }
+
+    /**
+     * Set the height range (m)
+     */
+    setHeightRange(minHeight, maxHeight) {
+        this.hMin = minHeight;
+        this.hMax = maxHeight;
+    }
+
+    /**
+     * Mark the column loaded into the Skew-T (null to clear)
+     */
+    setSelected(index) {
+        this.selectedIndex = index;
+    }
+
+    /**
+     * Width of one sounding column (px)
+     */
+    columnWidth() {
+        return this.width / Math.max(1, this.columns.length);
+    }
+
+    /**
+     * Canvas x of the centre of a column
+     */
+    columnToX(index) {
+        return this.margin.left + (index + 0.5) * this.columnWidth();
+    }
+
+    /**
+     * Column under a canvas x position, or null outside the diagram
+     */
+    xToColumn(x) {
+        if (x < this.margin.left || x > this.margin.left + this.width) return null;
+
+        const index = Math.floor((x - this.margin.left) / this.columnWidth());
+        return index >= 0 && index < this.columns.length ? index : null;
+    }
+
+    /**
+     * Convert height to Y coordinate
+     */
+    heightToY(h) {
+        return this.margin.top + this.height * (this.hMax - h) / (this.hMax - this.hMin);
+    }
+
+    /**
+     * Value of a field at a height, interpolated linearly; NaN outside the sounding
+     */
+    valueAt(rows, h, valueOf) {
+        for (let i = 0; i < rows.length - 1; i++) {
+            const lower = rows[i];
+            const upper = rows[i + 1];
+
+            if (lower.height <= h && upper.height >= h) {
+                const ratio = upper.height === lower.height ? 0 : (h - lower.height) / (upper.height - lower.height);
+                return valueOf(lower) + ratio * (valueOf(upper) - valueOf(lower));
+            }
+        }
+
+        return NaN;
+    }
+
+    /**
+     * Temperature and dewpoint depression of every column on the regular height grid
+     * @returns {object} { heights, temp[column][level], depression[column][level] }
+     */
+    buildGrid() {
+        const heights = [];
+        for (let j = 0; j <= this.gridLevels; j++) {
+            heights.push(this.hMin + (this.hMax - this.hMin) * j / this.gridLevels);
+        }
+
+        const temp = [];
+        const depression = [];
+
+        this.columns.forEach(column => {
+            const rows = column.result
+                ? column.result.data.filter(row => !isNaN(row.height)).sort((a, b) => a.height - b.height)
+                : [];
+            const tempRows = rows.filter(row => !isNaN(row.temp));
+            const moistRows = tempRows.filter(row => !isNaN(row.dewpoint));
+
+            temp.push(heights.map(h => this.valueAt(tempRows, h, row => row.temp)));
+            depression.push(heights.map(h => this.valueAt(moistRows, h, row => row.temp - row.dewpoint)));
+        });
+
+        return { heights, temp, depression };
+    }
+
+    /**
+     * Clear and draw the cross-section
+     * @param {Array} columns - Soundings from oldest to newest: [{ date, hour, label, result }]
+     * @param {string} title - Diagram title, e.g. the station name
+     */
+    draw(columns, title) {
+        this.columns = columns;
+        this.title = title;
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (columns.length === 0) return;
+
+        const grid = this.buildGrid();
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(this.margin.left, this.margin.top, this.width, this.height);
+        this.ctx.clip();
+
+        this.drawMissingColumns();
+        this.drawDepressionShading(grid);
+        this.drawTemperatureContours(grid);
+        this.drawWindBarbs();
+        this.drawSelection();
+
+        this.ctx.restore();
+
+        this.drawAxes();
+        this.drawTitle();
+    }
+
+    /**
+     * Grey out columns whose sounding could not be loaded
+     */
+    drawMissingColumns() {
+        const colWidth = this.columnWidth();
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'center';
+
+        this.columns.forEach((column, i) => {
+            if (column.result) return;
+
+            const x = this.columnToX(i);
+            this.ctx.fillStyle = '#edf2f7';
+            this.ctx.fillRect(x - colWidth / 2, this.margin.top, colWidth, this.height);
+            this.ctx.fillStyle = '#a0aec0';
+            this.ctx.fillText('No data', x, this.margin.top + this.height / 2);
+        });
+    }
+
+    /**
+     * Shade moist layers between adjacent columns by dewpoint depression
+     */
+    drawDepressionShading(grid) {
+        const { heights, depression } = grid;
+
+        for (let i = 0; i < this.columns.length - 1; i++) {
+            const x1 = this.columnToX(i);
+            const x2 = this.columnToX(i + 1);
+
+            for (let j = 0; j < heights.length - 1; j++) {
+                const values = [depression[i][j], depression[i + 1][j], depression[i][j + 1], depression[i + 1][j + 1]];
+                if (values.some(isNaN)) continue;
+
+                const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+                const band = this.depressionShading.find(b => mean <= b.max);
+                if (!band) continue;
+
+                const yTop = this.heightToY(heights[j + 1]);
+                const yBottom = this.heightToY(heights[j]);
+                this.ctx.fillStyle = band.color;
+                this.ctx.fillRect(x1, yTop, x2 - x1, yBottom - yTop);
+            }
+        }
+    }
+
+    /**
+     * Draw isotherms by marching squares, with the 0°C line emphasized
+     */
+    drawTemperatureContours(grid) {
+        const { heights, temp } = grid;
+
+        let minT = Infinity;
+        let maxT = -Infinity;
+        temp.forEach(column => column.forEach(t => {
+            if (!isNaN(t)) {
+                minT = Math.min(minT, t);
+                maxT = Math.max(maxT, t);
+            }
+        }));
+        if (minT === Infinity) return;
+
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.textAlign = 'center';
+
+        const first = Math.ceil(minT / this.tempInterval) * this.tempInterval;
+        for (let level = first; level <= maxT; level += this.tempInterval) {
+            const segments = this.contourSegments(temp, heights, level);
+            if (segments.length === 0) continue;
+
+            const freezing = level === 0;
+            this.ctx.strokeStyle = freezing ? '#2b6cb0' : '#e53e3e';
+            this.ctx.lineWidth = freezing ? 2.5 : 1.2;
+
+            this.ctx.beginPath();
+            segments.forEach(([a, b]) => {
+                this.ctx.moveTo(a.x, a.y);
+                this.ctx.lineTo(b.x, b.y);
+            });
+            this.ctx.stroke();
+
+            // Label on the leftmost segment
+            const labelSegment = segments.reduce((left, s) => s[0].x < left[0].x ? s : left);
+            const lx = (labelSegment[0].x + labelSegment[1].x) / 2;
+            const ly = (labelSegment[0].y + labelSegment[1].y) / 2;
+            const text = `${Math.round(this.units.convert('temperature', level))}°`;
+            const textWidth = this.ctx.measureText(text).width;
+
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            this.ctx.fillRect(lx - textWidth / 2 - 2, ly - 7, textWidth + 4, 13);
+            this.ctx.fillStyle = this.ctx.strokeStyle;
+            this.ctx.fillText(text, lx, ly + 4);
+        }
+    }
+
+    /**
+     * Line segments of one contour level across the column/height grid
+     * @returns {Array} [[{ x, y }, { x, y }], ...]
+     */
+    contourSegments(field, heights, level) {
+        const segments = [];
+
+        for (let i = 0; i < field.length - 1; i++) {
+            const x1 = this.columnToX(i);
+            const x2 = this.columnToX(i + 1);
+
+            for (let j = 0; j < heights.length - 1; j++) {
+                const y1 = this.heightToY(heights[j]);
+                const y2 = this.heightToY(heights[j + 1]);
+
+                // Cell corners, counter-clockwise from bottom left
+                const corners = [
+                    { x: x1, y: y1, v: field[i][j] },
+                    { x: x2, y: y1, v: field[i + 1][j] },
+                    { x: x2, y: y2, v: field[i + 1][j + 1] },
+                    { x: x1, y: y2, v: field[i][j + 1] }
+                ];
+                if (corners.some(c => isNaN(c.v))) continue;
+
+                const points = [];
+                corners.forEach((a, k) => {
+                    const b = corners[(k + 1) % 4];
+                    if ((a.v < level) !== (b.v < level)) {
+                        const t = (level - a.v) / (b.v - a.v);
+                        points.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+                    }
+                });
+
+                if (points.length >= 2) segments.push([points[0], points[1]]);
+                if (points.length === 4) segments.push([points[2], points[3]]);
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Draw wind barbs down the centre of each column
+     */
+    drawWindBarbs() {
+        const interval = this.hMax - this.hMin < 5000 ? 250 : 500;
+        const barb = { length: this.barbLength, increments: this.units.barbs(), color: '#000000', width: 1.5 };
+
+        this.columns.forEach((column, i) => {
+            if (!column.result) return;
+
+            const x = this.columnToX(i);
+            let lastH = -10000;
+
+            column.result.data
+                .filter(row => !isNaN(row.height) && !isNaN(row.windSpeed) && !isNaN(row.windDir) &&
+                               row.height >= this.hMin && row.height <= this.hMax)
+                .sort((a, b) => a.height - b.height)
+                .forEach(row => {
+                    if (row.height - lastH < interval) return;
+                    lastH = row.height;
+
+                    WindBarb.draw(this.ctx, x, this.heightToY(row.height), row.windDir, this.units.convert('wind', row.windSpeed), barb);
+                });
+        });
+    }
+
+    /**
+     * Outline the column loaded into the Skew-T
+     */
+    drawSelection() {
+        if (this.selectedIndex === null || this.selectedIndex >= this.columns.length) return;
+
+        const colWidth = this.columnWidth();
+        const x = this.columnToX(this.selectedIndex);
+
+        this.ctx.strokeStyle = '#667eea';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeRect(x - colWidth / 2 + 1.5, this.margin.top + 1.5, colWidth - 3, this.height - 3);
+    }
+
+    /**
+     * Draw the height axis, time labels and border
+     */
+    drawAxes() {
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(this.margin.left, this.margin.top, this.width, this.height);
+
+        // Height axis, with a round interval in the display unit
+        const displayMin = this.units.convert('height', this.hMin);
+        const displayMax = this.units.convert('height', this.hMax);
+        const interval = [250, 500, 1000, 2000, 5000].find(step => (displayMax - displayMin) / step <= 12) || 10000;
+
+        this.ctx.fillStyle = '#000000';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'right';
+
+        for (let value = Math.ceil(displayMin / interval) * interval; value <= displayMax; value += interval) {
+            const y = this.heightToY(this.units.toBase('height', value));
+            this.ctx.fillText(`${value} ${this.units.label('height')}`, this.margin.left - 8, y + 4);
+        }
+
+        // Time labels under each column
+        this.ctx.textAlign = 'center';
+        this.columns.forEach((column, i) => {
+            const x = this.columnToX(i);
+            const [, month, day] = column.date.split('-');
+            this.ctx.fillText(`${day}/${month}`, x, this.margin.top + this.height + 18);
+            this.ctx.fillText(`${column.hour}Z`, x, this.margin.top + this.height + 34);
+        });
+    }
+
+    /**
+     * Draw title and legend
+     */
+    drawTitle() {
+        this.ctx.fillStyle = '#000000';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.title, this.margin.left, 30);
+
+        // Legend, right-aligned above the diagram
+        this.ctx.font = '11px Arial';
+        let x = this.margin.left + this.width;
+
+        const items = [
+            ...[...this.depressionShading].reverse().map(band => ({
+                fill: band.color,
+                label: `T−Td ≤ ${+this.units.convertDelta(band.max).toFixed(1)}${this.units.label('temperature')}`
+            })),
+            { stroke: '#2b6cb0', label: this.units.format('temperature', 0, 0) },
+            { stroke: '#e53e3e', label: `Isotherms (${+this.units.convertDelta(this.tempInterval).toFixed(1)}${this.units.label('temperature')})` }
+        ];
+
+        items.reverse().forEach(item => {
+            const textWidth = this.ctx.measureText(item.label).width;
+            x -= textWidth;
+
+            this.ctx.fillStyle = '#1a202c';
+            this.ctx.fillText(item.label, x, 30);
+
+            x -= 24;
+            if (item.fill) {
+                this.ctx.fillStyle = item.fill;
+                this.ctx.fillRect(x, 22, 18, 10);
+            } else {
+                this.ctx.strokeStyle = item.stroke;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, 27);
+                this.ctx.lineTo(x + 18, 27);
+                this.ctx.stroke();
+            }
+            x -= 16;
+        });
+    }
+}
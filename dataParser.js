@@ -1,33 +1,143 @@
 /**
- * Parser for University of Wyoming Atmospheric Sounding Data
+ * Parser for University of Wyoming Atmospheric Sounding Data and imported sounding files
  */
 
+const KNOTS_TO_MS = 0.514444;
+
 class SoundingDataParser {
     constructor() {
         this.data = null;
         this.metadata = {};
+
+        // Per-line problems from the last parse: [{ line, text, message }]
+        this.errors = [];
+
+        // Model run from the last parse of a forecast file: { runTime, steps: [{ forecastHour, validTime, metadata, data }] }
+        this.forecast = null;
+
+        // Supported input formats
+        this.formats = {
+            'uw-text': 'UW TEXT:LIST',
+            'uw-html': 'UW TEXT:LIST HTML page',
+            'uw-csv': 'UW CSV',
+            'sharppy': 'SHARPpy %RAW%',
+            'csv': 'Generic CSV',
+            'igra2': 'IGRA2 station file',
+            'bufkit': 'BUFKIT model sounding',
+            'open-meteo': 'Open-Meteo pressure-level JSON'
+        };
+
+        // Header patterns used to find generic CSV columns when no mapping is given, checked in order
+        this.csvColumnPatterns = [
+            { field: 'dewpoint', pattern: /dwpt|dew/i },
+            { field: 'pressure', pattern: /^(pres|pressure|p)\b|^pressure/i },
+            { field: 'height', pattern: /hght|height|geopot|^z\b|^alt/i },
+            { field: 'temp', pattern: /^(temp|temperature|t)\b|^temperature/i },
+            { field: 'windDir', pattern: /drct|wdir|direction/i },
+            { field: 'windSpeed', pattern: /sknt|sped|wspd|speed/i }
+        ];
+
+        // Cell text treated as missing, besides the -9999 fill value
+        this.missingValues = ['', 'M', 'NA', 'NAN', '//'];
+
+        // UW table columns and the row field each fills. TEXT:LIST from BUFR data adds frost point (FRPT) and
+        // humidity over ice (RELI), which are not kept; older TEMP-derived tables may lack the humidity and
+        // potential temperature columns, which are then computed. Other columns are ignored
+        this.tableColumnFields = {
+            PRES: 'pressure',
+            HGHT: 'height',
+            TEMP: 'temp',
+            DWPT: 'dewpoint',
+            RELH: 'relHumidity',
+            MIXR: 'mixingRatio',
+            DRCT: 'windDir',
+            SKNT: 'windSpeed',
+            SPED: 'windSpeed',
+            THTA: 'theta',
+            THTE: 'thetaE',
+            THTV: 'thetaV'
+        };
+
+        // Units assumed for table columns when the table has no units line
+        this.tableDefaultUnits = { SKNT: 'knot', SPED: 'm/s' };
+
+        // Conversions of table units to the stored °C, m/s and m by field; other units are taken as stored
+        const fromFahrenheit = value => (value - 32) * 5 / 9;
+        const fromKelvin = value => value - 273.15;
+        const fromKnots = value => value * KNOTS_TO_MS;
+        this.tableUnitConversions = {
+            temp: { F: fromFahrenheit, K: fromKelvin },
+            dewpoint: { F: fromFahrenheit, K: fromKelvin },
+            windSpeed: { knot: fromKnots, kt: fromKnots, 'km/h': value => value / 3.6, mph: value => value * 0.44704 },
+            height: { ft: value => value * 0.3048 }
+        };
     }
 
     /**
-     * Parse raw text data from UW Wyoming
-     * @param {string} rawText - Raw text from the sounding page
-     * @returns {object} Parsed sounding data with metadata
+     * Parse sounding text in any supported format
+     * @param {string} rawText - Raw text from the sounding page or an imported file
+     * @param {object} options - { format: 'auto' or a key of this.formats,
+     *     columns: generic CSV mapping { pressure, height, temp, dewpoint, windDir, windSpeed } to header names or 1-based numbers,
+     *     windUnits: 'auto', 'ms', 'kt', 'kmh' or 'mph' for generic CSV,
+     *     date, hour: UTC date (YYYY-MM-DD) and hour of the record to take from a multi-sounding IGRA2 file, latest if omitted,
+     *     forecastHour: forecast hour to return from a model run, first if omitted }
+     * @returns {object} Parsed sounding data with metadata, the format used and per-line errors;
+     *     model runs also return forecast: { runTime, steps } with every forecast hour
      */
-    parse(rawText) {
+    parse(rawText, options = {}) {
+        this.errors = [];
+        this.forecast = null;
+
         try {
-            // Extract metadata
-            this.metadata = this.extractMetadata(rawText);
+            const format = !options.format || options.format === 'auto' ? this.detectFormat(rawText) : options.format;
+            if (!format) {
+                throw new Error('Unrecognised sounding format. Expected UW TEXT:LIST, UW CSV, SHARPpy %RAW%, IGRA2, BUFKIT, Open-Meteo JSON or CSV with a header row.');
+            }
+
+            if (format === 'sharppy') {
+                this.parseSharppy(rawText);
+            } else if (format === 'igra2') {
+                this.parseIGRA2(rawText, options.date, options.hour);
+            } else if (format === 'bufkit') {
+                this.parseBufkit(rawText, options.forecastHour);
+            } else if (format === 'open-meteo') {
+                this.parseOpenMeteo(rawText, options.forecastHour);
+            } else if (format === 'uw-csv' || format === 'csv') {
+                this.parseCSV(rawText, options.columns || {}, options.windUnits || 'auto');
+            } else {
+                const text = format === 'uw-html' ? this.stripHTML(rawText) : rawText;
+
+                // Extract metadata
+                this.metadata = this.extractMetadata(text);
 
-            // Extract tabular data
-            const rows = this.extractDataRows(rawText);
+                // Extract tabular data and the columns named in its header
+                const { columns, rows } = this.extractDataRows(text);
 
-            // Parse each row
-            this.data = rows.map(row => this.parseRow(row)).filter(row => row !== null);
+                // Parse each row
+                this.data = [];
+                rows.forEach(({ line, text: rowText }) => {
+                    const { row, problem } = this.parseRow(rowText, columns);
+                    if (row) {
+                        this.data.push(row);
+                    } else {
+                        this.errors.push({ line, text: rowText, message: problem });
+                    }
+                });
+
+                // Levels before the first temperature are extrapolated below the station (pressure and height only)
+                const surface = this.data.findIndex(row => !isNaN(row.temp));
+                if (surface > 0) this.data = this.data.slice(surface);
+                this.fillMissingHeights();
+                if (this.metadata.elevation === undefined && this.data.length > 0) this.metadata.elevation = this.data[0].height;
+            }
 
             return {
                 metadata: this.metadata,
                 data: this.data,
-                valid: this.data.length > 0
+                valid: this.data.length > 0,
+                format,
+                errors: this.errors,
+                forecast: this.forecast
             };
         } catch (error) {
             console.error('Error parsing sounding data:', error);
@@ -35,11 +145,580 @@ class SoundingDataParser {
                 metadata: {},
                 data: [],
                 valid: false,
-                error: error.message
+                error: error.message,
+                format: null,
+                errors: this.errors,
+                forecast: null
             };
         }
     }
 
+    /**
+     * Guess the format of sounding text
+     * @returns {string|null} A key of this.formats, or null when unrecognised
+     */
+    detectFormat(text) {
+        if (/%RAW%/.test(text)) return 'sharppy';
+        if (/^\s*SNPARM\s*=/m.test(text)) return 'bufkit';
+        if (/^\s*\{/.test(text) && /"hourly"\s*:/.test(text)) return 'open-meteo';
+        if (/^#[A-Z]{2}[A-Z0-9]{9} \d{4}/m.test(text)) return 'igra2';
+        if (/<(html|pre|h2)\b/i.test(text)) return 'uw-html';
+        if (/PRES.*HGHT.*TEMP/.test(text)) return 'uw-text';
+
+        const header = text.split(/\r?\n/).find(line => line.trim() !== '');
+        if (header && /[,;\t]/.test(header) && /[a-z]/i.test(header)) {
+            return /pressure_(hPa|inHg)|geopotential height/i.test(header) ? 'uw-csv' : 'csv';
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove HTML tags and entities, keeping line breaks so line numbers still match the file
+     */
+    stripHTML(html) {
+        return html
+            .replace(/<[^>\n]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Parse a SHARPpy/NSHARP text file (%TITLE% and comma-separated %RAW% block, wind in knots)
+     */
+    parseSharppy(text) {
+        const lines = text.split(/\r?\n/);
+        this.metadata = {};
+        this.data = [];
+
+        // Title line: station and yymmdd/hhmm
+        const titleIndex = lines.findIndex(line => line.includes('%TITLE%'));
+        const title = titleIndex >= 0 ? lines.slice(titleIndex + 1).find(line => line.trim() !== '') : null;
+        if (title) {
+            const [station, time] = title.trim().split(/\s+/);
+            this.metadata.station = station;
+            this.metadata.stationName = station;
+            if (time) this.metadata.observationTime = time;
+        }
+
+        let inData = false;
+        lines.forEach((text, i) => {
+            if (text.includes('%RAW%')) {
+                inData = true;
+                return;
+            }
+            if (text.includes('%END%')) {
+                inData = false;
+                return;
+            }
+            if (!inData || text.trim() === '') return;
+
+            const values = text.split(',').map(value => this.parseValue(value));
+            if (values.length < 6) {
+                this.errors.push({ line: i + 1, text, message: `Expected 6 comma-separated values, found ${values.length}` });
+                return;
+            }
+            if (values.slice(0, 6).some(value => value === null)) {
+                this.errors.push({ line: i + 1, text, message: 'Non-numeric value' });
+                return;
+            }
+
+            const [pressure, height, temp, dewpoint, windDir, windSpeed] = values;
+            if (isNaN(pressure)) {
+                this.errors.push({ line: i + 1, text, message: 'Missing pressure' });
+                return;
+            }
+
+            this.data.push(this.completeRow({
+                pressure, height, temp, dewpoint, windDir,
+                windSpeed: windSpeed * KNOTS_TO_MS
+            }));
+        });
+
+        if (this.data.length > 0 && this.metadata.elevation === undefined) {
+            this.metadata.elevation = this.data[0].height;
+        }
+    }
+
+    /**
+     * Parse CSV with a header row (UW CSV or generic), using the given or detected column mapping
+     */
+    parseCSV(text, columns, windUnits) {
+        const lines = text.split(/\r?\n/);
+        this.metadata = {};
+        this.data = [];
+
+        const headerIndex = lines.findIndex(line => line.trim() !== '');
+        if (headerIndex < 0) throw new Error('CSV is empty');
+
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            lines[headerIndex].split(d).length > lines[headerIndex].split(best).length ? d : best);
+        const split = (line) => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        const headers = split(lines[headerIndex]);
+
+        const mapping = this.mapCSVColumns(headers, columns);
+        ['pressure', 'height', 'temp'].forEach(field => {
+            if (mapping[field] === undefined) {
+                throw new Error(`CSV has no ${field} column. Map it explicitly by header name or column number.`);
+            }
+        });
+
+        // Wind speed units from the option or the speed column header
+        const speedHeader = mapping.windSpeed !== undefined ? headers[mapping.windSpeed] : '';
+        const units = windUnits !== 'auto' ? windUnits
+            : /knot|(?:\b|_)kt\b|sknt/i.test(speedHeader) ? 'kt'
+            : /km\/?h/i.test(speedHeader) ? 'kmh'
+            : /mph/i.test(speedHeader) ? 'mph'
+            : 'ms';
+        const speedFactor = { ms: 1, kt: KNOTS_TO_MS, kmh: 1 / 3.6, mph: 0.44704 }[units];
+
+        // Temperature, height and pressure units from the headers (exports in display units carry them)
+        const header = (field) => mapping[field] !== undefined ? headers[mapping[field]] : '';
+        const fahrenheit = (text) => /(?:_|°|deg)F$|fahrenheit|\(F\)/i.test(text);
+        const convertTemp = { temp: fahrenheit(header('temp')), dewpoint: fahrenheit(header('dewpoint')) };
+        const heightFactor = /_ft$|feet|\(ft\)/i.test(header('height')) ? 0.3048 : 1;
+        const pressureFactor = /inhg/i.test(header('pressure')) ? 1 / 0.02952999 : 1;
+
+        const timeIndex = headers.findIndex(h => /^(time|date)/i.test(h));
+        const latIndex = headers.findIndex(h => /^lat/i.test(h));
+        const lonIndex = headers.findIndex(h => /^lon/i.test(h));
+
+        for (let i = headerIndex + 1; i < lines.length; i++) {
+            const text = lines[i];
+            if (text.trim() === '') continue;
+
+            const cells = split(text);
+            const row = {};
+            let problem = null;
+
+            Object.entries(mapping).forEach(([field, index]) => {
+                if (problem) return;
+                if (index >= cells.length) {
+                    problem = `Missing ${field} column (${cells.length} columns)`;
+                    return;
+                }
+
+                const value = this.parseValue(cells[index]);
+                if (value === null) problem = `Non-numeric ${field} "${cells[index]}"`;
+                row[field] = value;
+            });
+
+            if (!problem && isNaN(row.pressure)) problem = 'Missing pressure';
+            if (problem) {
+                this.errors.push({ line: i + 1, text, message: problem });
+                continue;
+            }
+
+            if (row.windSpeed !== undefined) row.windSpeed *= speedFactor;
+            ['temp', 'dewpoint'].forEach(field => {
+                if (convertTemp[field] && row[field] !== undefined) row[field] = (row[field] - 32) * 5 / 9;
+            });
+            row.pressure *= pressureFactor;
+            row.height *= heightFactor;
+
+            if (this.data.length === 0) {
+                if (timeIndex >= 0) this.metadata.observationTime = cells[timeIndex];
+                if (latIndex >= 0) this.metadata.latitude = parseFloat(cells[latIndex]);
+                if (lonIndex >= 0) this.metadata.longitude = parseFloat(cells[lonIndex]);
+            }
+
+            this.data.push(this.completeRow(row));
+        }
+
+        // Surface first, as in the UW tables
+        this.data.sort((a, b) => b.pressure - a.pressure);
+
+        if (this.data.length > 0) this.metadata.elevation = this.data[0].height;
+    }
+
+    /**
+     * Resolve CSV column indices from an explicit mapping (header name or 1-based number) or header patterns
+     * @returns {object} field -> column index
+     */
+    mapCSVColumns(headers, columns) {
+        const mapping = {};
+
+        Object.entries(columns).forEach(([field, column]) => {
+            if (column === undefined || column === null || String(column).trim() === '') return;
+
+            const name = String(column).trim();
+            const index = /^\d+$/.test(name)
+                ? parseInt(name, 10) - 1
+                : headers.findIndex(h => h.toLowerCase() === name.toLowerCase());
+
+            if (index < 0 || index >= headers.length) {
+                throw new Error(`CSV column "${name}" for ${field} not found. Columns: ${headers.join(', ')}`);
+            }
+            mapping[field] = index;
+        });
+
+        this.csvColumnPatterns.forEach(({ field, pattern }) => {
+            if (mapping[field] !== undefined) return;
+
+            const used = Object.values(mapping);
+            const index = headers.findIndex((h, i) => !used.includes(i) && pattern.test(h));
+            if (index >= 0) mapping[field] = index;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Numeric cell value: NaN for missing markers, null when not a number
+     */
+    parseValue(cell) {
+        const text = cell.trim();
+        if (this.missingValues.includes(text.toUpperCase())) return NaN;
+
+        const value = Number(text);
+        if (isNaN(value)) return null;
+        return value === -9999 ? NaN : value;
+    }
+
+    /**
+     * Parse one sounding from an IGRA2 station data file (fixed-width records, each headed by a # line)
+     * @param {string|null} date - UTC date (YYYY-MM-DD) and hour of the record, latest record if omitted
+     */
+    parseIGRA2(text, date, hour) {
+        const lines = text.split(/\r?\n/);
+        const field = (line, start, end) => parseInt(line.substring(start - 1, end), 10);
+
+        // Header columns: ID 2-12, YEAR 14-17, MONTH 19-20, DAY 22-23, HOUR 25-26, LAT 56-62, LON 64-71
+        let headerIndex = -1;
+        lines.forEach((line, i) => {
+            if (!line.startsWith('#')) return;
+            const recordDate = `${line.substring(13, 17)}-${line.substring(18, 20)}-${line.substring(21, 23)}`;
+            if (!date || (recordDate === date && line.substring(24, 26) === hour)) headerIndex = i;
+        });
+
+        if (headerIndex < 0) {
+            throw new Error(date ? `No IGRA2 sounding for ${date} ${hour}Z in this file` : 'No IGRA2 sounding records found');
+        }
+
+        const header = lines[headerIndex];
+        this.metadata = {
+            station: header.substring(1, 12).trim(),
+            stationName: header.substring(1, 12).trim(),
+            observationTime: `${header.substring(13, 17)}-${header.substring(18, 20)}-${header.substring(21, 23)} ${header.substring(24, 26)}Z`,
+            latitude: field(header, 56, 62) / 10000,
+            longitude: field(header, 64, 71) / 10000
+        };
+        this.data = [];
+
+        // Missing (-9999) and removed (-8888) values
+        const value = (line, start, end, scale = 1) => {
+            const v = field(line, start, end);
+            return isNaN(v) || v <= -8888 ? NaN : v / scale;
+        };
+
+        // Level columns: PRESS 10-15 (Pa), GPH 17-21 (m), TEMP 23-27 (0.1°C), DPDP 35-39 (0.1°C), WDIR 41-45, WSPD 47-51 (0.1 m/s)
+        for (let i = headerIndex + 1; i < lines.length && !lines[i].startsWith('#'); i++) {
+            const line = lines[i];
+            if (line.trim() === '') continue;
+
+            if (line.length < 51) {
+                this.errors.push({ line: i + 1, text: line, message: `Expected 51 characters, found ${line.length}` });
+                continue;
+            }
+
+            // Height-only wind levels have no pressure
+            const pressure = value(line, 10, 15, 100);
+            if (isNaN(pressure)) continue;
+
+            const temp = value(line, 23, 27, 10);
+            this.data.push(this.completeRow({
+                pressure,
+                height: value(line, 17, 21),
+                temp,
+                dewpoint: temp - value(line, 35, 39, 10),
+                windDir: value(line, 41, 45),
+                windSpeed: value(line, 47, 51, 10)
+            }));
+
+            // Surface level (LVLTYP2 = 1) gives the station elevation
+            if (line[1] === '1') this.metadata.elevation = value(line, 17, 21);
+        }
+
+        this.data.sort((a, b) => b.pressure - a.pressure);
+        this.fillMissingHeights();
+    }
+
+    /**
+     * Parse a BUFKIT model point sounding file: one STID block per forecast hour, each with a level table
+     * whose columns are named by SNPARM and whose rows may wrap over several lines
+     * @param {number} forecastHour - Forecast hour to make current, first if omitted
+     */
+    parseBufkit(text, forecastHour) {
+        const paramMatch = text.match(/SNPARM\s*=\s*([A-Z0-9;]+)/);
+        if (!paramMatch) {
+            throw new Error('No SNPARM line naming the BUFKIT profile columns');
+        }
+        const params = paramMatch[1].split(';');
+        const column = (name) => params.indexOf(name);
+
+        const missing = ['PRES', 'TMPC', 'DWPC', 'HGHT'].filter(name => column(name) < 0);
+        if (missing.length > 0) {
+            throw new Error(`BUFKIT SNPARM lacks ${missing.join(', ')}`);
+        }
+
+        // Wind speed in knots (SKNT) or m/s (SPED)
+        const speedColumn = column('SKNT') >= 0 ? column('SKNT') : column('SPED');
+        const speedFactor = column('SKNT') >= 0 ? KNOTS_TO_MS : 1;
+
+        const steps = [];
+        let step = null;
+        let headerNames = 0;
+        let values = [];
+
+        text.split(/\r?\n/).forEach((line, i) => {
+            const tokens = line.trim().split(/\s+/).filter(token => token !== '');
+            if (tokens.length === 0) return;
+
+            // Surface time series after the last profile
+            if (tokens[0] === 'STN') {
+                step = null;
+                return;
+            }
+
+            if (tokens[0] === 'STID') {
+                step = { header: {}, data: [] };
+                steps.push(step);
+                headerNames = 0;
+                values = [];
+            }
+            if (!step) return;
+
+            // Station parameters (STID = KDEN STNM = 725650 TIME = 250615/1200, SLAT = ..., STIM = 12)
+            if (line.includes('=')) {
+                for (const match of line.matchAll(/(\w+)\s*=\s*(\S*)/g)) {
+                    step.header[match[1]] = match[2];
+                }
+                return;
+            }
+
+            // Column names, possibly over two lines, precede the level values
+            if (headerNames < params.length && tokens.every(token => params.includes(token))) {
+                headerNames += tokens.length;
+                return;
+            }
+            if (headerNames < params.length) return;
+
+            tokens.forEach(token => values.push({ value: this.parseValue(token), token, line: i + 1, text: line }));
+
+            while (values.length >= params.length) {
+                const level = values.splice(0, params.length);
+                const bad = level.find(cell => cell.value === null);
+                if (bad) {
+                    this.errors.push({ line: bad.line, text: bad.text, message: `Non-numeric value "${bad.token}"` });
+                    continue;
+                }
+
+                const value = (index) => index >= 0 ? level[index].value : NaN;
+                if (isNaN(value(column('PRES')))) continue;
+
+                step.data.push(this.completeRow({
+                    pressure: value(column('PRES')),
+                    height: value(column('HGHT')),
+                    temp: value(column('TMPC')),
+                    dewpoint: value(column('DWPC')),
+                    windDir: value(column('DRCT')),
+                    windSpeed: value(speedColumn) * speedFactor
+                }));
+            }
+        });
+
+        if (steps.length === 0) {
+            throw new Error('No BUFKIT profiles found');
+        }
+
+        const forecastSteps = steps.map(({ header, data }) => {
+            // TIME = YYMMDD/HHMM
+            const time = (header.TIME || '').match(/^(\d{2})(\d{2})(\d{2})\/(\d{2})/);
+            const validTime = time ? `20${time[1]}-${time[2]}-${time[3]} ${time[4]}Z` : header.TIME;
+            const hour = parseInt(header.STIM, 10);
+            const station = header.STID || header.STNM;
+
+            return {
+                forecastHour: isNaN(hour) ? 0 : hour,
+                validTime,
+                metadata: {
+                    station,
+                    stationName: station,
+                    observationTime: `${validTime} (+${isNaN(hour) ? 0 : hour}h)`,
+                    latitude: parseFloat(header.SLAT),
+                    longitude: parseFloat(header.SLON),
+                    elevation: parseFloat(header.SELV)
+                },
+                data: data.sort((a, b) => b.pressure - a.pressure)
+            };
+        });
+
+        this.setForecast(forecastSteps, forecastHour);
+    }
+
+    /**
+     * Parse Open-Meteo style JSON with hourly pressure-level variables (temperature_850hPa, geopotential_height_850hPa, ...)
+     * and optional surface variables (surface_pressure, temperature_2m, dew_point_2m, wind_speed_10m, ...)
+     * @param {number} forecastHour - Hours after the first time to make current, first if omitted
+     */
+    parseOpenMeteo(text, forecastHour) {
+        const json = JSON.parse(text);
+        const hourly = json.hourly;
+        if (!hourly || !Array.isArray(hourly.time)) {
+            throw new Error('JSON has no hourly.time array');
+        }
+
+        const levels = Object.keys(hourly)
+            .map(key => key.match(/^temperature_(\d+)hPa$/))
+            .filter(match => match)
+            .map(match => parseInt(match[1], 10))
+            .sort((a, b) => b - a);
+        if (levels.length === 0) {
+            throw new Error('JSON has no pressure-level temperatures (temperature_<level>hPa)');
+        }
+
+        const units = json.hourly_units || {};
+        const speedFactors = { 'km/h': 1 / 3.6, 'm/s': 1, 'kn': KNOTS_TO_MS, 'mp/h': 0.44704 };
+        const series = (name, i) => {
+            const values = hourly[name];
+            if (!values || values[i] === null || values[i] === undefined) return NaN;
+            if (/^temperature|^dew_point/.test(name) && units[name] === '°F') return (values[i] - 32) * 5 / 9;
+            if (/^wind_speed/.test(name)) return values[i] * (speedFactors[units[name]] || speedFactors['km/h']);
+            return values[i];
+        };
+
+        // Dewpoint from the dewpoint series, or from relative humidity
+        const dewpoint = (suffix, temp, i) => {
+            const td = series(`dew_point_${suffix}`, i);
+            if (!isNaN(td)) return td;
+            const rh = series(`relative_humidity_${suffix}`, i);
+            return isNaN(rh) || rh <= 0 ? NaN : Thermo.dewpointFromVaporPressure(rh / 100 * Thermo.saturationVaporPressure(temp));
+        };
+
+        const latitude = json.latitude;
+        const longitude = json.longitude;
+        const station = `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
+
+        // Times are local to the requested timezone; utc_offset_seconds converts them to UTC
+        const offset = (json.utc_offset_seconds || 0) * 1000;
+        const start = Date.parse(`${hourly.time[0]}Z`) - offset;
+
+        const steps = hourly.time.map((time, i) => {
+            const validDate = new Date(Date.parse(`${time}Z`) - offset);
+            const validTime = `${validDate.toISOString().slice(0, 10)} ${validDate.toISOString().slice(11, 13)}Z`;
+            const hour = Math.round((validDate.getTime() - start) / 3600000);
+            const data = [];
+
+            const surfacePressure = series('surface_pressure', i);
+            const surfaceTemp = series('temperature_2m', i);
+            if (!isNaN(surfacePressure) && !isNaN(surfaceTemp)) {
+                data.push(this.completeRow({
+                    pressure: surfacePressure,
+                    height: json.elevation,
+                    temp: surfaceTemp,
+                    dewpoint: dewpoint('2m', surfaceTemp, i),
+                    windDir: series('wind_direction_10m', i),
+                    windSpeed: series('wind_speed_10m', i)
+                }));
+            }
+
+            levels.forEach(level => {
+                const temp = series(`temperature_${level}hPa`, i);
+
+                // Levels below ground
+                if (isNaN(temp) || (!isNaN(surfacePressure) && level >= surfacePressure)) return;
+
+                data.push(this.completeRow({
+                    pressure: level,
+                    height: series(`geopotential_height_${level}hPa`, i),
+                    temp,
+                    dewpoint: dewpoint(`${level}hPa`, temp, i),
+                    windDir: series(`wind_direction_${level}hPa`, i),
+                    windSpeed: series(`wind_speed_${level}hPa`, i)
+                }));
+            });
+
+            return {
+                forecastHour: hour,
+                validTime,
+                metadata: {
+                    station,
+                    stationName: `Forecast ${station}`,
+                    observationTime: `${validTime} (+${hour}h)`,
+                    latitude,
+                    longitude,
+                    elevation: json.elevation
+                },
+                data
+            };
+        });
+
+        this.setForecast(steps.filter(step => step.data.length > 0), forecastHour);
+    }
+
+    /**
+     * Store a parsed model run and make one forecast hour the current sounding
+     */
+    setForecast(steps, forecastHour) {
+        if (steps.length === 0) {
+            throw new Error('Model run has no forecast hours with data');
+        }
+
+        // Run time from the first step's valid time minus its forecast hour
+        const first = steps[0];
+        const runDate = new Date(Date.parse(first.validTime.replace(' ', 'T').replace('Z', ':00:00Z')) - first.forecastHour * 3600000);
+        const runTime = isNaN(runDate.getTime())
+            ? null
+            : `${runDate.toISOString().slice(0, 10)} ${runDate.toISOString().slice(11, 13)}Z`;
+
+        this.forecast = { runTime, steps };
+
+        const step = steps.find(s => s.forecastHour === forecastHour) || first;
+        this.metadata = step.metadata;
+        this.data = step.data;
+    }
+
+    /**
+     * Fill missing level heights hypsometrically from the level below, using the mean virtual temperature
+     */
+    fillMissingHeights() {
+        const { Rd, g, zeroC } = THERMO_CONSTANTS;
+
+        for (let i = 1; i < this.data.length; i++) {
+            const lower = this.data[i - 1];
+            const row = this.data[i];
+            if (!isNaN(row.height) || isNaN(lower.height) || isNaN(lower.temp) || isNaN(row.temp)) continue;
+
+            const tv = (Thermo.virtualTemperature(lower.temp, lower.pressure, lower.dewpoint) +
+                        Thermo.virtualTemperature(row.temp, row.pressure, row.dewpoint)) / 2 + zeroC;
+            row.height = lower.height + Rd * tv / g * Math.log(lower.pressure / row.pressure);
+        }
+    }
+
+    /**
+     * Fill humidity and potential temperature columns missing from imported formats
+     */
+    completeRow(row) {
+        const { pressure: p, temp: t, dewpoint: td } = row;
+        const e = Thermo.saturationVaporPressure(td);
+
+        return {
+            pressure: p,
+            height: row.height !== undefined ? row.height : NaN,
+            temp: t,
+            dewpoint: td !== undefined ? td : NaN,
+            relHumidity: 100 * e / Thermo.saturationVaporPressure(t),
+            mixingRatio: Thermo.mixingRatio(e, p),
+            windDir: row.windDir !== undefined ? row.windDir : NaN,
+            windSpeed: row.windSpeed !== undefined ? row.windSpeed : NaN,
+            theta: Thermo.potentialTemperature(t, p),
+            thetaE: Thermo.equivalentPotentialTemperature(t, p, td),
+            thetaV: Thermo.potentialTemperature(Thermo.virtualTemperature(t, p, td), p)
+        };
+    }
+
     /**
      * Extract metadata from the header
      */
@@ -74,8 +753,9 @@ class SoundingDataParser {
         }
 
         // Extract observation time
-        const timeMatch = text.match(/Observation\s+at\s+(\d+Z\s+\d+\s+\w+\s+\d+)/i) ||
-                         text.match(/(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/);
+        const timeMatch = text.match(/Observations?\s+at\s+(\d+Z\s+\d+\s+\w+\s+\d+)/i) ||
+                         text.match(/(\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2})/) ||
+                         text.match(/Observation\s+time:\s*(\S+)/i);
         if (timeMatch) {
             metadata.observationTime = timeMatch[1];
         }
@@ -84,17 +764,23 @@ class SoundingDataParser {
     }
 
     /**
-     * Extract data rows from the text
+     * Extract data rows and the table columns from the text
+     * @returns {object} { columns: see tableColumns(), rows: [{ line (1-based line number), text }] }
      */
     extractDataRows(text) {
         // Find the data table section
         const lines = text.split('\n');
         const dataLines = [];
+        let header = null;
+        let unitsLine = null;
         let inDataSection = false;
 
-        for (let line of lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
             // Look for header line
             if (line.includes('PRES') && line.includes('HGHT') && line.includes('TEMP')) {
+                header = line;
                 inDataSection = true;
                 continue;
             }
@@ -109,9 +795,15 @@ class SoundingDataParser {
                     }
                 }
 
+                // Units line between the header and the first row
+                if (dataLines.length === 0 && unitsLine === null && /^\s*[a-z%]/i.test(line)) {
+                    unitsLine = line;
+                    continue;
+                }
+
                 // Check if line contains numeric data
                 if (line.match(/^\s*\d+/) && dataLines.length < 1000) {
-                    dataLines.push(line);
+                    dataLines.push({ line: i + 1, text: line });
                 }
 
                 // Stop at station information or other metadata
@@ -121,36 +813,87 @@ class SoundingDataParser {
             }
         }
 
-        return dataLines;
+        return { columns: header ? this.tableColumns(header, unitsLine) : [], rows: dataLines };
     }
 
     /**
-     * Parse a single data row
+     * Columns of a UW table from its header line and optional units line
+     * @returns {Array} [{ name, field (null when not kept), end (character position where the column's
+     *     right-aligned values end), unit, convert (table unit to stored unit) }]
      */
-    parseRow(line) {
-        const values = line.trim().split(/\s+/);
+    tableColumns(header, unitsLine) {
+        const units = unitsLine ? this.lineTokens(unitsLine) : [];
 
-        if (values.length < 11) {
-            return null;
+        return this.lineTokens(header).map(({ text: name, end }) => {
+            const field = this.tableColumnFields[name] || null;
+
+            // Units are right-aligned under the column names
+            const unitToken = units.find(token => Math.abs(token.end - end) <= 2);
+            const unit = unitToken ? unitToken.text : this.tableDefaultUnits[name] || null;
+            const conversions = this.tableUnitConversions[field] || {};
+
+            return { name, field, end, unit, convert: conversions[unit] || (value => value) };
+        });
+    }
+
+    /**
+     * Whitespace-separated tokens of a line with their positions: [{ text, start, end }]
+     */
+    lineTokens(line) {
+        return Array.from(line.matchAll(/\S+/g), match => ({
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    /**
+     * Parse a single data row by column position; blank fields are missing (NaN) rather than shifting the
+     * values after them, and humidity and potential temperatures missing from the table are computed
+     * @param {Array} columns - Table columns from tableColumns()
+     * @returns {object} { row } or { problem } describing why the row was rejected
+     */
+    parseRow(line, columns) {
+        const tokens = this.lineTokens(line);
+        if (tokens.length > columns.length) {
+            return { problem: `Expected at most ${columns.length} columns, found ${tokens.length}` };
         }
 
-        try {
-            return {
-                pressure: parseFloat(values[0]),      // hPa
-                height: parseFloat(values[1]),        // meters
-                temp: parseFloat(values[2]),          // Celsius
-                dewpoint: parseFloat(values[3]),      // Celsius
-                relHumidity: parseFloat(values[4]),   // %
-                mixingRatio: parseFloat(values[5]),   // g/kg
-                windDir: parseFloat(values[6]),       // degrees
-                windSpeed: parseFloat(values[7]),     // m/s
-                theta: parseFloat(values[8]),         // K
-                thetaE: parseFloat(values[9]),        // K
-                thetaV: parseFloat(values[10])        // K
-            };
-        } catch (error) {
-            return null;
+        // A full row maps in order; values of a row with blanks go to the column whose right edge is nearest
+        const cells = columns.map(() => '');
+        if (tokens.length === columns.length) {
+            tokens.forEach((token, i) => {
+                cells[i] = token.text;
+            });
+        } else {
+            for (const token of tokens) {
+                const distance = (column) => Math.abs(column.end - token.end);
+                const index = columns.reduce((best, column, i) => distance(column) < distance(columns[best]) ? i : best, 0);
+                if (cells[index] !== '') {
+                    return { problem: `Values do not line up with the ${columns.map(column => column.name).join(' ')} columns` };
+                }
+                cells[index] = token.text;
+            }
+        }
+
+        const row = {};
+        for (let i = 0; i < columns.length; i++) {
+            const { name, field, convert } = columns[i];
+            if (!field) continue;
+
+            const value = this.parseValue(cells[i]);
+            if (value === null) return { problem: `Non-numeric ${name} "${cells[i]}"` };
+            row[field] = convert(value);
         }
+
+        if (row.pressure === undefined || isNaN(row.pressure)) return { problem: 'Missing pressure' };
+
+        // Table values are kept as reported; missing ones are computed where the temperature and dew point allow
+        const complete = this.completeRow(row);
+        Object.entries(row).forEach(([field, value]) => {
+            if (!isNaN(value)) complete[field] = value;
+        });
+        return { row: complete };
     }
 
     /**
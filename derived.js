@@ -0,0 +1,59 @@
+/**
+ * Profiles derived from each level's temperature, dew point and pressure: wet-bulb and virtual temperature,
+ * wet-bulb potential temperature, relative humidity over ice and frost point
+ */
+
+class DerivedProfiles {
+    constructor() {
+        // Derived quantities in tooltip order; all are temperatures (C) except rhIce (%)
+        this.quantities = [
+            { id: 'wetBulb', label: 'Wet-bulb' },
+            { id: 'virtualTemp', label: 'Virtual Temp' },
+            { id: 'thetaW', label: 'Theta-w' },
+            { id: 'rhIce', label: 'RH (ice)' },
+            { id: 'frostPoint', label: 'Frost Point' }
+        ];
+    }
+
+    /**
+     * Derived values at one level, NaN where undefined: the wet-bulb quantities need the dew point, and
+     * humidity over ice and the frost point are given only below freezing
+     * @returns {object} { wetBulb, virtualTemp, thetaW (C), rhIce (%), frostPoint (C) }
+     */
+    at(temp, dewpoint, pressure) {
+        const values = { wetBulb: NaN, virtualTemp: NaN, thetaW: NaN, rhIce: NaN, frostPoint: NaN };
+        if (isNaN(temp) || isNaN(pressure)) return values;
+
+        // Without a dew point the air is taken as dry, as in the parcel calculations
+        values.virtualTemp = Thermo.virtualTemperature(temp, pressure, dewpoint);
+        if (isNaN(dewpoint)) return values;
+
+        values.wetBulb = Thermo.wetBulbTemperature(temp, dewpoint, pressure);
+        values.thetaW = Thermo.wetBulbPotentialTemperature(temp, dewpoint, pressure);
+
+        const e = Thermo.saturationVaporPressure(dewpoint);
+        if (temp <= 0) values.rhIce = 100 * e / Thermo.saturationVaporPressureIce(temp);
+
+        const frostPoint = Thermo.frostPointFromVaporPressure(e);
+        if (frostPoint <= 0) values.frostPoint = frostPoint;
+
+        return values;
+    }
+
+    /**
+     * Derived values of every level with a temperature
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {Array} [{ pressure, height, wetBulb, virtualTemp, thetaW, rhIce, frostPoint }]
+     */
+    compute(data) {
+        if (!data) return [];
+
+        return data
+            .filter(row => !isNaN(row.temp) && !isNaN(row.pressure))
+            .map(row => ({
+                pressure: row.pressure,
+                height: row.height,
+                ...this.at(row.temp, row.dewpoint, row.pressure)
+            }));
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * What-if editing of a sounding: surface temperature/dewpoint changes, redrawn temperature layers
+ * and named scenarios saved in the browser
+ */
+
+class ProfileEditor {
+    constructor(parser) {
+        // Recomputes humidity and potential temperatures of edited levels
+        this.parser = parser;
+
+        // Sounding being edited and the edited copy of its levels
+        this.original = null;
+        this.data = null;
+
+        this.storageKey = 'skewt-scenarios';
+    }
+
+    /**
+     * Start editing a sounding; the original is kept unchanged
+     */
+    start(result) {
+        this.original = result;
+        this.data = result.data.map(row => ({ ...row }));
+    }
+
+    /**
+     * Stop editing
+     */
+    stop() {
+        this.original = null;
+        this.data = null;
+    }
+
+    /**
+     * Whether a sounding is being edited
+     */
+    isActive() {
+        return this.original !== null;
+    }
+
+    /**
+     * Discard all edits
+     */
+    reset() {
+        if (this.original) this.start(this.original);
+    }
+
+    /**
+     * Number of levels whose temperature or dewpoint differs from the original
+     */
+    changedLevels() {
+        if (!this.data) return 0;
+
+        const differs = (a, b) => !(isNaN(a) && isNaN(b)) && Math.abs(a - b) > 0.05;
+        return this.data.filter((row, i) =>
+            differs(row.temp, this.original.data[i].temp) || differs(row.dewpoint, this.original.data[i].dewpoint)).length;
+    }
+
+    /**
+     * Index of the lowest level with a temperature, the point dragged for surface edits
+     */
+    surfaceIndex() {
+        return this.data ? this.data.findIndex(row => !isNaN(row.temp)) : -1;
+    }
+
+    /**
+     * Set the surface temperature or dewpoint (C); the dewpoint is kept at or below the temperature
+     * @param {string} field - 'temp' or 'dewpoint'
+     */
+    setSurface(field, value) {
+        const index = this.surfaceIndex();
+        if (index < 0) return;
+
+        const row = { ...this.data[index], [field]: value };
+        if (field === 'temp' && row.dewpoint > value) row.dewpoint = value;
+        if (field === 'dewpoint' && value > row.temp) row.dewpoint = row.temp;
+
+        this.data[index] = this.complete(row);
+    }
+
+    /**
+     * Replace the temperature over the height span of a mouse stroke with the stroke's temperature
+     * @param {Array} stroke - [{ height, temp }] in drawing order
+     */
+    redrawLayer(stroke) {
+        const points = stroke.filter(pt => !isNaN(pt.height) && !isNaN(pt.temp)).sort((a, b) => a.height - b.height);
+        if (points.length < 2) return;
+
+        const bottom = points[0].height;
+        const top = points[points.length - 1].height;
+
+        this.data = this.data.map(row => {
+            if (isNaN(row.temp) || isNaN(row.height) || row.height < bottom || row.height > top) return row;
+
+            // Stroke temperature at the level, interpolated between stroke points
+            const upper = points.findIndex(pt => pt.height >= row.height);
+            const a = points[Math.max(0, upper - 1)];
+            const b = points[upper];
+            const ratio = b.height === a.height ? 0 : (row.height - a.height) / (b.height - a.height);
+            const temp = a.temp + ratio * (b.temp - a.temp);
+
+            return this.complete({ ...row, temp, dewpoint: Math.min(row.dewpoint, temp) });
+        });
+    }
+
+    /**
+     * Recompute the derived columns of an edited level, keeping its wind and height
+     */
+    complete(row) {
+        return this.parser.completeRow(row);
+    }
+
+    /**
+     * The edited sounding in the parser's result structure
+     */
+    result() {
+        const metadata = { ...this.original.metadata };
+        metadata.stationName = `${metadata.stationName || metadata.station || 'Sounding'} (edited)`;
+
+        return {
+            metadata,
+            data: this.data,
+            valid: true,
+            format: this.original.format,
+            errors: []
+        };
+    }
+
+    /**
+     * Saved scenarios, newest first: [{ name, source, savedAt, result }]
+     */
+    listScenarios() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.warn('Could not read scenarios:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the edited sounding under a name, replacing a scenario with the same name
+     * @param {object} source - { station, date, hour } of the original sounding
+     */
+    saveScenario(name, source) {
+        const result = this.result();
+        result.metadata.stationName = `${this.original.metadata.stationName || this.original.metadata.station || 'Sounding'} – ${name}`;
+        result.metadata.scenario = name;
+
+        // JSON has no NaN; missing values are stored as null and restored on load
+        const scenario = JSON.parse(JSON.stringify({ name, source, savedAt: Date.now(), result },
+            (key, value) => typeof value === 'number' && isNaN(value) ? null : value));
+
+        const scenarios = this.listScenarios().filter(existing => existing.name !== name);
+        scenarios.unshift(scenario);
+        localStorage.setItem(this.storageKey, JSON.stringify(scenarios));
+
+        return scenario;
+    }
+
+    /**
+     * Saved scenario by name with missing values restored to NaN, or null
+     */
+    loadScenario(name) {
+        const scenario = this.listScenarios().find(existing => existing.name === name);
+        if (!scenario) return null;
+
+        scenario.result.data = scenario.result.data.map(row => {
+            const restored = {};
+            Object.entries(row).forEach(([key, value]) => {
+                restored[key] = value === null ? NaN : value;
+            });
+            return restored;
+        });
+
+        return scenario;
+    }
+
+    /**
+     * Delete a saved scenario
+     */
+    deleteScenario(name) {
+        const scenarios = this.listScenarios().filter(existing => existing.name !== name);
+        localStorage.setItem(this.storageKey, JSON.stringify(scenarios));
+    }
+}
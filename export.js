@@ -0,0 +1,290 @@
+/**
+ * Export of the diagram (PNG, SVG, PDF briefing) and of the sounding data (CSV, JSON, SHARPpy text)
+ */
+
+class SoundingExporter {
+    constructor() {
+        // Resolution multiplier for PNG export
+        this.pngScale = 3;
+
+        // PDF page (A4 portrait, points) and margin
+        this.pageWidth = 595;
+        this.pageHeight = 842;
+        this.pageMargin = 30;
+    }
+
+    /**
+     * Save content as a file through a temporary download link
+     */
+    download(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * File name from a sounding label, e.g. "Vernon 2025-06-15 12Z" -> "Vernon_2025-06-15_12Z.csv"
+     */
+    filename(label, extension) {
+        const base = (label || 'sounding').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+        return `${base || 'sounding'}.${extension}`;
+    }
+
+    /**
+     * Render the diagram on an offscreen canvas at a multiple of its on-screen resolution
+     */
+    renderCanvas(diagram, soundingData, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = diagram.displayWidth * scale;
+        canvas.height = diagram.displayHeight * scale;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        diagram.renderTo(ctx, soundingData);
+
+        return canvas;
+    }
+
+    /**
+     * High-resolution PNG of the diagram
+     * @returns {Promise<Blob>}
+     */
+    toPNG(diagram, soundingData) {
+        const canvas = this.renderCanvas(diagram, soundingData, this.pngScale);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    /**
+     * The diagram as an SVG document
+     */
+    toSVG(diagram, soundingData) {
+        const ctx = new SvgContext(diagram.displayWidth, diagram.displayHeight);
+        diagram.renderTo(ctx, soundingData);
+        return ctx.toString();
+    }
+
+    /**
+     * Sounding levels as CSV in the display units (missing values left empty); the unit is part of each
+     * header so the file re-imports as UW CSV
+     * @param {UnitSystem} units - Display units; SI units when omitted
+     */
+    toCSV(result, units = null) {
+        const label = (quantity, base) => units ? units.label(quantity).replace('°', '').replace('/', '') : base;
+        const convert = (quantity, value) => units ? units.convert(quantity, value) : value;
+        const pressureDecimals = units ? units.unit('pressure').decimals + 1 : 1;
+
+        const columns = [
+            { header: `pressure_${label('pressure', 'hPa')}`, key: 'pressure', quantity: 'pressure', decimals: pressureDecimals },
+            { header: `height_${label('height', 'm')}`, key: 'height', quantity: 'height', decimals: 0 },
+            { header: `temperature_${label('temperature', 'C')}`, key: 'temp', quantity: 'temperature', decimals: 1 },
+            { header: `dewpoint_${label('temperature', 'C')}`, key: 'dewpoint', quantity: 'temperature', decimals: 1 },
+            { header: 'relative_humidity_%', key: 'relHumidity', decimals: 0 },
+            { header: 'mixing_ratio_g/kg', key: 'mixingRatio', decimals: 2 },
+            { header: 'wind_direction_deg', key: 'windDir', decimals: 0 },
+            { header: `wind_speed_${units ? units.label('wind') : 'm/s'}`, key: 'windSpeed', quantity: 'wind', decimals: 1 }
+        ];
+
+        const lines = [columns.map(c => c.header).join(',')];
+        result.data.forEach(row => {
+            lines.push(columns.map(c => {
+                if (isNaN(row[c.key])) return '';
+                const value = c.quantity ? convert(c.quantity, row[c.key]) : row[c.key];
+                return value.toFixed(c.decimals);
+            }).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Sounding metadata and levels as JSON (missing values as null); with display units, the
+     * pressure, height, temperatures and wind speed are converted and listed under "units"
+     */
+    toJSON(result, label, units = null) {
+        let data = result.data;
+        const output = { label };
+
+        if (units) {
+            output.units = {
+                pressure: units.label('pressure'),
+                height: units.label('height'),
+                temperature: units.label('temperature'),
+                windSpeed: units.label('wind')
+            };
+            data = data.map(row => ({
+                ...row,
+                pressure: units.convert('pressure', row.pressure),
+                height: units.convert('height', row.height),
+                temp: units.convert('temperature', row.temp),
+                dewpoint: units.convert('temperature', row.dewpoint),
+                windSpeed: units.convert('wind', row.windSpeed)
+            }));
+        }
+
+        output.metadata = result.metadata;
+        output.data = data;
+
+        return JSON.stringify(output, (key, value) => typeof value === 'number' && isNaN(value) ? null : value, 2);
+    }
+
+    /**
+     * SHARPpy/NSHARP %RAW% text file (wind in knots, missing values as -9999)
+     * @param {string|null} date - UTC date (YYYY-MM-DD) and hour for the title line, when known
+     */
+    toSharppy(result, station, date, hour) {
+        const format = (value) => (isNaN(value) ? -9999 : value).toFixed(2).padStart(10);
+
+        let time = /^\d{6}\/\d{4}$/.test(result.metadata.observationTime) ? result.metadata.observationTime : '000000/0000';
+        if (date) {
+            time = `${date.slice(2, 4)}${date.slice(5, 7)}${date.slice(8, 10)}/${hour}00`;
+        }
+
+        const lines = [
+            '%TITLE%',
+            ` ${String(station).replace(/\s+/g, '_')}   ${time}`,
+            '',
+            '   LEVEL       HGHT       TEMP       DWPT       WDIR       WSPD',
+            '-------------------------------------------------------------------',
+            '%RAW%'
+        ];
+
+        result.data.forEach(row => {
+            lines.push([
+                row.pressure, row.height, row.temp, row.dewpoint, row.windDir, row.windSpeed / KNOTS_TO_MS
+            ].map(format).join(','));
+        });
+
+        lines.push('%END%');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One-page PDF briefing: title, the diagram and the analysis panels as text
+     * @param {Array} sections - [{ title, rows: [[label, value], ...] }]
+     * @returns {Blob}
+     */
+    toPDF(diagram, soundingData, title, sections) {
+        const canvas = this.renderCanvas(diagram, soundingData, 2);
+        const jpeg = atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]);
+
+        const margin = this.pageMargin;
+        const imageWidth = this.pageWidth - 2 * margin;
+        const imageHeight = imageWidth * canvas.height / canvas.width;
+        const imageTop = this.pageHeight - margin - 24;
+
+        // Page content: title, diagram, then the sections flowing down two columns
+        const ops = [];
+        ops.push(this.pdfText(title, margin, this.pageHeight - margin - 10, 'F2', 14));
+        ops.push(`q ${this.pdfNumber(imageWidth)} 0 0 ${this.pdfNumber(imageHeight)} ${margin} ` +
+                 `${this.pdfNumber(imageTop - imageHeight)} cm /Im1 Do Q`);
+
+        const columnWidth = imageWidth / 2;
+        const lineHeight = 11;
+        const top = imageTop - imageHeight - 18;
+        let column = 0;
+        let y = top;
+
+        const nextLine = (height) => {
+            y -= height;
+            if (y < margin && column === 0) {
+                column = 1;
+                y = top - height;
+            }
+            return y >= margin;
+        };
+
+        sections.forEach(section => {
+            if (!nextLine(lineHeight + 4)) return;
+            ops.push(this.pdfText(section.title, margin + column * columnWidth, y, 'F2', 10));
+
+            section.rows.forEach(([label, value]) => {
+                if (!nextLine(lineHeight)) return;
+                const x = margin + column * columnWidth;
+                ops.push(this.pdfText(label, x, y, 'F1', 8.5));
+                ops.push(this.pdfText(value, x + 120, y, 'F1', 8.5));
+            });
+        });
+
+        return this.buildPDF(ops.join('\n'), jpeg, canvas.width, canvas.height);
+    }
+
+    /**
+     * PDF text-showing operator at a position
+     */
+    pdfText(text, x, y, font, size) {
+        return `BT /${font} ${size} Tf ${this.pdfNumber(x)} ${this.pdfNumber(y)} Td (${this.pdfString(text)}) Tj ET`;
+    }
+
+    /**
+     * Escape text for a PDF string in WinAnsiEncoding; characters it lacks are replaced
+     */
+    pdfString(text) {
+        const winAnsi = { '–': 0x96, '—': 0x97, '…': 0x85, '−': 0x2d, '≤': 0x3c, '≥': 0x3e };
+
+        return Array.from(String(text)).map(ch => {
+            const code = winAnsi[ch] !== undefined ? winAnsi[ch] : ch.charCodeAt(0);
+            if (code > 255) return '?';
+            if (ch === '(' || ch === ')' || ch === '\\') return `\\${ch}`;
+            return code < 32 || code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : ch;
+        }).join('');
+    }
+
+    /**
+     * Number formatted for PDF operators
+     */
+    pdfNumber(value) {
+        return (Math.round(value * 100) / 100).toString();
+    }
+
+    /**
+     * Assemble a single-page PDF with Helvetica fonts and one JPEG image
+     * @param {string} content - Page content stream
+     * @param {string} jpeg - JPEG bytes as a binary string
+     */
+    buildPDF(content, jpeg, imageWidth, imageHeight) {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> /XObject << /Im1 7 0 R >> >> /Contents 4 0 R >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\n` +
+                `stream\n${jpeg}\nendstream`
+        ];
+
+        // Every character is a single byte, so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i) & 0xff;
+        }
+
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
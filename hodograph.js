@@ -0,0 +1,277 @@
+/**
+ * Hodograph Renderer
+ */
+
+class HodographDiagram {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.margin = 30;
+        this.centerX = this.canvas.width / 2;
+        this.centerY = this.canvas.height / 2;
+        this.radius = Math.min(this.canvas.width, this.canvas.height) / 2 - this.margin;
+
+        // Outermost ring in the display wind unit, recomputed from the data
+        this.maxSpeed = 80;
+
+        // Display units of the speed rings
+        this.units = new UnitSystem();
+
+        // Height bands (m above ground) and their colors
+        this.bands = [
+            { bottom: 0, top: 1000, color: '#e53e3e', label: '0–1 km' },
+            { bottom: 1000, top: 3000, color: '#dd6b20', label: '1–3 km' },
+            { bottom: 3000, top: 6000, color: '#38a169', label: '3–6 km' },
+            { bottom: 6000, top: 9000, color: '#3182ce', label: '6–9 km' },
+            { bottom: 9000, top: 12000, color: '#805ad5', label: '9–12 km' }
+        ];
+
+        this.analysis = null;
+        this.windAnalysis = new WindAnalysis();
+
+        // Height (m above ground) marked on the hodograph, linked to the Skew-T cursor
+        this.markerHeight = null;
+    }
+
+    /**
+     * Set the display units (a UnitSystem shared with the rest of the page)
+     */
+    setUnits(units) {
+        this.units = units;
+    }
+
+    /**
+     * Set the height marker (null to clear)
+     */
+    setMarker(heightAGL) {
+        this.markerHeight = heightAGL;
+    }
+
+    /**
+     * Convert wind components (m/s) to canvas coordinates
+     */
+    windToXY(u, v) {
+        const scale = this.radius / this.maxSpeed * this.units.convert('wind', 1);
+        return {
+            x: this.centerX + u * scale,
+            y: this.centerY - v * scale
+        };
+    }
+
+    /**
+     * Clear and draw the hodograph for an analysis from WindAnalysis.analyze()
+     */
+    draw(analysis) {
+        this.analysis = analysis;
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (analysis) {
+            this.maxSpeed = this.ringRange(analysis.profile);
+        }
+
+        this.drawRings();
+
+        if (analysis) {
+            this.drawProfile(analysis.profile);
+            this.drawStormMotion(analysis);
+            this.drawMarker();
+        }
+
+        this.drawLegend();
+    }
+
+    /**
+     * Outer ring speed (display unit) covering the 0–12 km winds
+     */
+    ringRange(profile) {
+        let max = 0;
+        profile.forEach(pt => {
+            if (pt.heightAGL <= 12000) {
+                max = Math.max(max, this.units.convert('wind', Math.sqrt(pt.u * pt.u + pt.v * pt.v)));
+            }
+        });
+
+        const step = this.ringStep();
+        return Math.max(2 * step, Math.ceil(max / step) * step);
+    }
+
+    /**
+     * Ring spacing in the display wind unit: 20 (kt, km/h, mph) or 5 m/s
+     */
+    ringStep() {
+        return this.units.convert('wind', 20 / 3.6) < 10 ? 5 : 20;
+    }
+
+    /**
+     * Draw speed rings and axes
+     */
+    drawRings() {
+        const step = this.ringStep();
+        const interval = this.maxSpeed > 6 * step ? 2 * step : step;
+
+        this.ctx.strokeStyle = '#cbd5e0';
+        this.ctx.fillStyle = '#718096';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+
+        for (let speed = interval; speed <= this.maxSpeed; speed += interval) {
+            const r = this.radius * speed / this.maxSpeed;
+
+            this.ctx.beginPath();
+            this.ctx.arc(this.centerX, this.centerY, r, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            this.ctx.fillText(`${speed} ${this.units.label('wind')}`, this.centerX + r * 0.71 + 2, this.centerY + r * 0.71 + 10);
+        }
+
+        this.ctx.strokeStyle = '#a0aec0';
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.centerX - this.radius, this.centerY);
+        this.ctx.lineTo(this.centerX + this.radius, this.centerY);
+        this.ctx.moveTo(this.centerX, this.centerY - this.radius);
+        this.ctx.lineTo(this.centerX, this.centerY + this.radius);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw the hodograph trace, split and colored by height band
+     */
+    drawProfile(profile) {
+        this.ctx.lineWidth = 2.5;
+
+        this.bands.forEach(band => {
+            const points = [];
+
+            const bottom = this.windAnalysis.windAt(profile, band.bottom);
+            if (bottom) points.push(bottom);
+
+            profile.forEach(pt => {
+                if (pt.heightAGL > band.bottom && pt.heightAGL < band.top) points.push(pt);
+            });
+
+            const top = this.windAnalysis.windAt(profile, band.top);
+            if (top) points.push(top);
+
+            if (points.length < 2) return;
+
+            this.ctx.strokeStyle = band.color;
+            this.ctx.beginPath();
+            points.forEach((pt, i) => {
+                const { x, y } = this.windToXY(pt.u, pt.v);
+                if (i === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            this.ctx.stroke();
+        });
+
+        // Height labels every kilometre
+        this.ctx.fillStyle = '#1a202c';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        for (let h = 1000; h <= 12000; h += 1000) {
+            const wind = this.windAnalysis.windAt(profile, h);
+            if (!wind) break;
+
+            const { x, y } = this.windToXY(wind.u, wind.v);
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.fillText(`${h / 1000}`, x + 4, y - 4);
+        }
+    }
+
+    /**
+     * Draw Bunkers storm motions and the 0–6 km mean wind
+     */
+    drawStormMotion(analysis) {
+        const markers = [
+            { wind: analysis.rightMover, label: 'RM', color: '#c53030' },
+            { wind: analysis.leftMover, label: 'LM', color: '#2b6cb0' },
+            { wind: analysis.meanWind, label: 'MW', color: '#4a5568' }
+        ];
+
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.lineWidth = 2;
+
+        markers.forEach(({ wind, label, color }) => {
+            if (!wind) return;
+
+            const { x, y } = this.windToXY(wind.u, wind.v);
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 5, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            this.ctx.fillText(label, x + 7, y + 4);
+        });
+    }
+
+    /**
+     * Draw the linked height marker
+     */
+    drawMarker() {
+        if (this.markerHeight === null) return;
+
+        const wind = this.windAnalysis.windAt(this.analysis.profile, this.markerHeight);
+        if (!wind) return;
+
+        const { x, y } = this.windToXY(wind.u, wind.v);
+        this.ctx.strokeStyle = '#1a202c';
+        this.ctx.fillStyle = 'rgba(236, 201, 75, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 6, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw the height band legend
+     */
+    drawLegend() {
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.lineWidth = 2.5;
+
+        this.bands.forEach((band, i) => {
+            const y = 15 + i * 15;
+
+            this.ctx.strokeStyle = band.color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(10, y);
+            this.ctx.lineTo(30, y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#1a202c';
+            this.ctx.fillText(band.label, 35, y + 4);
+        });
+    }
+
+    /**
+     * Find the profile level nearest to a canvas position (within a few pixels)
+     */
+    findNearestPoint(canvasX, canvasY, maxDistance = 12) {
+        if (!this.analysis) return null;
+
+        let nearest = null;
+        let minDistance = maxDistance;
+
+        this.analysis.profile.forEach(pt => {
+            if (pt.heightAGL > 12000) return;
+
+            const { x, y } = this.windToXY(pt.u, pt.v);
+            const distance = Math.hypot(x - canvasX, y - canvasY);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = pt;
+            }
+        });
+
+        return nearest;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Stability and severe-weather indices computed from the parsed sounding
+ */
+
+class StabilityIndices {
+    constructor() {
+        this.parcelAnalyzer = new ParcelAnalyzer();
+    }
+
+    /**
+     * Compute all indices
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {Array} Index entries { id, label, value, units, decimals, levels, layer }.
+     *     value is null when the sounding does not reach the required levels.
+     *     levels are the { pressure, height } levels used, layer marks a depth rather than discrete levels.
+     */
+    compute(data) {
+        const env = this.parcelAnalyzer.getEnvironment(data);
+        if (env.length < 2) return [];
+
+        const at = (p) => {
+            const level = this.parcelAnalyzer.interpolateEnvironment(env, p);
+            return level && !isNaN(level.temp) ? level : null;
+        };
+        const levelOf = (row) => ({ pressure: row.pressure, height: row.height });
+
+        const surface = env[0];
+        const l850 = at(850);
+        const l700 = at(700);
+        const l500 = at(500);
+
+        return [
+            this.liftedIndex(env, l500, levelOf),
+            this.kIndex(l850, l700, l500, levelOf),
+            this.totalTotals(l850, l500, levelOf),
+            this.showalterIndex(l850, l500, levelOf),
+            this.sweatIndex(l850, l500, levelOf),
+            this.precipitableWater(env, levelOf),
+            this.freezingLevel(env, levelOf),
+            this.wetBulbZero(env, levelOf),
+            this.lapseRate('lapse03', '0–3 km Lapse Rate', surface, this.levelAtHeight(env, surface.height + 3000), levelOf),
+            { ...this.lapseRate('lapse75', 'Lapse Rate', l700, l500, levelOf), pressures: [700, 500] }
+        ];
+    }
+
+    /**
+     * Lifted Index: 500 mb temperature minus that of the lowest-100 mb mixed-layer parcel lifted to 500 mb
+     */
+    liftedIndex(env, l500, levelOf) {
+        const entry = { id: 'li', label: 'Lifted Index', value: null, units: '°C', decimals: 1, levels: [], layer: true };
+        const source = this.parcelAnalyzer.mixedLayerSource(env);
+        if (!source || !l500) return entry;
+
+        entry.value = l500.temp - this.parcelAnalyzer.parcelTemperatureAt(source, 500);
+        entry.levels = [levelOf(env[0]), levelOf(l500)];
+        return entry;
+    }
+
+    /**
+     * K-Index: (T850 - T500) + Td850 - (T700 - Td700)
+     */
+    kIndex(l850, l700, l500, levelOf) {
+        const entry = { id: 'k', label: 'K-Index', value: null, units: '', decimals: 0, levels: [], layer: false };
+        if (!l850 || !l700 || !l500 || isNaN(l850.dewpoint) || isNaN(l700.dewpoint)) return entry;
+
+        entry.value = (l850.temp - l500.temp) + l850.dewpoint - (l700.temp - l700.dewpoint);
+        entry.levels = [levelOf(l850), levelOf(l700), levelOf(l500)];
+        return entry;
+    }
+
+    /**
+     * Total Totals: T850 + Td850 - 2 T500
+     */
+    totalTotals(l850, l500, levelOf) {
+        const entry = { id: 'tt', label: 'Total Totals', value: null, units: '', decimals: 0, levels: [], layer: false };
+        if (!l850 || !l500 || isNaN(l850.dewpoint)) return entry;
+
+        entry.value = l850.temp + l850.dewpoint - 2 * l500.temp;
+        entry.levels = [levelOf(l850), levelOf(l500)];
+        return entry;
+    }
+
+    /**
+     * Showalter Index: 500 mb temperature minus that of the 850 mb parcel lifted to 500 mb
+     */
+    showalterIndex(l850, l500, levelOf) {
+        const entry = { id: 'si', label: 'Showalter Index', value: null, units: '°C', decimals: 1, levels: [], layer: true };
+        if (!l850 || !l500 || isNaN(l850.dewpoint)) return entry;
+
+        const source = { pressure: 850, temp: l850.temp, dewpoint: l850.dewpoint };
+        entry.value = l500.temp - this.parcelAnalyzer.parcelTemperatureAt(source, 500);
+        entry.levels = [levelOf(l850), levelOf(l500)];
+        return entry;
+    }
+
+    /**
+     * Severe Weather Threat (SWEAT) index, winds in knots (Miller 1972)
+     */
+    sweatIndex(l850, l500, levelOf) {
+        const entry = { id: 'sweat', label: 'SWEAT Index', value: null, units: '', decimals: 0, levels: [], layer: false };
+        if (!l850 || !l500 || isNaN(l850.dewpoint) || isNaN(l850.windSpeed) || isNaN(l500.windSpeed)) return entry;
+
+        const msToKnots = 1.94384;
+        const f850 = l850.windSpeed * msToKnots;
+        const f500 = l500.windSpeed * msToKnots;
+        const totals = l850.temp + l850.dewpoint - 2 * l500.temp;
+
+        // Veering shear term only applies to southwesterly flow of at least 15 kt
+        let shearTerm = 0;
+        const veering = l500.windDir - l850.windDir;
+        if (l850.windDir >= 130 && l850.windDir <= 250 &&
+            l500.windDir >= 210 && l500.windDir <= 310 &&
+            veering > 0 && f850 >= 15 && f500 >= 15) {
+            shearTerm = 125 * (Math.sin(veering * Math.PI / 180) + 0.2);
+        }
+
+        entry.value = 12 * Math.max(0, l850.dewpoint) +
+                      20 * Math.max(0, totals - 49) +
+                      2 * f850 + f500 + shearTerm;
+        entry.levels = [levelOf(l850), levelOf(l500)];
+        return entry;
+    }
+
+    /**
+     * Precipitable water (mm) integrated over all levels with a dewpoint
+     */
+    precipitableWater(env, levelOf) {
+        const entry = { id: 'pw', label: 'Precipitable Water', value: null, units: 'mm', decimals: 1, levels: [], layer: true };
+        const moist = env.filter(row => !isNaN(row.dewpoint));
+        if (moist.length < 2) return entry;
+
+        // Specific humidity (kg/kg) integrated over pressure (Pa), divided by g
+        const specificHumidity = (row) => {
+            const w = Thermo.saturationMixingRatio(row.dewpoint, row.pressure) / 1000;
+            return w / (1 + w);
+        };
+
+        let total = 0;
+        for (let i = 0; i < moist.length - 1; i++) {
+            const dp = (moist[i].pressure - moist[i + 1].pressure) * 100;
+            total += (specificHumidity(moist[i]) + specificHumidity(moist[i + 1])) / 2 * dp;
+        }
+
+        entry.value = total / THERMO_CONSTANTS.g;
+        entry.levels = [levelOf(moist[0]), levelOf(moist[moist.length - 1])];
+        return entry;
+    }
+
+    /**
+     * Freezing level: lowest height where the temperature falls to 0°C
+     */
+    freezingLevel(env, levelOf) {
+        const entry = { id: 'fzl', label: 'Freezing Level', value: null, units: 'm', decimals: 0, levels: [], layer: false };
+        const level = this.firstCrossing(env, row => row.temp);
+        if (!level) return entry;
+
+        entry.value = level.height;
+        entry.levels = [levelOf(level)];
+        return entry;
+    }
+
+    /**
+     * Wet-bulb zero: lowest height where the wet-bulb temperature falls to 0°C
+     */
+    wetBulbZero(env, levelOf) {
+        const entry = { id: 'wbz', label: 'Wet-Bulb Zero', value: null, units: 'm', decimals: 0, levels: [], layer: false };
+        const moist = env.filter(row => !isNaN(row.dewpoint));
+        const level = this.firstCrossing(moist, row => Thermo.wetBulbTemperature(row.temp, row.dewpoint, row.pressure));
+        if (!level) return entry;
+
+        entry.value = level.height;
+        entry.levels = [levelOf(level)];
+        return entry;
+    }
+
+    /**
+     * Environmental lapse rate (°C/km) between two levels; layers between fixed pressures also carry
+     * pressures (hPa), shown before the label in the display unit
+     */
+    lapseRate(id, label, lower, upper, levelOf) {
+        const entry = { id, label, value: null, units: '°C/km', decimals: 1, levels: [], layer: true };
+        if (!lower || !upper || upper.height <= lower.height) return entry;
+
+        entry.value = (lower.temp - upper.temp) / (upper.height - lower.height) * 1000;
+        entry.levels = [levelOf(lower), levelOf(upper)];
+        return entry;
+    }
+
+    /**
+     * Lowest level where a temperature-like quantity drops to 0°C (the surface if already at or below)
+     */
+    firstCrossing(levels, valueOf) {
+        if (levels.length === 0) return null;
+
+        let prevValue = valueOf(levels[0]);
+        if (prevValue <= 0) return levels[0];
+
+        for (let i = 1; i < levels.length; i++) {
+            const value = valueOf(levels[i]);
+
+            if (value <= 0) {
+                const ratio = prevValue / (prevValue - value);
+                const lower = levels[i - 1];
+                const upper = levels[i];
+
+                return {
+                    pressure: Math.exp(Math.log(lower.pressure) + ratio * Math.log(upper.pressure / lower.pressure)),
+                    height: lower.height + ratio * (upper.height - lower.height)
+                };
+            }
+            prevValue = value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Environment level at a height (m)
+     */
+    levelAtHeight(env, h) {
+        const pressure = this.parcelAnalyzer.pressureAtHeight(env, h);
+        return isNaN(pressure) ? null : this.parcelAnalyzer.interpolateEnvironment(env, pressure);
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Stable layers and the boundary layer from a sounding: temperature inversions (surface-based, elevated and
+ * subsidence), isothermal layers and the mixing height
+ */
+
+class InversionAnalysis {
+    constructor() {
+        // Layers whose temperature changes by no more than this (°C/km) count as isothermal
+        this.isothermalLapseRate = 0.5;
+
+        // Smallest temperature rise (°C) of an inversion and depth (m) of an isothermal layer; thinner isothermal
+        // layers between two inversions join them into one
+        this.minStrength = 0.5;
+        this.minIsothermalDepth = 200;
+
+        // Elevated inversions whose dew point depression grows upward by at least this (°C) are subsidence inversions
+        this.subsidenceDrying = 3;
+
+        // Mixing height: where the potential temperature first exceeds the surface value by this (K)
+        this.thetaExcess = 0.5;
+
+        // Layer names shown in the panel and on the diagram
+        this.types = {
+            surface: 'Surface inversion',
+            elevated: 'Elevated inversion',
+            subsidence: 'Subsidence inversion',
+            isothermal: 'Isothermal layer'
+        };
+    }
+
+    /**
+     * Find the stable layers and the mixing height of a sounding
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {object} { layers: [{ type ('surface', 'elevated', 'subsidence' or 'isothermal'), base, top (m),
+     *     basePressure, topPressure (hPa), baseTemp, topTemp, strength (°C rise) }] from the ground up,
+     *     mixingHeight: { height, pressure, depth (m above the surface) } or null }
+     */
+    analyze(data) {
+        const empty = { layers: [], mixingHeight: null };
+        if (!data) return empty;
+
+        const levels = data
+            .filter(row => !isNaN(row.height) && !isNaN(row.pressure) && !isNaN(row.temp))
+            .sort((a, b) => a.height - b.height);
+        if (levels.length < 2) return empty;
+
+        return { layers: this.stableLayers(levels), mixingHeight: this.mixingHeight(levels) };
+    }
+
+    /**
+     * Inversion and isothermal layers from runs of levels with the same lapse rate class
+     */
+    stableLayers(levels) {
+        // Runs of consecutive layers between levels: 'inversion', 'isothermal' or null
+        const runs = [];
+        for (let i = 1; i < levels.length; i++) {
+            const a = levels[i - 1];
+            const b = levels[i];
+            const depth = b.height - a.height;
+            if (depth <= 0) continue;
+
+            const lapseRate = (a.temp - b.temp) / depth * 1000;
+            const kind = lapseRate < -this.isothermalLapseRate ? 'inversion'
+                : lapseRate <= this.isothermalLapseRate ? 'isothermal' : null;
+
+            const previous = runs[runs.length - 1];
+            if (previous && previous.kind === kind && previous.top === a) {
+                previous.top = b;
+            } else {
+                runs.push({ kind, base: a, top: b });
+            }
+        }
+
+        // Fold thin isothermal runs between two inversions into one inversion
+        const merged = [];
+        runs.forEach(run => {
+            const previous = merged[merged.length - 1];
+            const beforePrevious = merged[merged.length - 2];
+            const thin = previous && previous.kind === 'isothermal' && previous.top.height - previous.base.height < this.minIsothermalDepth;
+
+            if (run.kind === 'inversion' && thin && beforePrevious && beforePrevious.kind === 'inversion' &&
+                beforePrevious.top === previous.base && previous.top === run.base) {
+                merged.pop();
+                beforePrevious.top = run.top;
+            } else {
+                merged.push({ ...run });
+            }
+        });
+
+        return merged
+            .filter(run => run.kind === 'inversion' ? run.top.temp - run.base.temp >= this.minStrength
+                : run.kind === 'isothermal' && run.top.height - run.base.height >= this.minIsothermalDepth)
+            .map(run => ({
+                type: run.kind === 'isothermal' ? 'isothermal' : this.inversionType(run, levels[0]),
+                base: run.base.height,
+                top: run.top.height,
+                basePressure: run.base.pressure,
+                topPressure: run.top.pressure,
+                baseTemp: run.base.temp,
+                topTemp: run.top.temp,
+                strength: run.top.temp - run.base.temp
+            }));
+    }
+
+    /**
+     * Surface-based, subsidence (drying upward) or other elevated inversion
+     */
+    inversionType(run, surface) {
+        if (run.base === surface) return 'surface';
+
+        const drying = (run.top.temp - run.top.dewpoint) - (run.base.temp - run.base.dewpoint);
+        return drying >= this.subsidenceDrying ? 'subsidence' : 'elevated';
+    }
+
+    /**
+     * Top of the mixed layer by the parcel method: the height where the potential temperature first exceeds
+     * the surface value by thetaExcess, at the surface under a surface inversion
+     */
+    mixingHeight(levels) {
+        const surface = levels[0];
+        const theta = (row) => Thermo.potentialTemperature(row.temp, row.pressure);
+        const target = theta(surface) + this.thetaExcess;
+
+        for (let i = 1; i < levels.length; i++) {
+            const below = levels[i - 1];
+            const row = levels[i];
+            if (theta(row) <= target) continue;
+
+            const ratio = Math.max(0, (target - theta(below)) / (theta(row) - theta(below)));
+            const height = below.height + ratio * (row.height - below.height);
+            const pressure = Math.exp(Math.log(below.pressure) + ratio * (Math.log(row.pressure) - Math.log(below.pressure)));
+            return { height, pressure, depth: height - surface.height };
+        }
+
+        return null;
+    }
+}
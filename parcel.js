@@ -0,0 +1,337 @@
+/**
+ * Parcel lift analysis for surface-based, mixed-layer and most-unstable parcels
+ */
+
+class ParcelAnalyzer {
+    constructor() {
+        // Depth of the mixed layer (hPa above the surface)
+        this.mixedLayerDepth = 100;
+
+        // Depth searched for the most unstable parcel (hPa above the surface)
+        this.mostUnstableDepth = 300;
+    }
+
+    /**
+     * Lift all three parcels through the parsed sounding rows
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {Array} Parcel results ordered SB, ML, MU
+     */
+    analyze(data) {
+        const env = this.getEnvironment(data);
+        if (env.length < 2) return [];
+
+        const sources = [
+            { type: 'sb', label: 'Surface-based', source: this.surfaceSource(env) },
+            { type: 'ml', label: 'Mixed-layer', source: this.mixedLayerSource(env) },
+            { type: 'mu', label: 'Most-unstable', source: this.mostUnstableSource(env) }
+        ];
+
+        return sources
+            .filter(item => item.source !== null)
+            .map(item => ({
+                type: item.type,
+                label: item.label,
+                ...this.liftParcel(env, item.source)
+            }));
+    }
+
+    /**
+     * Usable environment levels, ordered from the surface upward
+     */
+    getEnvironment(data) {
+        if (!data) return [];
+
+        return data
+            .filter(row => !isNaN(row.pressure) && !isNaN(row.temp) && !isNaN(row.height))
+            .sort((a, b) => b.pressure - a.pressure);
+    }
+
+    /**
+     * Interpolate environmental temperature, dewpoint, height and wind at a pressure (linear in ln p)
+     */
+    interpolateEnvironment(env, p) {
+        for (let i = 0; i < env.length - 1; i++) {
+            const lower = env[i];
+            const upper = env[i + 1];
+
+            if (lower.pressure >= p && upper.pressure <= p) {
+                const ratio = Math.log(lower.pressure / p) / Math.log(lower.pressure / upper.pressure);
+                const lerp = (a, b) => a + ratio * (b - a);
+
+                // Wind interpolated through its components
+                const toRad = Math.PI / 180;
+                const u = lerp(-lower.windSpeed * Math.sin(lower.windDir * toRad), -upper.windSpeed * Math.sin(upper.windDir * toRad));
+                const v = lerp(-lower.windSpeed * Math.cos(lower.windDir * toRad), -upper.windSpeed * Math.cos(upper.windDir * toRad));
+
+                return {
+                    pressure: p,
+                    temp: lerp(lower.temp, upper.temp),
+                    dewpoint: lerp(lower.dewpoint, upper.dewpoint),
+                    height: lerp(lower.height, upper.height),
+                    windSpeed: Math.sqrt(u * u + v * v),
+                    windDir: (Math.atan2(-u, -v) / toRad + 360) % 360
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pressure (hPa) at a height (m), interpolated linearly in ln p
+     */
+    pressureAtHeight(env, h) {
+        for (let i = 0; i < env.length - 1; i++) {
+            const lower = env[i];
+            const upper = env[i + 1];
+
+            if (lower.height <= h && upper.height >= h) {
+                const ratio = (h - lower.height) / (upper.height - lower.height);
+                return Math.exp(Math.log(lower.pressure) + ratio * Math.log(upper.pressure / lower.pressure));
+            }
+        }
+
+        return NaN;
+    }
+
+    /**
+     * Parcel starting at the lowest reported level
+     */
+    surfaceSource(env) {
+        const sfc = env[0];
+        if (isNaN(sfc.dewpoint)) return null;
+
+        return { pressure: sfc.pressure, temp: sfc.temp, dewpoint: sfc.dewpoint };
+    }
+
+    /**
+     * Parcel with the mean potential temperature and mixing ratio of the lowest layer
+     */
+    mixedLayerSource(env) {
+        const pSfc = env[0].pressure;
+        const pTop = pSfc - this.mixedLayerDepth;
+
+        // Pressure-weighted (trapezoidal) layer means
+        let thetaSum = 0;
+        let mixSum = 0;
+        let weight = 0;
+
+        for (let i = 0; i < env.length - 1; i++) {
+            const lower = env[i];
+            if (lower.pressure <= pTop) break;
+
+            const upper = env[i + 1].pressure >= pTop ? env[i + 1] : this.interpolateEnvironment(env, pTop);
+            if (!upper || isNaN(lower.dewpoint) || isNaN(upper.dewpoint)) continue;
+
+            const dp = lower.pressure - upper.pressure;
+            thetaSum += dp * (Thermo.potentialTemperature(lower.temp, lower.pressure) +
+                              Thermo.potentialTemperature(upper.temp, upper.pressure)) / 2;
+            mixSum += dp * (Thermo.saturationMixingRatio(lower.dewpoint, lower.pressure) +
+                            Thermo.saturationMixingRatio(upper.dewpoint, upper.pressure)) / 2;
+            weight += dp;
+        }
+
+        if (weight === 0) return null;
+
+        const temp = Thermo.temperatureFromTheta(thetaSum / weight, pSfc);
+        const dewpoint = Math.min(temp, Thermo.dewpointFromMixingRatio(mixSum / weight, pSfc));
+
+        return { pressure: pSfc, temp, dewpoint };
+    }
+
+    /**
+     * Parcel from the level with the highest equivalent potential temperature
+     */
+    mostUnstableSource(env) {
+        const pTop = env[0].pressure - this.mostUnstableDepth;
+        let best = null;
+        let bestThetaE = -Infinity;
+
+        env.forEach(row => {
+            if (row.pressure < pTop || isNaN(row.dewpoint)) return;
+
+            const thetaE = Thermo.equivalentPotentialTemperature(row.temp, row.pressure, row.dewpoint);
+            if (thetaE > bestThetaE) {
+                bestThetaE = thetaE;
+                best = row;
+            }
+        });
+
+        if (!best) return null;
+
+        return { pressure: best.pressure, temp: best.temp, dewpoint: best.dewpoint };
+    }
+
+    /**
+     * Lift a parcel and integrate its buoyancy
+     * @returns {object} { source, trace, lcl, lfc, el, cape, cin }
+     */
+    liftParcel(env, source) {
+        const lclPoint = Thermo.lcl(source.temp, source.dewpoint, source.pressure);
+        const theta = Thermo.potentialTemperature(source.temp, source.pressure);
+        const mixingRatio = Thermo.saturationMixingRatio(source.dewpoint, source.pressure);
+
+        // Pressure levels the parcel passes through: source, every level above it and the LCL
+        const pressures = [source.pressure];
+        env.forEach(row => {
+            if (row.pressure < source.pressure) pressures.push(row.pressure);
+        });
+        if (lclPoint.pressure < source.pressure && lclPoint.pressure > env[env.length - 1].pressure) {
+            pressures.push(lclPoint.pressure);
+        }
+        pressures.sort((a, b) => b - a);
+
+        const points = [];
+        let moistT = null;
+        let moistP = null;
+
+        pressures.forEach(p => {
+            const envLevel = this.interpolateEnvironment(env, p) || env.find(row => row.pressure === p);
+            if (!envLevel) return;
+
+            let temp;
+            let parcelTv;
+
+            if (p >= lclPoint.pressure) {
+                // Dry adiabatic ascent, conserving mixing ratio
+                temp = Thermo.temperatureFromTheta(theta, p);
+                parcelTv = Thermo.virtualTemperature(temp, p, Thermo.dewpointFromMixingRatio(mixingRatio, p));
+            } else {
+                // Saturated (pseudoadiabatic) ascent from the LCL
+                if (moistT === null) {
+                    moistT = lclPoint.temp;
+                    moistP = lclPoint.pressure;
+                }
+                moistT = Thermo.liftMoist(moistT, moistP, p);
+                moistP = p;
+                temp = moistT;
+                parcelTv = Thermo.virtualTemperature(temp, p, temp);
+            }
+
+            const envTv = Thermo.virtualTemperature(envLevel.temp, p, envLevel.dewpoint);
+
+            points.push({
+                pressure: p,
+                height: envLevel.height,
+                temp,
+                envTemp: envLevel.temp,
+                buoyancy: parcelTv - envTv
+            });
+        });
+
+        const trace = this.insertZeroCrossings(points, env);
+        const lclIndex = trace.findIndex(pt => pt.pressure <= lclPoint.pressure);
+        const lcl = lclIndex >= 0 ? {
+            pressure: lclPoint.pressure,
+            temp: lclPoint.temp,
+            height: this.heightAtPressure(env, lclPoint.pressure)
+        } : null;
+
+        const result = {
+            source,
+            trace,
+            lcl,
+            lfc: null,
+            el: null,
+            cape: 0,
+            cin: 0
+        };
+
+        if (lclIndex < 0) return result;
+
+        // LFC: first level at or above the LCL where the parcel becomes positively buoyant
+        let lfcIndex = -1;
+        for (let i = lclIndex; i < trace.length - 1; i++) {
+            if (trace[i].buoyancy >= 0 && this.layerArea(trace[i], trace[i + 1]) > 0) {
+                lfcIndex = i;
+                break;
+            }
+        }
+        if (lfcIndex < 0) return result;
+
+        // EL: top of the highest positively buoyant layer above the LFC
+        let elIndex = lfcIndex;
+        for (let i = lfcIndex; i < trace.length - 1; i++) {
+            if (this.layerArea(trace[i], trace[i + 1]) > 0) elIndex = i + 1;
+        }
+
+        for (let i = 0; i < trace.length - 1; i++) {
+            const area = this.layerArea(trace[i], trace[i + 1]);
+            if (i < lfcIndex && area < 0) result.cin += area;
+            if (i >= lfcIndex && i < elIndex && area > 0) result.cape += area;
+        }
+
+        result.lfc = this.levelInfo(trace[lfcIndex]);
+        result.el = this.levelInfo(trace[elIndex]);
+
+        return result;
+    }
+
+    /**
+     * Temperature (C) of a parcel lifted from its source to pressure p (hPa)
+     */
+    parcelTemperatureAt(source, p) {
+        const lcl = Thermo.lcl(source.temp, source.dewpoint, source.pressure);
+
+        if (p >= lcl.pressure) {
+            return Thermo.temperatureFromTheta(Thermo.potentialTemperature(source.temp, source.pressure), p);
+        }
+
+        return Thermo.liftMoist(lcl.temp, lcl.pressure, p);
+    }
+
+    /**
+     * Buoyant energy (J/kg) of the layer between two trace points
+     */
+    layerArea(lower, upper) {
+        const meanBuoyancy = (lower.buoyancy + upper.buoyancy) / 2;
+        return THERMO_CONSTANTS.Rd * meanBuoyancy * Math.log(lower.pressure / upper.pressure);
+    }
+
+    /**
+     * Add points where buoyancy changes sign so every layer has a single sign
+     */
+    insertZeroCrossings(points, env) {
+        const result = [];
+
+        points.forEach((pt, i) => {
+            const prev = points[i - 1];
+            if (prev && prev.buoyancy * pt.buoyancy < 0) {
+                const ratio = prev.buoyancy / (prev.buoyancy - pt.buoyancy);
+                const lnP = Math.log(prev.pressure) + ratio * (Math.log(pt.pressure) - Math.log(prev.pressure));
+                const p = Math.exp(lnP);
+                const lerp = (a, b) => a + ratio * (b - a);
+
+                result.push({
+                    pressure: p,
+                    height: this.heightAtPressure(env, p),
+                    temp: lerp(prev.temp, pt.temp),
+                    envTemp: lerp(prev.envTemp, pt.envTemp),
+                    buoyancy: 0
+                });
+            }
+            result.push(pt);
+        });
+
+        return result;
+    }
+
+    /**
+     * Height (m) of a pressure level from the environment
+     */
+    heightAtPressure(env, p) {
+        const level = this.interpolateEnvironment(env, p);
+        return level ? level.height : NaN;
+    }
+
+    /**
+     * Summary of a trace point for reporting
+     */
+    levelInfo(point) {
+        return {
+            pressure: point.pressure,
+            height: point.height,
+            temp: point.temp
+        };
+    }
+}
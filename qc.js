@@ -0,0 +1,209 @@
+/**
+ * Quality control of sounding levels: hydrostatic consistency, dew point above temperature, extreme
+ * superadiabatic layers, non-monotonic pressure, wind spikes and duplicated levels
+ */
+
+class SoundingQC {
+    constructor() {
+        // Allowed difference between the reported and hypsometric thickness of a layer: fixed part (m)
+        // and fraction of the thickness
+        this.hydrostaticTolerance = { meters: 30, fraction: 0.05 };
+
+        // Dew point excess over the temperature (°C) allowed for rounding
+        this.dewpointTolerance = 0.1;
+
+        // Lapse rate (°C/km) flagged as extreme, about 2.5 times dry adiabatic, except in the surface
+        // layer (m) where strong heating can exceed it
+        this.maxLapseRate = 25;
+        this.surfaceLayerDepth = 100;
+
+        // Wind spike: vector difference (m/s) from both neighbouring wind levels, which agree with each
+        // other within half of it, no more than maxWindGap (m) apart
+        this.windSpikeThreshold = 20;
+        this.maxWindGap = 2000;
+
+        // Check names shown in the report
+        this.checks = {
+            pressure: 'Pressure order',
+            duplicate: 'Duplicate level',
+            dewpoint: 'Dew point',
+            hydrostatic: 'Hydrostatic',
+            superadiabatic: 'Superadiabatic',
+            windSpike: 'Wind spike'
+        };
+    }
+
+    /**
+     * Check the levels of a sounding
+     * @param {Array} data - Rows produced by SoundingDataParser.parse(), surface first
+     * @returns {object} { flags, levels (number of flagged levels) }; flags are
+     *     [{ index, check, message, value, quantity, pressure, height, temp, dewpoint }] in level order, where
+     *     value is the size of the problem in stored units of quantity ('height', 'pressure', 'wind',
+     *     'temperatureDelta' or 'lapseRate' in °C/km), or null
+     */
+    check(data) {
+        const order = this.checkOrder(data);
+        const ordered = data.map((row, i) => i).filter(i => !order.some(flag => flag.index === i));
+
+        const flags = [
+            ...order,
+            ...this.checkDewpoint(data),
+            ...this.checkHydrostatic(data, ordered),
+            ...this.checkLapseRate(data, ordered),
+            ...this.checkWindSpikes(data, ordered)
+        ].sort((a, b) => a.index - b.index);
+
+        return { flags, levels: new Set(flags.map(flag => flag.index)).size };
+    }
+
+    /**
+     * Rows without the flagged levels, for plotting and calculations
+     */
+    exclude(data, flags) {
+        const flagged = new Set(flags.map(flag => flag.index));
+        return data.filter((row, i) => !flagged.has(i));
+    }
+
+    /**
+     * Flag for a level
+     */
+    flag(data, index, check, message, value = null, quantity = null) {
+        const { pressure, height, temp, dewpoint } = data[index];
+        return { index, check, message, value, quantity, pressure, height, temp, dewpoint };
+    }
+
+    /**
+     * Levels whose pressure does not decrease upward: higher than the level below, or repeating it
+     */
+    checkOrder(data) {
+        const flags = [];
+        const fields = ['height', 'temp', 'dewpoint', 'windDir', 'windSpeed'];
+        const same = (a, b) => (isNaN(a) && isNaN(b)) || a === b;
+        let below = null;
+
+        data.forEach((row, i) => {
+            if (isNaN(row.pressure)) return;
+
+            if (below && row.pressure === below.pressure) {
+                const repeated = fields.every(field => same(row[field], below[field]));
+                flags.push(this.flag(data, i, 'duplicate', repeated
+                    ? 'Repeats the level below'
+                    : 'Same pressure as the level below with different values'));
+            } else if (below && row.pressure > below.pressure) {
+                flags.push(this.flag(data, i, 'pressure', 'Pressure above the level below by',
+                    row.pressure - below.pressure, 'pressure'));
+            } else {
+                below = row;
+            }
+        });
+
+        return flags;
+    }
+
+    /**
+     * Levels with the dew point above the temperature
+     */
+    checkDewpoint(data) {
+        const flags = [];
+
+        data.forEach((row, i) => {
+            const excess = row.dewpoint - row.temp;
+            if (excess > this.dewpointTolerance) {
+                flags.push(this.flag(data, i, 'dewpoint', 'Dew point above the temperature by', excess, 'temperatureDelta'));
+            }
+        });
+
+        return flags;
+    }
+
+    /**
+     * Heights that disagree with the hypsometric thickness of the layers next to them. A wrong height
+     * makes both its layers disagree, so a level is flagged when all its layers do; a layer disagreeing
+     * on its own flags its upper level
+     * @param {Array} ordered - Indices of the levels in pressure order
+     */
+    checkHydrostatic(data, ordered) {
+        const { Rd, g, zeroC } = THERMO_CONSTANTS;
+        const levels = ordered.filter(i => !isNaN(data[i].height) && !isNaN(data[i].temp));
+
+        // Reported minus hypsometric thickness of each layer, null within tolerance
+        const errors = levels.slice(1).map((upper, n) => {
+            const a = data[levels[n]];
+            const b = data[upper];
+            const tv = (Thermo.virtualTemperature(a.temp, a.pressure, a.dewpoint) +
+                        Thermo.virtualTemperature(b.temp, b.pressure, b.dewpoint)) / 2 + zeroC;
+            const thickness = Rd * tv / g * Math.log(a.pressure / b.pressure);
+            const error = (b.height - a.height) - thickness;
+
+            const tolerance = this.hydrostaticTolerance.meters + this.hydrostaticTolerance.fraction * thickness;
+            return Math.abs(error) > tolerance ? error : null;
+        });
+
+        const flagged = new Set();
+        levels.forEach((index, n) => {
+            const below = n > 0 ? errors[n - 1] : undefined;
+            const above = n < errors.length ? errors[n] : undefined;
+            const layers = [below, above].filter(error => error !== undefined);
+            if (layers.length > 0 && layers.every(error => error !== null)) flagged.add(n);
+        });
+        errors.forEach((error, n) => {
+            if (error !== null && !flagged.has(n) && !flagged.has(n + 1)) flagged.add(n + 1);
+        });
+
+        return Array.from(flagged).map(n => {
+            const adjacent = [errors[n - 1], errors[n]].filter(error => error !== undefined && error !== null);
+            return this.flag(data, levels[n], 'hydrostatic', 'Height differs from the layer thickness by',
+                Math.max(...adjacent.map(Math.abs)), 'height');
+        });
+    }
+
+    /**
+     * Upper levels of layers cooling with height much faster than dry adiabatic, above the surface layer
+     * @param {Array} ordered - Indices of the levels in pressure order
+     */
+    checkLapseRate(data, ordered) {
+        const levels = ordered.filter(i => !isNaN(data[i].height) && !isNaN(data[i].temp));
+        if (levels.length < 2) return [];
+
+        const surfaceHeight = data[levels[0]].height;
+        const flags = [];
+
+        for (let n = 1; n < levels.length; n++) {
+            const a = data[levels[n - 1]];
+            const b = data[levels[n]];
+            const depth = b.height - a.height;
+            if (depth <= 0 || a.height - surfaceHeight < this.surfaceLayerDepth) continue;
+
+            const lapseRate = (a.temp - b.temp) / depth * 1000;
+            if (lapseRate > this.maxLapseRate) {
+                flags.push(this.flag(data, levels[n], 'superadiabatic', 'Lapse rate below this level', lapseRate, 'lapseRate'));
+            }
+        }
+
+        return flags;
+    }
+
+    /**
+     * Wind levels that differ sharply from the levels above and below while those two agree
+     * @param {Array} ordered - Indices of the levels in pressure order
+     */
+    checkWindSpikes(data, ordered) {
+        const levels = ordered.filter(i => !isNaN(data[i].height) && !isNaN(data[i].windDir) && !isNaN(data[i].windSpeed));
+        const vector = (row) => WindAnalysis.toComponents(row.windDir, row.windSpeed);
+        const difference = (a, b) => Math.hypot(a.u - b.u, a.v - b.v);
+        const flags = [];
+
+        for (let n = 1; n < levels.length - 1; n++) {
+            const [below, row, above] = [levels[n - 1], levels[n], levels[n + 1]].map(i => data[i]);
+            if (above.height - below.height > this.maxWindGap) continue;
+
+            const [vBelow, v, vAbove] = [below, row, above].map(vector);
+            const spike = Math.min(difference(v, vBelow), difference(v, vAbove));
+            if (spike > this.windSpikeThreshold && difference(vBelow, vAbove) < this.windSpikeThreshold / 2) {
+                flags.push(this.flag(data, levels[n], 'windSpike', 'Wind differs from the levels above and below by', spike, 'wind'));
+            }
+        }
+
+        return flags;
+    }
+}
@@ -7,10 +7,19 @@ class SkewTDiagram {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
 
-        // Diagram bounds
-        this.margin = { top: 50, right: 150, bottom: 50, left: 100 };
-        this.width = this.canvas.width - this.margin.left - this.margin.right;
-        this.height = this.canvas.height - this.margin.top - this.margin.bottom;
+        // Size in CSS pixels, used for all drawing; the canvas holds pixelRatio device pixels per CSS pixel
+        this.displayWidth = this.canvas.width;
+        this.displayHeight = this.canvas.height;
+        this.pixelRatio = 1;
+
+        // Margins, wind barb column and aviation hazard columns (offset from the right edge of the plot, inside
+        // it when negative), with a compact layout below narrowWidth (CSS px)
+        this.layouts = {
+            wide: { margin: { top: 50, right: 150, bottom: 50, left: 100 }, barbOffset: 20, barbLength: 30, hazardOffset: 66, hazardWidth: 12 },
+            narrow: { margin: { top: 45, right: 85, bottom: 30, left: 55 }, barbOffset: 58, barbLength: 22, hazardOffset: -30, hazardWidth: 9 }
+        };
+        this.narrowWidth = 700;
+        this.updateLayout();
 
         // Pressure range (hPa)
         this.pMin = 100;
@@ -23,12 +32,143 @@ class SkewTDiagram {
         // Temperature range (Celsius)
         this.tMin = -60;
         this.tMax = 50;
+        this.defaultTemperatureRange = { min: this.tMin, max: this.tMax };
+
+        // Limits of interactive zoom and pan: smallest spans, height bounds (m), widest temperature span (C)
+        this.zoomLimits = { minHeightSpan: 100, minHeight: -500, maxHeight: 30000, minTempSpan: 5, maxTempSpan: 200 };
 
         // Skew factor (temperature shift per pressure decade)
         this.skew = 35;
 
+        // Vertical coordinate: 'height' (linear height), 'logp' (log pressure) or 'hybrid'
+        this.verticalMode = 'height';
+
+        // Scale height (m) converting log pressure to log-pressure height
+        this.logPScaleHeight = 7000;
+
+        // Hybrid mode: linear height up to this depth above the lowest level (m), log-P above
+        this.hybridDepth = 3000;
+
         // Store sounding data for height-pressure conversion
         this.soundingData = null;
+
+        // Lifted parcels from ParcelAnalyzer and the one whose areas are shaded
+        this.parcels = [];
+        this.selectedParcel = null;
+
+        // Parcel trace styles by parcel type
+        this.parcelStyles = {
+            sb: { color: '#000000', label: 'SB Parcel' },
+            ml: { color: '#805ad5', label: 'ML Parcel' },
+            mu: { color: '#dd6b20', label: 'MU Parcel' }
+        };
+
+        // Thermal soaring forecast from SoaringForecast
+        this.soaringForecast = null;
+
+        // Levels highlighted from the indices panel: { levels: [{ pressure, height }], layer, label }
+        this.highlight = null;
+
+        // Suspect levels from SoundingQC, marked on the profiles and wind barbs
+        this.qcFlags = [];
+
+        // Wet-bulb, virtual temperature and other profiles from DerivedProfiles, drawn when their layers are shown
+        this.derivedProfiles = [];
+
+        // Cloud, icing and turbulence layers from AviationAnalysis, shaded in columns beside the wind barbs
+        this.aviationHazards = [];
+
+        // Hazard column headings, legend names and band colours by hazard and severity
+        this.hazardStyles = {
+            cloud: { heading: 'C', name: 'Cloud', colors: { possible: 'rgba(160, 174, 192, 0.45)', likely: 'rgba(74, 85, 104, 0.7)' } },
+            icing: { heading: 'I', name: 'Icing', colors: { trace: 'rgba(144, 205, 244, 0.5)', light: 'rgba(66, 153, 225, 0.6)', moderate: 'rgba(43, 108, 176, 0.8)', severe: 'rgba(85, 60, 154, 0.9)' } },
+            turbulence: { heading: 'T', name: 'Turbulence', colors: { light: 'rgba(246, 173, 85, 0.6)', moderate: 'rgba(229, 62, 62, 0.75)' } }
+        };
+
+        // Inversions, isothermal layers and the mixing height from InversionAnalysis: { layers, mixingHeight }
+        this.inversions = null;
+
+        // Bracket colours and labels of the stable layers, and the mixing height line colour
+        this.inversionStyles = {
+            surface: { color: '#c05621', label: 'Surface inversion' },
+            elevated: { color: '#b7791f', label: 'Elevated inversion' },
+            subsidence: { color: '#6b46c1', label: 'Subsidence inversion' },
+            isothermal: { color: '#718096', label: 'Isothermal' }
+        };
+        this.mixingHeightColor = '#2b6cb0';
+
+        // Width (px) of the humidity-over-ice strip along the left edge and the humidity (%) at its right side
+        this.iceStripWidth = 60;
+        this.iceStripMax = 150;
+
+        // Comparison soundings overlaid on this diagram: [{ label, result, style: { color, dash } }]
+        this.overlays = [];
+
+        // Height (m) of the shared comparison cursor, null when hidden
+        this.cursorHeight = null;
+
+        // Unedited levels drawn behind an edited profile, null when not editing
+        this.originalProfile = null;
+
+        // Temperature layer being redrawn with the mouse: [{ height, temp }], null when not drawing
+        this.editStroke = null;
+
+        // Rubber-band rectangle of a box zoom in progress: { x1, y1, x2, y2 }, null when not zooming
+        this.zoomBox = null;
+
+        // Display units of the axis labels, wind barbs and level labels
+        this.units = new UnitSystem();
+
+        // Layer visibility, colours and line widths
+        this.style = new DiagramStyle();
+
+        this.updateVerticalScale();
+    }
+
+    /**
+     * Resize the drawing to a CSS pixel size at a device pixel ratio; returns whether anything changed
+     */
+    resize(width, height, pixelRatio = 1) {
+        if (width === this.displayWidth && height === this.displayHeight && pixelRatio === this.pixelRatio) return false;
+
+        this.displayWidth = width;
+        this.displayHeight = height;
+        this.pixelRatio = pixelRatio;
+
+        // Resizing the canvas resets its context, so the scale is applied again
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+        this.updateLayout();
+        return true;
+    }
+
+    /**
+     * Margins, plot area and wind barb column for the current size
+     */
+    updateLayout() {
+        this.narrow = this.displayWidth < this.narrowWidth;
+        const layout = this.narrow ? this.layouts.narrow : this.layouts.wide;
+
+        this.margin = { ...layout.margin };
+        this.barbOffset = layout.barbOffset;
+        this.barbLength = layout.barbLength;
+        this.hazardOffset = layout.hazardOffset;
+        this.hazardWidth = layout.hazardWidth;
+        this.width = this.displayWidth - this.margin.left - this.margin.right;
+        this.height = this.displayHeight - this.margin.top - this.margin.bottom;
+    }
+
+    /**
+     * Drawing coordinates (CSS px) of a mouse or touch point given in client coordinates
+     */
+    eventPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.displayWidth / rect.width,
+            y: (event.clientY - rect.top) * this.displayHeight / rect.height
+        };
     }
 
     /**
@@ -37,16 +177,313 @@ class SkewTDiagram {
     setHeightRange(minHeight, maxHeight) {
         this.hMin = minHeight;
         this.hMax = maxHeight;
+        this.updateVerticalScale();
     }
 
     /**
-     * Convert height to Y coordinate (linear)
+     * Set temperature range (C) of the diagram's bottom edge
      */
-    heightToY(h) {
-        const ratio = (h - this.hMin) / (this.hMax - this.hMin);
+    setTemperatureRange(minTemp, maxTemp) {
+        this.tMin = minTemp;
+        this.tMax = maxTemp;
+    }
+
+    /**
+     * Current height and temperature ranges, for zoom history and the zoom inputs
+     */
+    getZoom() {
+        return { hMin: this.hMin, hMax: this.hMax, tMin: this.tMin, tMax: this.tMax };
+    }
+
+    /**
+     * Restore height and temperature ranges returned by getZoom
+     */
+    setZoom(zoom) {
+        this.setTemperatureRange(zoom.tMin, zoom.tMax);
+        this.setHeightRange(zoom.hMin, zoom.hMax);
+    }
+
+    /**
+     * Zoom in (factor < 1) or out (factor > 1) keeping the point under canvas coordinates fixed
+     */
+    zoomAt(x, y, factor) {
+        const ratioY = 1 - (y - this.margin.top) / this.height;
+
+        // Temperature under the cursor, measured along the skewed isotherm
+        const tAnchor = this.xToTemp(x, this.yToPressure(y));
+        const ratioX = (tAnchor - this.tMin) / (this.tMax - this.tMin);
+        const tSpan = this.clampTempSpan((this.tMax - this.tMin) * factor);
+
+        const cSpan = (this.coordMax - this.coordMin) * factor;
+        const cAnchor = this.coordMin + ratioY * (this.coordMax - this.coordMin);
+
+        this.setTemperatureRange(tAnchor - ratioX * tSpan, tAnchor + (1 - ratioX) * tSpan);
+        this.setCoordinateRange(cAnchor - ratioY * cSpan, cAnchor + (1 - ratioY) * cSpan);
+    }
+
+    /**
+     * Move the view by a canvas pixel offset, dragging the diagram content with the mouse
+     */
+    pan(dx, dy) {
+        const tShift = dx / this.width * (this.tMax - this.tMin);
+        const cShift = dy / this.height * (this.coordMax - this.coordMin);
+
+        this.setTemperatureRange(this.tMin - tShift, this.tMax - tShift);
+        this.setCoordinateRange(this.coordMin + cShift, this.coordMax + cShift);
+    }
+
+    /**
+     * Zoom to the rectangle between two canvas points
+     */
+    zoomToBox(x1, y1, x2, y2) {
+        const left = Math.max(this.margin.left, Math.min(x1, x2));
+        const right = Math.min(this.margin.left + this.width, Math.max(x1, x2));
+        const top = Math.max(this.margin.top, Math.min(y1, y2));
+        const bottom = Math.min(this.margin.top + this.height, Math.max(y1, y2));
+        if (right <= left || bottom <= top) return;
+
+        const tAt = (x) => this.tMin + (x - this.margin.left) / this.width * (this.tMax - this.tMin);
+        const tMin = tAt(left);
+        const tSpan = this.clampTempSpan(tAt(right) - tMin);
+        this.setTemperatureRange(tMin, tMin + tSpan);
+
+        this.setHeightRange(this.yToHeight(bottom), this.yToHeight(top));
+        this.clampHeightRange();
+    }
+
+    /**
+     * Set the rubber-band rectangle of a box zoom (null to hide)
+     */
+    setZoomBox(box) {
+        this.zoomBox = box;
+    }
+
+    /**
+     * Set the height range from a range of vertical coordinates, within the zoom limits
+     */
+    setCoordinateRange(cMin, cMax) {
+        this.setHeightRange(this.coordinateToHeight(cMin), this.coordinateToHeight(cMax));
+        this.clampHeightRange();
+    }
+
+    /**
+     * Keep the height range inside the zoom limits, shifting rather than shrinking it where possible
+     */
+    clampHeightRange() {
+        const limits = this.zoomLimits;
+        const span = Math.min(limits.maxHeight - limits.minHeight, Math.max(limits.minHeightSpan, this.hMax - this.hMin));
+        let hMin = this.hMin;
+
+        if (this.hMax - this.hMin < limits.minHeightSpan) hMin = (this.hMin + this.hMax - span) / 2;
+        hMin = Math.max(limits.minHeight, Math.min(limits.maxHeight - span, hMin));
+
+        this.setHeightRange(hMin, hMin + span);
+    }
+
+    /**
+     * Limit a temperature span (C) to the zoom limits
+     */
+    clampTempSpan(span) {
+        return Math.max(this.zoomLimits.minTempSpan, Math.min(this.zoomLimits.maxTempSpan, span));
+    }
+
+    /**
+     * Set the display units (a UnitSystem shared with the rest of the page)
+     */
+    setUnits(units) {
+        this.units = units;
+    }
+
+    /**
+     * Set the layer visibility and styles (a DiagramStyle shared with the rest of the page)
+     */
+    setStyle(style) {
+        this.style = style;
+    }
+
+    /**
+     * Set lifted parcels to draw and the parcel type whose CAPE/CIN is shaded
+     */
+    setParcels(parcels, selectedType = null) {
+        this.parcels = parcels || [];
+        this.selectedParcel = selectedType;
+    }
+
+    /**
+     * Set the soaring forecast whose thermal column is drawn (null to hide)
+     */
+    setSoaringForecast(forecast) {
+        this.soaringForecast = forecast;
+    }
+
+    /**
+     * Set comparison soundings to overlay (empty array to clear)
+     */
+    setOverlays(overlays) {
+        this.overlays = overlays || [];
+    }
+
+    /**
+     * Set the height of the shared comparison cursor (null to hide)
+     */
+    setCursorHeight(height) {
+        this.cursorHeight = height;
+    }
+
+    /**
+     * Set the unedited levels to draw behind the edited profile, with drag handles on the surface points (null when not editing)
+     */
+    setOriginalProfile(data) {
+        this.originalProfile = data;
+    }
+
+    /**
+     * Set the temperature stroke being drawn (null to hide)
+     */
+    setEditStroke(stroke) {
+        this.editStroke = stroke;
+    }
+
+    /**
+     * Set levels to highlight (null to clear)
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight;
+    }
+
+    /**
+     * Set the quality control flags to mark ([] to clear)
+     */
+    setQCFlags(flags) {
+        this.qcFlags = flags;
+    }
+
+    /**
+     * Set the derived profiles ([{ pressure, height, wetBulb, virtualTemp, thetaW, rhIce, frostPoint }])
+     */
+    setDerivedProfiles(profiles) {
+        this.derivedProfiles = profiles;
+    }
+
+    /**
+     * Set the aviation hazard layers from AviationAnalysis.analyze() ([] to clear)
+     */
+    setAviationHazards(hazards) {
+        this.aviationHazards = hazards;
+    }
+
+    /**
+     * Set the stable layers and mixing height from InversionAnalysis.analyze() (null to clear)
+     */
+    setInversions(inversions) {
+        this.inversions = inversions;
+    }
+
+    /**
+     * Set the vertical coordinate mode ('height', 'logp' or 'hybrid')
+     */
+    setVerticalMode(mode) {
+        this.verticalMode = mode;
+        this.updateVerticalScale();
+    }
+
+    /**
+     * Recompute the cached vertical scale after the mode, height range or sounding changes
+     */
+    updateVerticalScale() {
+        // Hybrid transition level and the local scale height there, so the axis has no kink
+        const surfaceHeight = this.soundingData?.data?.length ? this.soundingData.data[0].height : 0;
+        this.hybridHeight = surfaceHeight + this.hybridDepth;
+        this.hybridPressure = this.heightToPressure(this.hybridHeight);
+        this.hybridScaleHeight = THERMO_CONSTANTS.Rd * (this.temperatureAtPressure(this.hybridPressure) + THERMO_CONSTANTS.zeroC) / THERMO_CONSTANTS.g;
+
+        // Coordinates of the zoomed height range and of the skew reference pressure
+        this.coordMin = this.heightToCoordinate(this.hMin);
+        this.coordMax = this.heightToCoordinate(this.hMax);
+        this.skewBase = this.verticalCoordinate(this.pMax);
+    }
+
+    /**
+     * Vertical coordinate (m) of a pressure level in the current mode
+     * - height: height from the sounding
+     * - logp: log-pressure height, H ln(1000 / p)
+     * - hybrid: height up to the transition level, log-pressure height above it
+     */
+    verticalCoordinate(p) {
+        if (this.verticalMode === 'logp') {
+            return this.logPScaleHeight * Math.log(1000 / p);
+        }
+
+        if (this.verticalMode === 'hybrid' && p < this.hybridPressure) {
+            return this.hybridHeight + this.hybridScaleHeight * Math.log(this.hybridPressure / p);
+        }
+
+        return this.pressureToHeight(p);
+    }
+
+    /**
+     * Vertical coordinate (m) of a height in the current mode
+     */
+    heightToCoordinate(h) {
+        if (this.verticalMode === 'height') return h;
+        return this.verticalCoordinate(this.heightToPressure(h));
+    }
+
+    /**
+     * Pressure (hPa) at a vertical coordinate in the current mode
+     */
+    coordinateToPressure(c) {
+        if (this.verticalMode === 'logp') {
+            return 1000 * Math.exp(-c / this.logPScaleHeight);
+        }
+
+        if (this.verticalMode === 'hybrid' && c > this.hybridHeight) {
+            return this.hybridPressure * Math.exp(-(c - this.hybridHeight) / this.hybridScaleHeight);
+        }
+
+        return this.heightToPressure(c);
+    }
+
+    /**
+     * Convert a vertical coordinate to Y (linear between the zoomed range)
+     */
+    coordinateToY(c) {
+        const ratio = (c - this.coordMin) / (this.coordMax - this.coordMin);
         return this.margin.top + this.height * (1 - ratio);
     }
 
+    /**
+     * Convert height to Y coordinate
+     */
+    heightToY(h) {
+        return this.coordinateToY(this.heightToCoordinate(h));
+    }
+
+    /**
+     * Convert Y coordinate back to pressure (hPa), for mouse hover
+     */
+    yToPressure(y) {
+        const ratio = 1 - (y - this.margin.top) / this.height;
+        return this.coordinateToPressure(this.coordMin + ratio * (this.coordMax - this.coordMin));
+    }
+
+    /**
+     * Convert Y coordinate back to height (m), for mouse hover
+     */
+    yToHeight(y) {
+        const ratio = 1 - (y - this.margin.top) / this.height;
+        return this.coordinateToHeight(this.coordMin + ratio * (this.coordMax - this.coordMin));
+    }
+
+    /**
+     * Height (m) at a vertical coordinate in the current mode
+     */
+    coordinateToHeight(c) {
+        if (this.verticalMode === 'height') return c;
+        if (this.verticalMode === 'hybrid' && c <= this.hybridHeight) return c;
+        return this.pressureToHeight(this.coordinateToPressure(c));
+    }
+
     /**
      * Convert pressure to height using sounding data
      */
@@ -80,86 +517,201 @@ class SkewTDiagram {
     }
 
     /**
-     * Convert pressure to Y coordinate (using height)
+     * Convert height to pressure using sounding data (inverse of pressureToHeight)
+     */
+    heightToPressure(h) {
+        if (!this.soundingData || !this.soundingData.data) {
+            // Fallback: use standard atmosphere approximation
+            return 1013.25 * Math.pow(1 - h / 44330, 1 / 0.1903);
+        }
+
+        const data = this.soundingData.data;
+
+        for (let i = 0; i < data.length - 1; i++) {
+            if (data[i].height <= h && data[i + 1].height >= h) {
+                const h1 = data[i].height;
+                const h2 = data[i + 1].height;
+                const ratio = h2 === h1 ? 0 : (h - h1) / (h2 - h1);
+                return data[i].pressure + ratio * (data[i + 1].pressure - data[i].pressure);
+            }
+        }
+
+        // Outside range, use closest value
+        if (h <= data[0].height) return data[0].pressure;
+        return data[data.length - 1].pressure;
+    }
+
+    /**
+     * Environmental temperature (C) at a pressure, standard atmosphere without sounding data
+     */
+    temperatureAtPressure(p) {
+        const data = this.soundingData?.data;
+        if (data) {
+            for (let i = 0; i < data.length - 1; i++) {
+                if (data[i].pressure >= p && data[i + 1].pressure <= p && !isNaN(data[i].temp) && !isNaN(data[i + 1].temp)) {
+                    const ratio = (p - data[i].pressure) / (data[i + 1].pressure - data[i].pressure);
+                    return data[i].temp + ratio * (data[i + 1].temp - data[i].temp);
+                }
+            }
+        }
+
+        return 15 - 0.0065 * (44330 * (1 - Math.pow(p / 1013.25, 0.1903)));
+    }
+
+    /**
+     * Whether a pressure has a true position on the vertical axis.
+     * Height-based coordinates are clamped outside the sounding, so those pressures are not mapped.
+     */
+    isPressureMapped(p) {
+        const data = this.soundingData?.data;
+        if (!data || data.length === 0) return true;
+        if (this.verticalMode === 'logp') return true;
+        if (this.verticalMode === 'hybrid' && p < this.hybridPressure) return true;
+
+        return p <= data[0].pressure && p >= data[data.length - 1].pressure;
+    }
+
+    /**
+     * Convert pressure to Y coordinate
      */
     pressureToY(p) {
-        const h = this.pressureToHeight(p);
-        return this.heightToY(h);
+        return this.coordinateToY(this.verticalCoordinate(p));
+    }
+
+    /**
+     * Isobar label in the display unit; the compact layout leaves out the unit
+     */
+    pressureLabel(p) {
+        const units = this.units;
+        const value = units.convert('pressure', p).toFixed(units.unit('pressure').decimals);
+        return this.narrow ? value : `${value} ${units.label('pressure')}`;
     }
 
     /**
      * Convert temperature to X coordinate (with skew)
+     * Isotherms are skewed in proportion to the vertical coordinate, so they stay straight in every mode.
      */
     tempToX(t, p) {
         // Base x position from temperature
         const ratio = (t - this.tMin) / (this.tMax - this.tMin);
         const baseX = this.margin.left + this.width * ratio;
 
-        // Add skew based on pressure
-        const logP = Math.log(p);
-        const logPMax = Math.log(this.pMax);
-        const skewOffset = this.skew * (logPMax - logP);
+        // Add skew based on the vertical coordinate (one unit of log pressure per scale height)
+        const skewOffset = this.skew * (this.verticalCoordinate(p) - this.skewBase) / this.logPScaleHeight;
 
         return baseX + skewOffset;
     }
 
+    /**
+     * Convert X coordinate back to temperature (C) at a pressure, inverse of tempToX
+     */
+    xToTemp(x, p) {
+        const skewOffset = this.skew * (this.verticalCoordinate(p) - this.skewBase) / this.logPScaleHeight;
+        return this.tMin + (x - skewOffset - this.margin.left) / this.width * (this.tMax - this.tMin);
+    }
+
+    /**
+     * Canvas positions of the surface temperature and dewpoint, the points dragged when editing
+     * @returns {object|null} { temp: { x, y }, dewpoint: { x, y } }
+     */
+    surfaceHandles(data) {
+        const row = data.find(r => !isNaN(r.temp));
+        if (!row) return null;
+
+        const y = this.heightToY(row.height);
+        return {
+            temp: { x: this.tempToX(row.temp, row.pressure), y },
+            dewpoint: isNaN(row.dewpoint) ? null : { x: this.tempToX(row.dewpoint, row.pressure), y }
+        };
+    }
+
     /**
      * Clear and draw complete diagram
      */
     draw(soundingData) {
         // Store sounding data for height conversions
         this.soundingData = soundingData;
+        this.updateVerticalScale();
 
         // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.displayWidth, this.displayHeight);
 
         // Draw background
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = this.style.settings.background;
+        this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
 
-        // Draw grid and labels
+        // Draw grid and labels; hidden background layers are skipped
+        const style = this.style;
         this.drawHeightAxis();
         this.drawPressureLines();
-        this.drawIsotherms();
-        this.drawDryAdiabats();
-        this.drawMoistAdiabats();
-        this.drawMixingRatioLines();
+        if (style.visible('isotherms')) this.drawIsotherms();
+        if (style.visible('dryAdiabats')) this.drawDryAdiabats();
+        if (style.visible('moistAdiabats')) this.drawMoistAdiabats();
+        if (style.visible('mixingRatio')) this.drawMixingRatioLines();
 
         // Draw border
         this.drawBorder();
 
+        // Comparison soundings beneath the main profiles
+        if (style.visible('overlays')) this.overlays.forEach(overlay => this.drawOverlayProfile(overlay));
+
+        // Unedited profile beneath an edited one
+        this.drawOriginalProfile();
+
         // Draw data if provided
         if (soundingData && soundingData.data && soundingData.data.length > 0) {
-            this.drawTemperatureProfile(soundingData.data);
-            this.drawDewpointProfile(soundingData.data);
-            this.drawWindBarbs(soundingData.data);
+            if (style.visible('temperature')) this.drawTemperatureProfile(soundingData.data);
+            if (style.visible('dewpoint')) this.drawDewpointProfile(soundingData.data);
+            this.drawDerivedProfiles();
+            if (style.visible('parcels')) this.drawParcels();
+            if (style.visible('soaring')) this.drawSoaringColumn();
+            if (style.visible('inversions')) this.drawInversions();
+            this.drawHighlight();
+            if (style.visible('windBarbs')) this.drawWindBarbs(soundingData.data);
+            if (style.visible('aviation')) this.drawAviationHazards();
+            if (style.visible('qc')) this.drawQCMarkers();
+            this.drawEditHandles(soundingData.data);
         }
 
+        this.drawCursorLine();
+        this.drawZoomBox();
+
         // Draw title
         this.drawTitle(soundingData?.metadata);
     }
 
+    /**
+     * Draw onto another 2D context (an offscreen canvas or SvgContext) with the same layout
+     */
+    renderTo(ctx, soundingData) {
+        const screenCtx = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.draw(soundingData);
+        } finally {
+            this.ctx = screenCtx;
+        }
+    }
+
     /**
      * Draw height axis labels
      */
     drawHeightAxis() {
         this.ctx.lineWidth = 1;
         this.ctx.font = 'bold 11px Arial';
-        this.ctx.fillStyle = '#1a202c';
-        this.ctx.strokeStyle = '#cbd5e0';
-
-        // Determine appropriate height interval
-        const range = this.hMax - this.hMin;
-        let interval;
-        if (range <= 2000) interval = 200;
-        else if (range <= 5000) interval = 500;
-        else if (range <= 10000) interval = 1000;
-        else if (range <= 20000) interval = 2000;
-        else interval = 5000;
+        this.ctx.fillStyle = this.style.settings.text;
+        this.ctx.strokeStyle = DiagramStyle.rgba(this.style.settings.text, 0.25);
+
+        // Round interval in the display unit giving at most ten labels
+        const units = this.units;
+        const displayMin = units.convert('height', this.hMin);
+        const displayMax = units.convert('height', this.hMax);
+        const interval = [100, 200, 500, 1000, 2000, 5000, 10000, 20000]
+            .find(step => (displayMax - displayMin) / step <= 10) || 50000;
 
         // Draw height lines and labels
-        for (let h = Math.ceil(this.hMin / interval) * interval; h <= this.hMax; h += interval) {
-            const y = this.heightToY(h);
+        for (let value = Math.ceil(displayMin / interval) * interval; value <= displayMax; value += interval) {
+            const y = this.heightToY(units.toBase('height', value));
             const x = this.margin.left;
 
             // Draw subtle line
@@ -170,7 +722,7 @@ class SkewTDiagram {
 
             // Draw label
             this.ctx.textAlign = 'right';
-            this.ctx.fillText(h + ' m', x - 5, y + 4);
+            this.ctx.fillText(`${value} ${units.label('height')}`, x - 5, y + 4);
         }
 
         // Reset text align
@@ -184,50 +736,53 @@ class SkewTDiagram {
         const pressures = [1000, 925, 850, 700, 500, 400, 300, 250, 200, 150, 100];
         const minorPressures = [975, 950, 900, 875, 825, 800, 775, 750, 725, 675, 650, 625, 600, 575, 550, 525, 475, 450, 425, 375, 350, 325, 275, 225, 175, 125];
 
-        this.ctx.lineWidth = 1;
+        const style = this.style;
+        const showLines = style.visible('isobars');
+
+        this.ctx.lineWidth = style.layer('isobars').width;
         this.ctx.font = '12px Arial';
 
-        // Major pressure lines
-        this.ctx.strokeStyle = '#333333';
-        this.ctx.fillStyle = '#333333';
+        // Major pressure lines; the labels stay when the lines are hidden
+        this.ctx.strokeStyle = style.stroke('isobars');
+        this.ctx.fillStyle = style.settings.text;
 
         pressures.forEach(p => {
             if (p < this.pMin || p > this.pMax) return;
 
-            const h = this.pressureToHeight(p);
-            if (h < this.hMin || h > this.hMax) return;
-
-            const y = this.heightToY(h);
+            const y = this.pressureToY(p);
             const x1 = this.margin.left;
             const x2 = this.margin.left + this.width;
 
             // Check if y is within diagram bounds
             if (y < this.margin.top || y > this.margin.top + this.height) return;
+            if (!this.isPressureMapped(p)) return;
 
-            this.ctx.beginPath();
-            this.ctx.moveTo(x1, y);
-            this.ctx.lineTo(x2, y);
-            this.ctx.stroke();
+            if (showLines) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(x1, y);
+                this.ctx.lineTo(x2, y);
+                this.ctx.stroke();
+            }
 
-            // Label on right side
+            // Label on right side, without the unit in the compact layout
             this.ctx.textAlign = 'left';
-            this.ctx.fillText(p + ' mb', x2 + 5, y + 4);
+            this.ctx.fillText(this.pressureLabel(p), x2 + 5, y + 4);
         });
 
         // Minor pressure lines
-        this.ctx.strokeStyle = '#cccccc';
+        if (!showLines) return;
+
+        this.ctx.strokeStyle = style.stroke('isobars', 0.25);
         minorPressures.forEach(p => {
             if (p < this.pMin || p > this.pMax) return;
 
-            const h = this.pressureToHeight(p);
-            if (h < this.hMin || h > this.hMax) return;
-
-            const y = this.heightToY(h);
+            const y = this.pressureToY(p);
             const x1 = this.margin.left;
             const x2 = this.margin.left + this.width;
 
             // Check if y is within diagram bounds
             if (y < this.margin.top || y > this.margin.top + this.height) return;
+            if (!this.isPressureMapped(p)) return;
 
             this.ctx.beginPath();
             this.ctx.moveTo(x1, y);
@@ -240,15 +795,16 @@ class SkewTDiagram {
      * Draw isotherms (temperature lines)
      */
     drawIsotherms() {
-        this.ctx.lineWidth = 1;
+        const style = this.style;
+        this.ctx.lineWidth = style.layer('isotherms').width;
         this.ctx.font = '11px Arial';
 
         for (let t = -100; t <= 50; t += 10) {
             if (t < this.tMin - 20 || t > this.tMax + 20) continue;
 
             const isMajor = t % 20 === 0;
-            this.ctx.strokeStyle = isMajor ? '#00aa00' : '#90EE90';
-            this.ctx.fillStyle = '#006600';
+            this.ctx.strokeStyle = style.stroke('isotherms', isMajor ? 1 : 0.45);
+            this.ctx.fillStyle = style.labelColor('isotherms');
 
             const x1 = this.tempToX(t, this.pMax);
             const y1 = this.pressureToY(this.pMax);
@@ -265,7 +821,7 @@ class SkewTDiagram {
                 this.ctx.save();
                 this.ctx.translate(x1, y1 + 20);
                 this.ctx.rotate(-Math.PI / 4);
-                this.ctx.fillText(t + '°C', 0, 0);
+                this.ctx.fillText(this.units.format('temperature', t, 0), 0, 0);
                 this.ctx.restore();
             }
         }
@@ -275,8 +831,8 @@ class SkewTDiagram {
      * Draw dry adiabats
      */
     drawDryAdiabats() {
-        this.ctx.strokeStyle = 'rgba(255, 140, 0, 0.4)';
-        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = this.style.stroke('dryAdiabats');
+        this.ctx.lineWidth = this.style.layer('dryAdiabats').width;
 
         // Dry adiabats follow potential temperature lines
         for (let theta = 200; theta <= 500; theta += 10) {
@@ -284,9 +840,7 @@ class SkewTDiagram {
             let firstPoint = true;
 
             for (let p = this.pMax; p >= this.pMin; p -= 5) {
-                // Calculate temperature from potential temperature
-                // T = theta * (P/P0)^(R/cp) where P0 = 1000 mb, R/cp ≈ 0.286
-                const t = theta * Math.pow(p / 1000, 0.286) - 273.15;
+                const t = Thermo.temperatureFromTheta(theta, p);
 
                 if (t < this.tMin - 20 || t > this.tMax + 40) continue;
 
@@ -305,25 +859,36 @@ class SkewTDiagram {
     }
 
     /**
-     * Draw saturated (moist) adiabats
+     * Draw saturated (pseudo-adiabatic) moist adiabats, labelled by wet-bulb potential temperature
      */
     drawMoistAdiabats() {
-        this.ctx.strokeStyle = 'rgba(0, 100, 255, 0.3)';
-        this.ctx.lineWidth = 1;
+        const pressures = [];
+        for (let p = this.pMax; p >= this.pMin; p -= 5) {
+            pressures.push(p);
+        }
+
+        this.ctx.save();
+        this.clipToDiagram();
 
-        // Simplified moist adiabats (pseudo-adiabatic)
-        for (let thetaE = 280; thetaE <= 380; thetaE += 10) {
+        this.ctx.lineWidth = this.style.layer('moistAdiabats').width;
+        this.ctx.font = '9px Arial';
+        this.ctx.textAlign = 'center';
+
+        for (let thetaW = -20; thetaW <= 36; thetaW += 4) {
+            const temps = Thermo.moistAdiabat(thetaW, pressures);
+            const points = [];
+
+            this.ctx.strokeStyle = this.style.stroke('moistAdiabats');
             this.ctx.beginPath();
             let firstPoint = true;
 
-            for (let p = this.pMax; p >= this.pMin; p -= 5) {
-                // Simplified calculation (not exact)
-                const t = thetaE * Math.pow(p / 1000, 0.286) - 273.15 - (1050 - p) * 0.02;
-
-                if (t < this.tMin - 20 || t > this.tMax + 40) continue;
+            pressures.forEach((p, i) => {
+                const t = temps[i];
+                if (t < this.tMin - 20 || t > this.tMax + 40) return;
 
                 const x = this.tempToX(t, p);
                 const y = this.pressureToY(p);
+                points.push({ x, y });
 
                 if (firstPoint) {
                     this.ctx.moveTo(x, y);
@@ -331,38 +896,49 @@ class SkewTDiagram {
                 } else {
                     this.ctx.lineTo(x, y);
                 }
-            }
+            });
             this.ctx.stroke();
-        }
+
+            // Label at the highest visible point
+            const label = this.lastVisiblePoint(points);
+            if (label) {
+                this.ctx.fillStyle = this.style.labelColor('moistAdiabats');
+                this.ctx.fillText(Math.round(this.units.convert('temperature', thetaW)) + '°', label.x, label.y + 12);
+            }
+        }
+
+        this.ctx.restore();
     }
 
     /**
-     * Draw mixing ratio lines
+     * Draw mixing ratio lines (g/kg) up to the top of the plotted range
      */
     drawMixingRatioLines() {
-        this.ctx.strokeStyle = 'rgba(150, 75, 0, 0.3)';
-        this.ctx.lineWidth = 1;
-        this.ctx.font = '9px Arial';
-        this.ctx.fillStyle = 'rgba(150, 75, 0, 0.7)';
+        const mixingRatios = [0.1, 0.2, 0.4, 0.7, 1, 1.5, 2, 3, 4, 5, 7, 10, 12, 16, 20, 24, 28];
 
-        const mixingRatios = [0.5, 1, 2, 4, 8, 16, 32];
+        this.ctx.save();
+        this.clipToDiagram();
+
+        this.ctx.lineWidth = this.style.layer('mixingRatio').width;
+        this.ctx.font = '9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.setLineDash([4, 3]);
 
         mixingRatios.forEach(w => {
+            const points = [];
+
+            this.ctx.strokeStyle = this.style.stroke('mixingRatio');
             this.ctx.beginPath();
             let firstPoint = true;
 
-            for (let p = this.pMax; p >= 600; p -= 10) {
-                // Calculate dewpoint from mixing ratio
-                // Simplified approximation
-                const e = (w * p) / (621.97 + w);
-                const td = 243.5 * Math.log(e / 6.112) / (17.67 - Math.log(e / 6.112));
+            for (let p = this.pMax; p >= this.pMin; p -= 10) {
+                const td = Thermo.dewpointFromMixingRatio(w, p);
 
                 if (td < this.tMin - 20 || td > this.tMax + 20) continue;
 
                 const x = this.tempToX(td, p);
                 const y = this.pressureToY(p);
-
-                if (x < this.margin.left || x > this.margin.left + this.width) continue;
+                points.push({ x, y });
 
                 if (firstPoint) {
                     this.ctx.moveTo(x, y);
@@ -372,15 +948,46 @@ class SkewTDiagram {
                 }
             }
             this.ctx.stroke();
+
+            // Label at the lowest visible point
+            const label = this.lastVisiblePoint([...points].reverse());
+            if (label) {
+                this.ctx.fillStyle = this.style.labelColor('mixingRatio');
+                this.ctx.fillText(String(w), label.x, label.y - 4);
+            }
         });
+
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
+
+    /**
+     * Restrict drawing to the diagram area (callers save/restore the context)
+     */
+    clipToDiagram() {
+        this.ctx.beginPath();
+        this.ctx.rect(this.margin.left, this.margin.top, this.width, this.height);
+        this.ctx.clip();
+    }
+
+    /**
+     * Last point of a line that lies inside the diagram, used to place line labels
+     */
+    lastVisiblePoint(points) {
+        const inside = points.filter(pt =>
+            pt.x >= this.margin.left + 10 && pt.x <= this.margin.left + this.width - 10 &&
+            pt.y >= this.margin.top + 10 && pt.y <= this.margin.top + this.height - 10
+        );
+
+        return inside.length > 0 ? inside[inside.length - 1] : null;
     }
 
     /**
      * Draw temperature profile
      */
     drawTemperatureProfile(data) {
-        this.ctx.strokeStyle = '#ff0000';
-        this.ctx.lineWidth = 2.5;
+        this.ctx.strokeStyle = this.style.stroke('temperature');
+        this.ctx.lineWidth = this.style.layer('temperature').width;
         this.ctx.beginPath();
 
         let firstPoint = true;
@@ -406,8 +1013,8 @@ class SkewTDiagram {
      * Draw dewpoint profile
      */
     drawDewpointProfile(data) {
-        this.ctx.strokeStyle = '#00aa00';
-        this.ctx.lineWidth = 2.5;
+        this.ctx.strokeStyle = this.style.stroke('dewpoint');
+        this.ctx.lineWidth = this.style.layer('dewpoint').width;
         this.ctx.beginPath();
 
         let firstPoint = true;
@@ -430,140 +1037,689 @@ class SkewTDiagram {
     }
 
     /**
-     * Draw wind barbs
+     * Draw the shown derived temperature profiles, and humidity over ice in its strip
      */
-    drawWindBarbs(data) {
-        const xBarb = this.margin.left + this.width + 20;
+    drawDerivedProfiles() {
+        if (this.derivedProfiles.length === 0) return;
 
-        // Filter data for wind barbs (by height interval)
-        const windData = [];
-        const heightRange = this.hMax - this.hMin;
-        const interval = heightRange < 5000 ? 250 : 500; // Height interval in meters
-        let lastH = -10000;
+        const style = this.style;
+        const levels = this.derivedProfiles.filter(level =>
+            !isNaN(level.height) && level.pressure >= this.pMin && level.pressure <= this.pMax &&
+            level.height >= this.hMin && level.height <= this.hMax);
 
-        data.forEach(row => {
-            if (row.pressure >= this.pMin && row.pressure <= this.pMax &&
-                row.height >= this.hMin && row.height <= this.hMax &&
-                !isNaN(row.windSpeed) && !isNaN(row.windDir)) {
+        this.ctx.save();
+        this.clipToDiagram();
 
-                if (Math.abs(row.height - lastH) >= interval || windData.length === 0) {
-                    windData.push(row);
-                    lastH = row.height;
+        ['wetBulb', 'virtualTemp', 'thetaW', 'frostPoint'].forEach(id => {
+            if (!style.visible(id)) return;
+
+            this.ctx.strokeStyle = style.stroke(id);
+            this.ctx.lineWidth = style.layer(id).width;
+            this.ctx.setLineDash(style.layers.find(layer => layer.id === id).dash);
+            this.ctx.beginPath();
+
+            let firstPoint = true;
+            levels.forEach(level => {
+                if (isNaN(level[id])) return;
+
+                const x = this.tempToX(level[id], level.pressure);
+                const y = this.heightToY(level.height);
+
+                if (firstPoint) {
+                    this.ctx.moveTo(x, y);
+                    firstPoint = false;
+                } else {
+                    this.ctx.lineTo(x, y);
                 }
-            }
+            });
+
+            this.ctx.stroke();
         });
 
-        windData.forEach(row => {
-            const y = this.heightToY(row.height);
-            this.drawWindBarb(xBarb, y, row.windDir, row.windSpeed);
+        this.ctx.setLineDash([]);
+        if (style.visible('rhIce')) this.drawIceHumidityStrip(levels);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw humidity over ice (0 to iceStripMax %) in a strip along the left edge, with the 100% line
+     */
+    drawIceHumidityStrip(levels) {
+        const x0 = this.margin.left;
+        const width = this.iceStripWidth;
+        const toX = (rh) => x0 + Math.min(rh, this.iceStripMax) / this.iceStripMax * width;
+
+        this.ctx.fillStyle = DiagramStyle.rgba(this.style.settings.background, 0.8);
+        this.ctx.fillRect(x0, this.margin.top, width, this.height);
+
+        // Saturation over ice
+        this.ctx.strokeStyle = DiagramStyle.rgba(this.style.settings.text, 0.4);
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(toX(100), this.margin.top);
+        this.ctx.lineTo(toX(100), this.margin.top + this.height);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = this.style.settings.text;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('RHi 100%', toX(100), this.margin.top + 12);
+        this.ctx.textAlign = 'left';
+
+        this.ctx.strokeStyle = this.style.stroke('rhIce');
+        this.ctx.lineWidth = this.style.layer('rhIce').width;
+        this.ctx.beginPath();
+
+        let firstPoint = true;
+        levels.forEach(level => {
+            if (isNaN(level.rhIce)) {
+                // Above freezing or without a dew point: break the line
+                firstPoint = true;
+                return;
+            }
+
+            const x = toX(level.rhIce);
+            const y = this.heightToY(level.height);
+
+            if (firstPoint) {
+                this.ctx.moveTo(x, y);
+                firstPoint = false;
+            } else {
+                this.ctx.lineTo(x, y);
+            }
         });
+
+        this.ctx.stroke();
     }
 
     /**
-     * Draw individual wind barb (NWS-style convention using km/h)
-     * - Calm (< 2.5 km/h): circle
-     * - Half barb = 5 km/h
-     * - Full barb = 10 km/h
-     * - Pennant = 50 km/h
+     * Draw a comparison sounding's temperature (thick) and dewpoint (thin) in its own style.
+     * Levels are placed by pressure outside linear-height mode, since each sounding has its own heights.
      */
-    drawWindBarb(x, y, direction, speedMS) {
-        // Convert m/s to km/h
-        const speedKmh = speedMS * 3.6;
+    drawOverlayProfile(overlay) {
+        const data = overlay.result.data;
+        const rowToY = (row) => this.verticalMode === 'height' ? this.heightToY(row.height) : this.pressureToY(row.pressure);
+
+        this.ctx.save();
+        this.clipToDiagram();
+        this.ctx.strokeStyle = overlay.style.color;
+        this.ctx.setLineDash(overlay.style.dash);
 
-        // Barb staff points toward where wind is coming FROM
-        // Direction is in meteorological convention (where wind comes from)
-        const angle = direction * Math.PI / 180;
+        [{ key: 'temp', width: 2.5 }, { key: 'dewpoint', width: 1.5 }].forEach(({ key, width }) => {
+            this.ctx.lineWidth = width;
+            this.ctx.beginPath();
+
+            let firstPoint = true;
+            data.forEach(row => {
+                if (isNaN(row[key]) || isNaN(row.height) || row.pressure < this.pMin || row.pressure > this.pMax) return;
 
-        const barbLength = 30;
-        const flagWidth = 10;
+                const x = this.tempToX(row[key], row.pressure);
+                const y = rowToY(row);
 
-        this.ctx.strokeStyle = '#000000';
-        this.ctx.fillStyle = '#000000';
+                if (firstPoint) {
+                    this.ctx.moveTo(x, y);
+                    firstPoint = false;
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            });
+
+            this.ctx.stroke();
+        });
+
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the unedited temperature and dewpoint as thin grey dashed lines
+     */
+    drawOriginalProfile() {
+        if (!this.originalProfile) return;
+
+        this.ctx.save();
+        this.clipToDiagram();
+        this.ctx.strokeStyle = '#a0aec0';
         this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 3]);
 
-        // Calm winds (< 2.5 km/h)
-        if (speedKmh < 2.5) {
+        ['temp', 'dewpoint'].forEach(key => {
             this.ctx.beginPath();
-            this.ctx.arc(x, y, 4, 0, 2 * Math.PI);
+
+            let firstPoint = true;
+            this.originalProfile.forEach(row => {
+                if (isNaN(row[key]) || isNaN(row.height) || row.pressure < this.pMin || row.pressure > this.pMax) return;
+
+                const x = this.tempToX(row[key], row.pressure);
+                const y = this.heightToY(row.height);
+
+                if (firstPoint) {
+                    this.ctx.moveTo(x, y);
+                    firstPoint = false;
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            });
+
             this.ctx.stroke();
-            return;
+        });
+
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw drag handles on the surface temperature and dewpoint and the stroke being drawn, while editing
+     */
+    drawEditHandles(data) {
+        if (!this.originalProfile) return;
+
+        const handles = this.surfaceHandles(data);
+        if (handles) {
+            [
+                { point: handles.temp, color: this.style.layer('temperature').color },
+                { point: handles.dewpoint, color: this.style.layer('dewpoint').color }
+            ].forEach(({ point, color }) => {
+                if (!point) return;
+
+                this.ctx.fillStyle = 'white';
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 2.5;
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, 7, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.stroke();
+            });
+        }
+
+        if (this.editStroke && this.editStroke.length > 1) {
+            this.ctx.save();
+            this.clipToDiagram();
+            this.ctx.strokeStyle = '#dd6b20';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.editStroke.forEach((pt, i) => {
+                const x = this.tempToX(pt.temp, this.heightToPressure(pt.height));
+                const y = this.heightToY(pt.height);
+                if (i === 0) {
+                    this.ctx.moveTo(x, y);
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            });
+            this.ctx.stroke();
+            this.ctx.restore();
         }
+    }
+
+    /**
+     * Draw the shared comparison cursor as a horizontal line
+     */
+    drawCursorLine() {
+        if (this.cursorHeight === null) return;
 
-        // Draw main staff
-        const staffEndX = x + Math.sin(angle) * barbLength;
-        const staffEndY = y - Math.cos(angle) * barbLength;
+        const y = this.heightToY(this.cursorHeight);
+        if (y < this.margin.top || y > this.margin.top + this.height) return;
 
+        this.ctx.strokeStyle = 'rgba(26, 32, 44, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 3]);
         this.ctx.beginPath();
-        this.ctx.moveTo(x, y);
-        this.ctx.lineTo(staffEndX, staffEndY);
+        this.ctx.moveTo(this.margin.left, y);
+        this.ctx.lineTo(this.margin.left + this.width, y);
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
 
-        // Draw flags/barbs based on speed in km/h
-        // Half barb = 5 km/h
-        // Full barb = 10 km/h
-        // Pennant = 50 km/h
+    /**
+     * Draw the rubber-band rectangle of a box zoom in progress
+     */
+    drawZoomBox() {
+        if (!this.zoomBox) return;
 
-        let currentSpeed = speedKmh;
-        let currentDist = barbLength;
+        const { x1, y1, x2, y2 } = this.zoomBox;
 
-        // Barbs extend to the right of staff (clockwise, -90 degrees)
-        const perpAngle = angle - Math.PI / 2;
+        this.ctx.save();
+        this.clipToDiagram();
+        this.ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        this.ctx.strokeStyle = '#667eea';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.fillRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+        this.ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
 
-        // Pennants (50 km/h each)
-        while (currentSpeed >= 47.5) {
-            const x1 = x + Math.sin(angle) * currentDist;
-            const y1 = y - Math.cos(angle) * currentDist;
-            const x2 = x + Math.sin(angle) * (currentDist - 8);
-            const y2 = y - Math.cos(angle) * (currentDist - 8);
-            const x3 = x2 + Math.sin(perpAngle) * flagWidth;
-            const y3 = y2 - Math.cos(perpAngle) * flagWidth;
+    /**
+     * Draw lifted parcel traces, with shaded CAPE/CIN and level markers for the selected parcel
+     */
+    drawParcels() {
+        if (!this.parcels.length) return;
+
+        this.ctx.save();
+
+        // Keep traces and shading inside the diagram area
+        this.clipToDiagram();
+
+        const selected = this.parcels.find(parcel => parcel.type === this.selectedParcel);
+        if (selected) {
+            this.shadeParcelArea(selected);
+        }
 
+        const { width, opacity } = this.style.layer('parcels');
+        this.parcels.forEach(parcel => {
+            const style = this.parcelStyles[parcel.type];
+            const isSelected = parcel === selected;
+
+            // Traces other than the selected parcel are drawn thinner
+            this.ctx.strokeStyle = DiagramStyle.rgba(style.color, opacity);
+            this.ctx.lineWidth = isSelected ? width : width * 0.6;
+            this.ctx.setLineDash([6, 4]);
             this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x3, y3);
-            this.ctx.lineTo(x2, y2);
+
+            let firstPoint = true;
+            parcel.trace.forEach(pt => {
+                if (isNaN(pt.height)) return;
+
+                const x = this.tempToX(pt.temp, pt.pressure);
+                const y = this.heightToY(pt.height);
+
+                if (firstPoint) {
+                    this.ctx.moveTo(x, y);
+                    firstPoint = false;
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            });
+
+            this.ctx.stroke();
+        });
+
+        this.ctx.setLineDash([]);
+
+        if (selected) {
+            this.drawParcelLevels(selected);
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Shade positive (CAPE) and negative (CIN) areas between a parcel and the environment
+     */
+    shadeParcelArea(parcel) {
+        if (!parcel.lfc) return;
+
+        const trace = parcel.trace;
+
+        for (let i = 0; i < trace.length - 1; i++) {
+            const lower = trace[i];
+            const upper = trace[i + 1];
+            if (isNaN(lower.height) || isNaN(upper.height)) continue;
+
+            // CIN below the LFC, CAPE between the LFC and EL
+            const buoyancy = lower.buoyancy + upper.buoyancy;
+            const isCin = buoyancy < 0 && upper.pressure >= parcel.lfc.pressure;
+            const isCape = buoyancy > 0 && lower.pressure <= parcel.lfc.pressure &&
+                           upper.pressure >= parcel.el.pressure;
+            if (!isCin && !isCape) continue;
+
+            this.ctx.fillStyle = isCape ? 'rgba(255, 0, 0, 0.15)' : 'rgba(0, 0, 255, 0.15)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.tempToX(lower.temp, lower.pressure), this.heightToY(lower.height));
+            this.ctx.lineTo(this.tempToX(upper.temp, upper.pressure), this.heightToY(upper.height));
+            this.ctx.lineTo(this.tempToX(upper.envTemp, upper.pressure), this.heightToY(upper.height));
+            this.ctx.lineTo(this.tempToX(lower.envTemp, lower.pressure), this.heightToY(lower.height));
             this.ctx.closePath();
             this.ctx.fill();
+        }
+    }
+
+    /**
+     * Mark LCL, LFC and EL of a parcel
+     */
+    drawParcelLevels(parcel) {
+        const levels = [
+            { name: 'LCL', level: parcel.lcl },
+            { name: 'LFC', level: parcel.lfc },
+            { name: 'EL', level: parcel.el }
+        ];
+
+        this.ctx.strokeStyle = this.parcelStyles[parcel.type].color;
+        this.ctx.fillStyle = this.parcelStyles[parcel.type].color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.textAlign = 'left';
+
+        levels.forEach(({ name, level }) => {
+            if (!level || isNaN(level.height)) return;
 
-            currentSpeed -= 50;
-            currentDist -= 10;
+            const x = this.tempToX(level.temp, level.pressure);
+            const y = this.heightToY(level.height);
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - 10, y);
+            this.ctx.lineTo(x + 10, y);
+            this.ctx.stroke();
+            this.ctx.fillText(name, x + 14, y + 4);
+        });
+    }
+
+    /**
+     * Draw the forecast thermal column: heated dry adiabat, climb rates, top of lift and cloudbase
+     */
+    drawSoaringColumn() {
+        const forecast = this.soaringForecast;
+        if (!forecast) return;
+
+        const trace = forecast.trace;
+
+        this.ctx.save();
+        this.clipToDiagram();
+
+        // Shade the thermal column between the dry adiabat and the morning sounding
+        this.ctx.fillStyle = 'rgba(237, 137, 54, 0.2)';
+        this.ctx.beginPath();
+        trace.forEach((pt, i) => {
+            const x = this.tempToX(pt.temp, pt.pressure);
+            const y = this.heightToY(pt.height);
+            if (i === 0) this.ctx.moveTo(x, y);
+            else this.ctx.lineTo(x, y);
+        });
+        for (let i = trace.length - 1; i >= 0; i--) {
+            const pt = trace[i];
+            if (isNaN(pt.envTemp)) continue;
+            this.ctx.lineTo(this.tempToX(pt.envTemp, pt.pressure), this.heightToY(pt.height));
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        // Heated dry adiabat
+        this.ctx.strokeStyle = '#c05621';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        trace.forEach((pt, i) => {
+            const x = this.tempToX(pt.temp, pt.pressure);
+            const y = this.heightToY(pt.height);
+            if (i === 0) this.ctx.moveTo(x, y);
+            else this.ctx.lineTo(x, y);
+        });
+        this.ctx.stroke();
+
+        // Cumulus from cloudbase to the cloud top (or a thin layer when capped)
+        if (forecast.cloudbase) {
+            const top = forecast.overdevelopment.cloudTop;
+            const x = this.tempToX(forecast.cloudbase.temp, forecast.cloudbase.pressure);
+            const yBase = this.heightToY(forecast.cloudbase.height);
+            const yTop = top ? this.heightToY(top.height) : yBase - 15;
+
+            this.ctx.fillStyle = forecast.overdevelopment.likely ? 'rgba(74, 85, 104, 0.35)' : 'rgba(160, 174, 192, 0.35)';
+            this.ctx.fillRect(x - 40, yTop, 80, yBase - yTop);
+
+            this.drawSoaringLevel(forecast.cloudbase.height, `Cloudbase ${this.units.format('height', forecast.cloudbase.height)}`, '#4a5568');
         }
 
-        // Full barbs (10 km/h each)
-        while (currentSpeed >= 7.5) {
-            const x1 = x + Math.sin(angle) * currentDist;
-            const y1 = y - Math.cos(angle) * currentDist;
-            const x2 = x1 + Math.sin(perpAngle) * flagWidth;
-            const y2 = y1 - Math.cos(perpAngle) * flagWidth;
+        this.drawSoaringLevel(forecast.topOfLift.height, `Top of lift ${this.units.format('height', forecast.topOfLift.height)}`, '#c05621');
+
+        // Climb rates beside the dry adiabat, in the wind speed unit with one decimal
+        this.ctx.font = '10px Arial';
+        this.ctx.fillStyle = '#7b341e';
+        this.ctx.textAlign = 'left';
+        forecast.climbProfile.forEach((level, i) => {
+            if (i % 2 !== 0 || level.climb <= 0) return;
+
+            const x = this.tempToX(level.temp, level.pressure);
+            this.ctx.fillText(`+${this.units.format('wind', level.climb, 1)}`, x + 6, this.heightToY(level.height) + 3);
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Horizontal dashed marker with a label at the left edge of the diagram
+     */
+    drawSoaringLevel(height, label, color) {
+        const y = this.heightToY(height);
+
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([8, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.margin.left, y);
+        this.ctx.lineTo(this.margin.left + this.width, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = color;
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(label, this.margin.left + 8, y - 4);
+    }
+
+    /**
+     * Draw highlighted levels (and the layer between them) used by an index
+     */
+    drawHighlight() {
+        if (!this.highlight || !this.highlight.levels.length) return;
+
+        const levels = this.highlight.levels.filter(level => !isNaN(level.height));
+        const x1 = this.margin.left;
+        const x2 = this.margin.left + this.width;
+
+        this.ctx.save();
+        this.clipToDiagram();
+
+        if (this.highlight.layer && levels.length >= 2) {
+            const heights = levels.map(level => level.height);
+            const yTop = this.heightToY(Math.max(...heights));
+            const yBottom = this.heightToY(Math.min(...heights));
+
+            this.ctx.fillStyle = 'rgba(236, 201, 75, 0.25)';
+            this.ctx.fillRect(x1, yTop, this.width, yBottom - yTop);
+        }
+
+        this.ctx.strokeStyle = '#d69e2e';
+        this.ctx.fillStyle = '#975a16';
+        this.ctx.lineWidth = 2;
+        this.ctx.font = 'bold 11px Arial';
+        this.ctx.textAlign = 'right';
+
+        levels.forEach(level => {
+            const y = this.heightToY(level.height);
 
             this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x2, y2);
+            this.ctx.moveTo(x1, y);
+            this.ctx.lineTo(x2, y);
             this.ctx.stroke();
 
-            currentSpeed -= 10;
-            currentDist -= 6;
+            this.ctx.fillText(`${this.units.format('pressure', level.pressure)} / ${this.units.format('height', level.height)}`, x2 - 5, y - 4);
+        });
+
+        if (this.highlight.label) {
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(this.highlight.label, x1 + 8, this.margin.top + this.height - 10);
         }
 
-        // Half barb (5 km/h)
-        if (currentSpeed >= 2.5) {
-            const x1 = x + Math.sin(angle) * currentDist;
-            const y1 = y - Math.cos(angle) * currentDist;
-            const x2 = x1 + Math.sin(perpAngle) * (flagWidth / 2);
-            const y2 = y1 - Math.cos(perpAngle) * (flagWidth / 2);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw a diamond on each flagged level: on the temperature (or dew point) for thermodynamic checks,
+     * beside the wind barbs for wind spikes
+     */
+    drawQCMarkers() {
+        if (this.qcFlags.length === 0) return;
+
+        const xBarb = this.margin.left + this.width + this.barbOffset;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#d53f8c';
+        this.ctx.fillStyle = 'rgba(213, 63, 140, 0.25)';
+        this.ctx.lineWidth = 2;
+
+        this.qcFlags.forEach(flag => {
+            if (isNaN(flag.height) || flag.height < this.hMin || flag.height > this.hMax) return;
+
+            const y = this.heightToY(flag.height);
+            const temp = isNaN(flag.temp) ? flag.dewpoint : flag.temp;
+            const x = flag.check === 'windSpike' ? xBarb - 10
+                : isNaN(temp) ? this.margin.left + 8
+                : Math.min(Math.max(this.tempToX(temp, flag.pressure), this.margin.left), this.margin.left + this.width);
 
             this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x2, y2);
+            this.ctx.moveTo(x, y - 6);
+            this.ctx.lineTo(x + 6, y);
+            this.ctx.lineTo(x, y + 6);
+            this.ctx.lineTo(x - 6, y);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Bracket each inversion and isothermal layer to the left of the temperature profile, labelled with its
+     * type and temperature rise, and draw the mixing height as a dashed line
+     */
+    drawInversions() {
+        if (!this.inversions) return;
+
+        const { layers, mixingHeight } = this.inversions;
+        const temperature = this.units.label('temperature');
+
+        this.ctx.save();
+        this.clipToDiagram();
+        this.ctx.font = '10px Arial';
+        this.ctx.lineWidth = 1.5;
+
+        layers.forEach(layer => {
+            if (layer.top < this.hMin || layer.base > this.hMax) return;
+
+            const layerStyle = this.inversionStyles[layer.type];
+            const yBase = this.heightToY(layer.base);
+            const yTop = this.heightToY(layer.top);
+            const x = Math.min(this.tempToX(layer.baseTemp, layer.basePressure), this.tempToX(layer.topTemp, layer.topPressure)) - 10;
+
+            this.ctx.strokeStyle = layerStyle.color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x + 5, yBase);
+            this.ctx.lineTo(x, yBase);
+            this.ctx.lineTo(x, yTop);
+            this.ctx.lineTo(x + 5, yTop);
+            this.ctx.stroke();
+
+            const label = layer.type === 'isothermal' ? layerStyle.label
+                : `${layerStyle.label} +${this.units.convertDelta(layer.strength).toFixed(1)}${temperature}`;
+            this.ctx.fillStyle = layerStyle.color;
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(label, x - 4, (yBase + yTop) / 2 + 4);
+        });
+
+        if (mixingHeight && mixingHeight.height >= this.hMin && mixingHeight.height <= this.hMax) {
+            const y = this.heightToY(mixingHeight.height);
+
+            this.ctx.strokeStyle = this.mixingHeightColor;
+            this.ctx.setLineDash([8, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.margin.left, y);
+            this.ctx.lineTo(this.margin.left + this.width, y);
             this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.ctx.fillStyle = this.mixingHeightColor;
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`Mixing height ${this.units.format('height', mixingHeight.height)}`, this.margin.left + 8, y - 4);
         }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Shade the aviation hazard layers in one column per hazard beside the wind barbs, with the column
+     * initials above; thin layers get a minimum height so they stay visible
+     */
+    drawAviationHazards() {
+        if (this.aviationHazards.length === 0) return;
+
+        const hazards = Object.keys(this.hazardStyles);
+        const x0 = this.margin.left + this.width + this.hazardOffset;
+        const columnX = (hazard) => x0 + hazards.indexOf(hazard) * (this.hazardWidth + 1);
+
+        this.ctx.save();
+
+        this.ctx.font = '9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = this.style.settings.text;
+        hazards.forEach(hazard => {
+            this.ctx.fillText(this.hazardStyles[hazard].heading, columnX(hazard) + this.hazardWidth / 2, this.margin.top - 4);
+        });
+
+        this.ctx.beginPath();
+        this.ctx.rect(x0, this.margin.top, hazards.length * (this.hazardWidth + 1), this.height);
+        this.ctx.clip();
+
+        this.aviationHazards.forEach(layer => {
+            if (layer.top < this.hMin || layer.base > this.hMax) return;
+
+            const yTop = this.heightToY(layer.top);
+            const yBase = this.heightToY(layer.base);
+            const height = Math.max(yBase - yTop, 3);
+
+            this.ctx.fillStyle = this.hazardStyles[layer.hazard].colors[layer.severity];
+            this.ctx.fillRect(columnX(layer.hazard), (yTop + yBase - height) / 2, this.hazardWidth, height);
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw wind barbs
+     */
+    drawWindBarbs(data) {
+        const xBarb = this.margin.left + this.width + this.barbOffset;
+
+        // Filter data for wind barbs (by height interval)
+        const windData = [];
+        const heightRange = this.hMax - this.hMin;
+        const interval = heightRange < 5000 ? 250 : 500; // Height interval in meters
+        let lastH = -10000;
+
+        data.forEach(row => {
+            if (row.pressure >= this.pMin && row.pressure <= this.pMax &&
+                row.height >= this.hMin && row.height <= this.hMax &&
+                !isNaN(row.windSpeed) && !isNaN(row.windDir)) {
+
+                if (Math.abs(row.height - lastH) >= interval || windData.length === 0) {
+                    windData.push(row);
+                    lastH = row.height;
+                }
+            }
+        });
+
+        const barb = {
+            length: this.barbLength,
+            increments: this.units.barbs(),
+            color: this.style.stroke('windBarbs'),
+            width: this.style.layer('windBarbs').width
+        };
+
+        windData.forEach(row => {
+            const y = this.heightToY(row.height);
+            WindBarb.draw(this.ctx, xBarb, y, row.windDir, this.units.convert('wind', row.windSpeed), barb);
+        });
     }
 
     /**
      * Draw border around diagram
      */
     drawBorder() {
-        this.ctx.strokeStyle = '#000000';
+        this.ctx.strokeStyle = this.style.settings.text;
         this.ctx.lineWidth = 2;
         this.ctx.strokeRect(
             this.margin.left,
@@ -577,7 +1733,8 @@ class SkewTDiagram {
      * Draw title and metadata
      */
     drawTitle(metadata) {
-        this.ctx.fillStyle = '#000000';
+        const style = this.style;
+        this.ctx.fillStyle = style.settings.text;
         this.ctx.font = 'bold 18px Arial';
 
         let title = 'Skew-T Log-P Diagram';
@@ -608,21 +1765,121 @@ class SkewTDiagram {
 
         this.ctx.font = '12px Arial';
 
-        this.ctx.strokeStyle = '#ff0000';
-        this.ctx.lineWidth = 2.5;
-        this.ctx.beginPath();
-        this.ctx.moveTo(legendX, legendY);
-        this.ctx.lineTo(legendX + 30, legendY);
-        this.ctx.stroke();
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillText('Temperature', legendX + 35, legendY + 4);
+        // Entries of the visible layers, one row each
+        let row = 0;
+        const nextY = () => legendY + 20 * row++;
 
-        this.ctx.strokeStyle = '#00aa00';
-        this.ctx.lineWidth = 2.5;
-        this.ctx.beginPath();
-        this.ctx.moveTo(legendX, legendY + 20);
-        this.ctx.lineTo(legendX + 30, legendY + 20);
-        this.ctx.stroke();
-        this.ctx.fillText('Dew Point', legendX + 35, legendY + 24);
+        ['temperature', 'dewpoint'].forEach(layer => {
+            if (!style.visible(layer)) return;
+
+            const y = nextY();
+            this.ctx.strokeStyle = style.stroke(layer);
+            this.ctx.lineWidth = style.layer(layer).width;
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX, y);
+            this.ctx.lineTo(legendX + 30, y);
+            this.ctx.stroke();
+            this.ctx.fillText(layer === 'temperature' ? 'Temperature' : 'Dew Point', legendX + 35, y + 4);
+        });
+
+        // Derived profiles shown
+        const derived = this.derivedProfiles.length > 0 ? style.layers.filter(layer => layer.group === 'Derived' && style.visible(layer.id)) : [];
+        derived.forEach(layer => {
+            const y = nextY();
+
+            this.ctx.strokeStyle = style.stroke(layer.id);
+            this.ctx.lineWidth = style.layer(layer.id).width;
+            this.ctx.setLineDash(layer.dash);
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX, y);
+            this.ctx.lineTo(legendX + 30, y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.fillText(layer.legend || layer.name, legendX + 35, y + 4);
+        });
+
+        // Parcel traces currently drawn
+        const parcels = style.visible('parcels') ? this.parcels : [];
+        parcels.forEach(parcel => {
+            const parcelStyle = this.parcelStyles[parcel.type];
+            const y = nextY();
+
+            this.ctx.strokeStyle = DiagramStyle.rgba(parcelStyle.color, style.layer('parcels').opacity);
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX, y);
+            this.ctx.lineTo(legendX + 30, y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.fillText(parcelStyle.label, legendX + 35, y + 4);
+        });
+
+        // Comparison soundings
+        const overlays = style.visible('overlays') ? this.overlays : [];
+        overlays.forEach(overlay => {
+            const y = nextY();
+
+            this.ctx.strokeStyle = overlay.style.color;
+            this.ctx.lineWidth = 2.5;
+            this.ctx.setLineDash(overlay.style.dash);
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX, y);
+            this.ctx.lineTo(legendX + 30, y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.fillText(overlay.label, legendX + 35, y + 4);
+        });
+
+        // Suspect levels
+        if (style.visible('qc') && this.qcFlags.length > 0) {
+            const y = nextY();
+
+            this.ctx.strokeStyle = '#d53f8c';
+            this.ctx.fillStyle = 'rgba(213, 63, 140, 0.25)';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX + 15, y - 6);
+            this.ctx.lineTo(legendX + 21, y);
+            this.ctx.lineTo(legendX + 15, y + 6);
+            this.ctx.lineTo(legendX + 9, y);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.ctx.fillStyle = style.settings.text;
+            this.ctx.fillText('QC Flag', legendX + 35, y + 4);
+        }
+
+        // Aviation hazard columns, by the heaviest shade of each hazard present
+        if (style.visible('aviation')) {
+            Object.entries(this.hazardStyles).forEach(([hazard, hazardStyle]) => {
+                const layers = this.aviationHazards.filter(layer => layer.hazard === hazard);
+                if (layers.length === 0) return;
+
+                const severities = Object.keys(hazardStyle.colors);
+                const worst = severities[Math.max(...layers.map(layer => severities.indexOf(layer.severity)))];
+                const y = nextY();
+
+                this.ctx.fillStyle = hazardStyle.colors[worst];
+                this.ctx.fillRect(legendX + 9, y - 6, 12, 12);
+                this.ctx.fillStyle = style.settings.text;
+                this.ctx.fillText(`${hazardStyle.heading}: ${hazardStyle.name}`, legendX + 35, y + 4);
+            });
+        }
+
+        // Unedited profile while editing
+        if (this.originalProfile) {
+            const y = nextY();
+
+            this.ctx.strokeStyle = '#a0aec0';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(legendX, y);
+            this.ctx.lineTo(legendX + 30, y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.fillText('Original', legendX + 35, y + 4);
+        }
     }
 }
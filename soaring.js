@@ -0,0 +1,246 @@
+/**
+ * Thermal soaring forecast from a morning sounding and a forecast max temperature
+ */
+
+class SoaringForecast {
+    constructor() {
+        this.parcelAnalyzer = new ParcelAnalyzer();
+
+        // Typical paraglider minimum sink rate (m/s)
+        this.sinkRate = 1.1;
+
+        // Hours of surface heating between the sounding and the afternoon maximum
+        this.heatingHours = 9;
+
+        // Height step for the climb rate profile (m)
+        this.profileStep = 250;
+
+        // Cloud depth (m) above which cumulus is likely to overdevelop
+        this.overdevelopmentDepth = 3000;
+    }
+
+    /**
+     * Lift a dry thermal from the station and derive the soaring parameters
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @param {number} elevation - Station elevation (m), e.g. metadata.elevation
+     * @param {number} maxTemp - Forecast max surface temperature (C)
+     * @returns {object|null} Forecast, or null if the sounding cannot be used
+     */
+    analyze(data, elevation, maxTemp) {
+        const env = this.parcelAnalyzer.getEnvironment(data);
+        if (env.length < 2 || isNaN(maxTemp)) return null;
+
+        const surface = this.surfaceLevel(env, elevation);
+        if (!surface) return null;
+
+        const theta = Thermo.potentialTemperature(maxTemp, surface.pressure);
+        const mixingRatio = this.surfaceMixingRatio(env, surface.pressure);
+
+        // Top of the dry thermal: where the dry adiabat from the max temperature meets the sounding
+        const thermalTop = this.dryThermalTop(env, surface, theta);
+        if (!thermalTop) return null;
+
+        // Cumulus base is the LCL of the heated surface parcel
+        const dewpoint = Math.min(maxTemp, Thermo.dewpointFromMixingRatio(mixingRatio, surface.pressure));
+        const source = { pressure: surface.pressure, temp: maxTemp, dewpoint };
+        const cloudParcel = this.parcelAnalyzer.liftParcel(env, source);
+        const lcl = cloudParcel.lcl;
+
+        const cumulus = lcl !== null && !isNaN(lcl.height) && lcl.height <= thermalTop.height;
+        const cloudbase = cumulus ? { pressure: lcl.pressure, height: lcl.height, temp: lcl.temp } : null;
+
+        // With cumulus the convective layer ends at cloudbase
+        const zi = cumulus ? cloudbase.height : thermalTop.height;
+        const depth = zi - surface.height;
+
+        const wStar = this.convectiveVelocity(env, surface, theta, zi);
+        const climbProfile = this.climbProfile(env, surface, theta, zi, wStar);
+
+        // Usable lift ends where the thermal no longer outclimbs the glider
+        let topOfLift = surface.height;
+        climbProfile.forEach(level => {
+            if (level.climb > 0) topOfLift = level.height;
+        });
+
+        return {
+            maxTemp,
+            surface,
+            thermalTop,
+            depth,
+            wStar,
+            topOfLift: {
+                height: topOfLift,
+                pressure: this.parcelAnalyzer.pressureAtHeight(env, topOfLift)
+            },
+            cloudbase,
+            climbProfile,
+            overdevelopment: this.overdevelopment(cumulus, cloudParcel),
+            trace: this.dryTrace(env, surface, theta, zi)
+        };
+    }
+
+    /**
+     * Environment level at the station elevation (lowest level if the elevation is unknown)
+     */
+    surfaceLevel(env, elevation) {
+        if (isNaN(elevation) || elevation <= env[0].height) {
+            return env[0];
+        }
+
+        const pressure = this.parcelAnalyzer.pressureAtHeight(env, elevation);
+        if (isNaN(pressure)) return null;
+
+        return {
+            ...this.parcelAnalyzer.interpolateEnvironment(env, pressure),
+            height: elevation
+        };
+    }
+
+    /**
+     * Mean mixing ratio (g/kg) of the lowest 50 hPa, the moisture mixed through the afternoon boundary layer
+     */
+    surfaceMixingRatio(env, surfacePressure) {
+        const layer = env.filter(row =>
+            row.pressure <= surfacePressure &&
+            row.pressure >= surfacePressure - 50 &&
+            !isNaN(row.dewpoint)
+        );
+        if (layer.length === 0) layer.push(env[0]);
+
+        const sum = layer.reduce((total, row) => total + Thermo.saturationMixingRatio(row.dewpoint, row.pressure), 0);
+        return sum / layer.length;
+    }
+
+    /**
+     * First crossing of the dry adiabat with the environmental temperature above the surface
+     */
+    dryThermalTop(env, surface, theta) {
+        let prev = null;
+
+        for (const row of env) {
+            if (row.pressure > surface.pressure) continue;
+
+            const excess = Thermo.temperatureFromTheta(theta, row.pressure) - row.temp;
+
+            if (prev && prev.excess > 0 && excess <= 0) {
+                const ratio = prev.excess / (prev.excess - excess);
+                const height = prev.row.height + ratio * (row.height - prev.row.height);
+                return {
+                    height,
+                    pressure: this.parcelAnalyzer.pressureAtHeight(env, height)
+                };
+            }
+
+            prev = { row, excess };
+        }
+
+        return null;
+    }
+
+    /**
+     * Deardorff convective velocity scale w* (m/s)
+     * The surface heat flux is estimated from the heat needed to warm the morning
+     * profile up to the afternoon dry adiabat over the heating period.
+     */
+    convectiveVelocity(env, surface, theta, zi) {
+        let heatContent = 0; // K·m
+
+        for (let i = 0; i < env.length - 1; i++) {
+            const lower = env[i];
+            const upper = env[i + 1];
+            if (upper.height <= surface.height || lower.height >= zi) continue;
+
+            const zBottom = Math.max(lower.height, surface.height);
+            const zTop = Math.min(upper.height, zi);
+            const deficit = (theta - Thermo.potentialTemperature(lower.temp, lower.pressure) +
+                             theta - Thermo.potentialTemperature(upper.temp, upper.pressure)) / 2;
+
+            heatContent += Math.max(0, deficit) * (zTop - zBottom);
+        }
+
+        const heatFlux = heatContent / (this.heatingHours * 3600); // K·m/s
+        const depth = zi - surface.height;
+
+        return Math.cbrt(THERMO_CONSTANTS.g / theta * heatFlux * depth);
+    }
+
+    /**
+     * Thermal updraft and glider climb rate by height
+     * Mean updraft follows Allen (2006): w = w* (z/zi)^(1/3) (1 - 1.1 z/zi);
+     * thermal cores are taken as twice the mean.
+     */
+    climbProfile(env, surface, theta, zi, wStar) {
+        const depth = zi - surface.height;
+        const profile = [];
+
+        for (let h = surface.height + this.profileStep; h < zi; h += this.profileStep) {
+            const ratio = (h - surface.height) / depth;
+            const updraft = 2 * wStar * Math.cbrt(ratio) * (1 - 1.1 * ratio);
+            const pressure = this.parcelAnalyzer.pressureAtHeight(env, h);
+
+            profile.push({
+                height: h,
+                pressure,
+                temp: Thermo.temperatureFromTheta(theta, pressure),
+                updraft: Math.max(0, updraft),
+                climb: updraft - this.sinkRate
+            });
+        }
+
+        return profile;
+    }
+
+    /**
+     * Assess whether cumulus will grow into towering cumulus or showers
+     */
+    overdevelopment(cumulus, cloudParcel) {
+        if (!cumulus) {
+            return { likely: false, cloudTop: null, cloudDepth: 0, message: 'Blue thermals (no cumulus)' };
+        }
+
+        if (!cloudParcel.lfc || !cloudParcel.el) {
+            return {
+                likely: false,
+                cloudTop: null,
+                cloudDepth: 0,
+                message: 'Flat cumulus capped near cloudbase'
+            };
+        }
+
+        const cloudDepth = cloudParcel.el.height - cloudParcel.lcl.height;
+        const likely = cloudDepth >= this.overdevelopmentDepth;
+
+        return {
+            likely,
+            cloudTop: cloudParcel.el,
+            cloudDepth,
+            cape: cloudParcel.cape,
+            message: likely
+                ? `Overdevelopment likely: clouds ${Math.round(cloudDepth)} m deep, tops ${cloudParcel.el.temp.toFixed(0)}°C`
+                : `Cumulus ${Math.round(cloudDepth)} m deep, overdevelopment unlikely`
+        };
+    }
+
+    /**
+     * Dry adiabat points from the surface to the top of the convective layer, for drawing
+     */
+    dryTrace(env, surface, theta, zi) {
+        const trace = [{ pressure: surface.pressure, height: surface.height }];
+
+        env.forEach(row => {
+            if (row.pressure < surface.pressure && row.height < zi) {
+                trace.push({ pressure: row.pressure, height: row.height });
+            }
+        });
+        trace.push({ pressure: this.parcelAnalyzer.pressureAtHeight(env, zi), height: zi });
+
+        return trace.map(pt => {
+            const envLevel = this.parcelAnalyzer.interpolateEnvironment(env, pt.pressure);
+            return {
+                ...pt,
+                temp: Thermo.temperatureFromTheta(theta, pt.pressure),
+                envTemp: envLevel ? envLevel.temp : NaN
+            };
+        });
+    }
+}
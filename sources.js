@@ -0,0 +1,373 @@
+/**
+ * Pluggable sounding data sources with a user-configurable fallback order
+ */
+
+class SoundingSources {
+    constructor(parser) {
+        this.parser = parser;
+
+        // Request timeout (ms)
+        this.timeout = 30000;
+
+        // Public CORS proxies tried when a direct request fails
+        this.publicProxies = [
+            url => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
+            url => `https://corsproxy.io/?${encodeURIComponent(url)}`
+        ];
+
+        // WMO block prefixes of the bundled stations -> IGRA2 country codes
+        this.igraCountries = { '70': 'US', '71': 'CA', '72': 'US', '73': 'CA', '74': 'US', '91': 'US' };
+
+        // IGRA2 station files already downloaded this session, by IGRA2 ID
+        this.igraFiles = new Map();
+
+        // Pressure levels (hPa) and length of model forecasts requested from Open-Meteo
+        this.forecastLevels = [1000, 975, 950, 925, 900, 850, 800, 700, 600, 500, 400, 300, 250, 200, 150, 100];
+        this.forecastDays = 3;
+
+        this.storageKey = 'skewt-sources';
+
+        // Each provider declares how to build its URL, how to parse the response and when it can serve a request.
+        // isAvailable returns true, or a reason the provider cannot serve the request.
+        this.providers = [
+            {
+                id: 'uw-text',
+                name: 'UW Wyoming TEXT:LIST',
+                buildURL: (station, date, hour) => this.uwURL(station, date, hour, 'TEXT:LIST'),
+                parse: (text) => this.parser.parse(text),
+                isAvailable: (station, date, hour) => this.uwAvailable(station, date, hour)
+            },
+            {
+                id: 'uw-csv',
+                name: 'UW Wyoming CSV',
+                buildURL: (station, date, hour) => this.uwURL(station, date, hour, 'TEXT:CSV'),
+                parse: (text) => this.parser.parse(text, { format: 'uw-csv' }),
+                isAvailable: (station, date, hour) => this.uwAvailable(station, date, hour)
+            },
+            {
+                id: 'igra2',
+                name: 'IGRA2 (NCEI)',
+                buildURL: (station) => 'https://www.ncei.noaa.gov/data/integrated-global-radiosonde-archive/access/' +
+                                       `data-por/${this.igraId(station)}-data.txt.zip`,
+                parse: (text, date, hour) => this.parser.parse(text, { format: 'igra2', date, hour }),
+                isAvailable: (station, date) => {
+                    if (!this.igraId(station)) return 'no IGRA2 station ID known for this station';
+                    return this.notInFuture(date);
+                },
+                zipped: true
+            },
+            {
+                id: 'proxy',
+                name: 'Self-hosted proxy',
+                buildURL: (station, date, hour) => this.proxyTemplate
+                    .replace(/\{station\}/g, encodeURIComponent(station))
+                    .replace(/\{date\}/g, date)
+                    .replace(/\{hour\}/g, hour)
+                    .replace(/\{url\}/g, encodeURIComponent(this.uwURL(station, date, hour, 'TEXT:LIST'))),
+                parse: (text, date, hour) => this.parser.parse(text, { date, hour }),
+                isAvailable: () => this.proxyTemplate ? true : 'no proxy URL configured',
+                direct: true
+            },
+            {
+                id: 'file',
+                name: 'Local file',
+                isAvailable: () => 'choose a file to import',
+                interactive: true
+            }
+        ];
+
+        // Fallback order and enabled providers, persisted in localStorage
+        this.order = this.providers.map(provider => provider.id);
+        this.disabled = new Set();
+        this.proxyTemplate = '';
+
+        this.loadSettings();
+    }
+
+    /**
+     * Restore the saved order, enabled providers and proxy URL
+     */
+    loadSettings() {
+        let settings = null;
+        try {
+            settings = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Could not read source settings:', error);
+        }
+        if (!settings) return;
+
+        // Keep only known providers, appending any added since the settings were saved
+        const known = this.providers.map(provider => provider.id);
+        const saved = (settings.order || []).filter(id => known.includes(id));
+        this.order = [...saved, ...known.filter(id => !saved.includes(id))];
+        this.disabled = new Set((settings.disabled || []).filter(id => known.includes(id)));
+        this.proxyTemplate = settings.proxyTemplate || '';
+    }
+
+    /**
+     * Persist the order, enabled providers and proxy URL
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                order: this.order,
+                disabled: [...this.disabled],
+                proxyTemplate: this.proxyTemplate
+            }));
+        } catch (error) {
+            console.warn('Could not save source settings:', error);
+        }
+    }
+
+    /**
+     * Provider by ID
+     */
+    provider(id) {
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+
+    /**
+     * Enabled, non-interactive providers in fallback order
+     */
+    fallbackOrder() {
+        return this.order
+            .map(id => this.provider(id))
+            .filter(provider => !this.disabled.has(provider.id) && !provider.interactive);
+    }
+
+    /**
+     * Move a provider up (-1) or down (+1) in the fallback order
+     */
+    move(id, offset) {
+        const index = this.order.indexOf(id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.order.length) return;
+
+        [this.order[index], this.order[target]] = [this.order[target], this.order[index]];
+        this.saveSettings();
+    }
+
+    /**
+     * Enable or disable a provider for automatic fallback
+     */
+    setEnabled(id, enabled) {
+        if (enabled) {
+            this.disabled.delete(id);
+        } else {
+            this.disabled.add(id);
+        }
+        this.saveSettings();
+    }
+
+    /**
+     * Set the self-hosted proxy URL template ({station}, {date}, {hour} and {url} are substituted)
+     */
+    setProxyTemplate(template) {
+        this.proxyTemplate = template.trim();
+        this.saveSettings();
+    }
+
+    /**
+     * Fetch and parse a sounding from one source, or from each enabled source in fallback order
+     * @param {string} sourceId - Provider ID, or 'auto' for the fallback order
+     * @returns {object} { result, source } - Parsed sounding and the provider that served it
+     */
+    async load(station, date, hour, sourceId = 'auto') {
+        const providers = sourceId === 'auto' ? this.fallbackOrder() : [this.provider(sourceId)];
+        const failures = [];
+
+        for (const provider of providers) {
+            const available = provider.isAvailable(station, date, hour);
+            if (available !== true) {
+                failures.push(`${provider.name}: ${available}`);
+                continue;
+            }
+
+            try {
+                const url = provider.buildURL(station, date, hour);
+                console.log(`Fetching from ${provider.name}:`, url);
+
+                const text = provider.zipped
+                    ? await this.fetchIGRA2(station, url)
+                    : await this.fetchText(url, !provider.direct);
+                const result = provider.parse(text, date, hour);
+
+                if (result.valid && result.data.length > 0) {
+                    return { result, source: provider };
+                }
+                failures.push(`${provider.name}: no sounding data in response`);
+            } catch (error) {
+                console.log(`${provider.name} failed:`, error.message);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        if (failures.length === 0) {
+            throw new Error('No data sources enabled. Enable at least one in Sources.');
+        }
+        throw new Error(`Data unavailable (${failures.join('; ')}). Try: (1) Use yesterday's date, (2) Try a different station, or (3) Check if data exists for this date/time.`);
+    }
+
+    /**
+     * Fetch and parse a model forecast point sounding from Open-Meteo
+     * @returns {object} Parsed sounding for the first forecast hour, with the whole run in result.forecast
+     */
+    async loadForecast(latitude, longitude) {
+        const url = this.openMeteoURL(latitude, longitude);
+        console.log('Fetching forecast:', url);
+
+        const result = this.parser.parse(await this.fetchText(url), { format: 'open-meteo' });
+        if (!result.valid) {
+            throw new Error(`Forecast unavailable: ${result.error || 'no forecast levels in response'}`);
+        }
+        return result;
+    }
+
+    /**
+     * Open-Meteo forecast URL with the pressure-level and surface variables the parser reads
+     */
+    openMeteoURL(latitude, longitude) {
+        const levelVariables = ['temperature', 'relative_humidity', 'wind_speed', 'wind_direction', 'geopotential_height'];
+        const hourly = [
+            'surface_pressure', 'temperature_2m', 'dew_point_2m', 'wind_speed_10m', 'wind_direction_10m',
+            ...this.forecastLevels.flatMap(level => levelVariables.map(variable => `${variable}_${level}hPa`))
+        ];
+
+        const params = new URLSearchParams({
+            latitude: latitude.toFixed(4),
+            longitude: longitude.toFixed(4),
+            hourly: hourly.join(','),
+            wind_speed_unit: 'ms',
+            forecast_days: this.forecastDays,
+            timezone: 'GMT'
+        });
+
+        return `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+    }
+
+    /**
+     * UW Wyoming sounding URL
+     * @param {string} type - 'TEXT:LIST' or 'TEXT:CSV'
+     */
+    uwURL(station, date, hour, type) {
+        // Format: https://weather.uwyo.edu/wsgi/sounding?datetime=YYYY-MM-DD HH:00:00&id=STATION&src=BUFR&type=TEXT:LIST
+        const params = new URLSearchParams({
+            datetime: `${date} ${hour}:00:00`,
+            id: station,
+            src: 'BUFR',
+            type
+        });
+
+        return `https://weather.uwyo.edu/wsgi/sounding?${params.toString()}`;
+    }
+
+    /**
+     * UW serves WMO or ICAO stations at synoptic hours
+     */
+    uwAvailable(station, date, hour) {
+        if (!/^(\d{5}|[A-Z]{4})$/i.test(station)) return 'station must be a WMO number or ICAO identifier';
+        if (!['00', '06', '12', '18'].includes(hour)) return 'only 00, 06, 12 and 18 UTC are served';
+        return this.notInFuture(date);
+    }
+
+    /**
+     * true, or a reason when the date is after today (UTC)
+     */
+    notInFuture(date) {
+        return date <= new Date().toISOString().slice(0, 10) ? true : 'date is in the future';
+    }
+
+    /**
+     * IGRA2 station ID: 11-character IDs are used as given, WMO numbers are mapped through their country block
+     */
+    igraId(station) {
+        if (/^[A-Z]{2}[A-Z0-9]{9}$/.test(station)) return station;
+
+        const country = /^\d{5}$/.test(station) && this.igraCountries[station.slice(0, 2)];
+        return country ? `${country}M000${station}` : null;
+    }
+
+    /**
+     * Download and unzip an IGRA2 station file, once per session
+     */
+    async fetchIGRA2(station, url) {
+        const id = this.igraId(station);
+        if (!this.igraFiles.has(id)) {
+            const response = await this.fetchResponse(url, true);
+            this.igraFiles.set(id, await this.unzip(await response.arrayBuffer()));
+        }
+        return this.igraFiles.get(id);
+    }
+
+    /**
+     * Fetch a URL as text
+     * @param {boolean} useProxies - Retry through the public CORS proxies when the direct request fails
+     */
+    async fetchText(url, useProxies = true) {
+        const response = await this.fetchResponse(url, useProxies);
+        return response.text();
+    }
+
+    /**
+     * Fetch with timeout, directly first (may fail due to CORS), then through each public proxy
+     */
+    async fetchResponse(url, useProxies) {
+        const fetchWithTimeout = (fetchUrl) => {
+            return Promise.race([
+                fetch(fetchUrl),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Request timeout')), this.timeout)
+                )
+            ]);
+        };
+
+        const attempts = [url, ...(useProxies ? this.publicProxies.map(proxy => proxy(url)) : [])];
+        let lastError = null;
+
+        for (const attempt of attempts) {
+            try {
+                const response = await fetchWithTimeout(attempt);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response;
+            } catch (error) {
+                console.log(`Fetch failed (${error.message}), trying next route...`);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Text of the first file in a ZIP archive (stored or deflated)
+     */
+    async unzip(buffer) {
+        const view = new DataView(buffer);
+
+        // End of central directory record, searched backwards past any archive comment
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a ZIP archive');
+
+        // First central directory entry: method, compressed size and local header offset
+        const entry = view.getUint32(eocd + 16, true);
+        const method = view.getUint16(entry + 10, true);
+        const size = view.getUint32(entry + 20, true);
+        const local = view.getUint32(entry + 42, true);
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const bytes = new Uint8Array(buffer, start, size);
+
+        if (method === 0) return new TextDecoder().decode(bytes);
+        if (method !== 8) throw new Error(`Unsupported ZIP compression method ${method}`);
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+}
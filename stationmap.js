@@ -0,0 +1,333 @@
+/**
+ * Station picker map: OpenStreetMap tiles in Web Mercator with station markers,
+ * the selected station and a clicked point
+ */
+
+class StationMap {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.tileSize = 256;
+        this.tileURL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+        this.attribution = '© OpenStreetMap contributors';
+
+        // View: centre and zoom level
+        this.center = { lat: 50, lon: -105 };
+        this.zoom = 3;
+        this.minZoom = 2;
+        this.maxZoom = 12;
+
+        // Loaded and pending tile images by "z/x/y"
+        this.tiles = new Map();
+
+        // Markers closer than this (px) to a click pick the station
+        this.hitRadius = 8;
+
+        this.stations = [];
+        this.selected = null;
+        this.point = null;
+        this.nearestStation = null;
+    }
+
+    /**
+     * Stations drawn as markers
+     */
+    setStations(stations) {
+        this.stations = stations;
+    }
+
+    /**
+     * Highlight a station, or null
+     */
+    setSelected(station) {
+        this.selected = station;
+    }
+
+    /**
+     * Mark a clicked point and its nearest station, or clear with null
+     */
+    setPoint(point, nearestStation = null) {
+        this.point = point;
+        this.nearestStation = nearestStation;
+    }
+
+    /**
+     * Centre the view on a position, optionally changing the zoom
+     */
+    centerOn(lat, lon, zoom = this.zoom) {
+        this.center = { lat, lon };
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    }
+
+    /**
+     * World pixel coordinates of a position at the current zoom (Web Mercator)
+     */
+    project(lat, lon) {
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const sin = Math.sin(Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180);
+        return {
+            x: (lon + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    /**
+     * Position of world pixel coordinates at the current zoom
+     */
+    unproject(x, y) {
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const n = Math.PI - 2 * Math.PI * y / scale;
+        return {
+            lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+            lon: x / scale * 360 - 180
+        };
+    }
+
+    /**
+     * World pixel coordinates of the canvas top-left corner
+     */
+    origin() {
+        const center = this.project(this.center.lat, this.center.lon);
+        return { x: center.x - this.canvas.width / 2, y: center.y - this.canvas.height / 2 };
+    }
+
+    /**
+     * Canvas coordinates of a position
+     */
+    toCanvas(lat, lon) {
+        const world = this.project(lat, lon);
+        const origin = this.origin();
+        return { x: world.x - origin.x, y: world.y - origin.y };
+    }
+
+    /**
+     * Position under canvas coordinates, longitude wrapped to -180..180
+     */
+    toLatLon(x, y) {
+        const origin = this.origin();
+        const position = this.unproject(origin.x + x, origin.y + y);
+        position.lon = ((position.lon + 540) % 360) - 180;
+        return position;
+    }
+
+    /**
+     * Move the view by a canvas pixel offset
+     */
+    pan(dx, dy) {
+        const center = this.project(this.center.lat, this.center.lon);
+        this.center = this.unproject(center.x - dx, center.y - dy);
+        this.center.lat = Math.max(-85, Math.min(85, this.center.lat));
+    }
+
+    /**
+     * Zoom in (+1) or out (-1) keeping the position under canvas coordinates fixed
+     */
+    zoomAt(x, y, step) {
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom + step));
+        if (zoom === this.zoom) return;
+
+        const anchor = this.toLatLon(x, y);
+        this.zoom = zoom;
+
+        const after = this.toCanvas(anchor.lat, anchor.lon);
+        this.pan(x - after.x, y - after.y);
+    }
+
+    /**
+     * Station whose marker is under canvas coordinates, or null
+     */
+    stationAt(x, y) {
+        let best = null;
+        let bestDistance = this.hitRadius;
+
+        this.stations.forEach(station => {
+            const p = this.toCanvas(station.lat, station.lon);
+            const distance = Math.hypot(p.x - x, p.y - y);
+            if (distance <= bestDistance) {
+                best = station;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Tile image, requested once and redrawn when it arrives
+     */
+    tile(z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        if (!this.tiles.has(key)) {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => this.draw();
+            image.onerror = () => this.tiles.set(key, null);
+            image.src = this.tileURL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+            this.tiles.set(key, image);
+        }
+        return this.tiles.get(key);
+    }
+
+    /**
+     * Draw the map
+     */
+    draw() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#dbe7f0';
+        ctx.fillRect(0, 0, width, height);
+
+        this.drawTiles();
+        this.drawGraticule();
+        this.drawStations();
+        this.drawPoint();
+        this.drawAttribution();
+    }
+
+    /**
+     * Tiles covering the canvas; missing tiles leave the background showing
+     */
+    drawTiles() {
+        const origin = this.origin();
+        const count = Math.pow(2, this.zoom);
+        const size = this.tileSize;
+
+        const firstX = Math.floor(origin.x / size);
+        const firstY = Math.max(0, Math.floor(origin.y / size));
+        const lastX = Math.floor((origin.x + this.canvas.width) / size);
+        const lastY = Math.min(count - 1, Math.floor((origin.y + this.canvas.height) / size));
+
+        for (let tx = firstX; tx <= lastX; tx++) {
+            for (let ty = firstY; ty <= lastY; ty++) {
+                const image = this.tile(this.zoom, ((tx % count) + count) % count, ty);
+                if (image && image.complete && image.naturalWidth > 0) {
+                    this.ctx.drawImage(image, tx * size - origin.x, ty * size - origin.y, size, size);
+                }
+            }
+        }
+    }
+
+    /**
+     * Latitude/longitude lines, spaced for the zoom level
+     */
+    drawGraticule() {
+        const ctx = this.ctx;
+        const spacing = this.zoom <= 3 ? 10 : this.zoom <= 5 ? 5 : this.zoom <= 7 ? 1 : 0.5;
+        const topLeft = this.toLatLon(0, 0);
+        const bottomRight = this.toLatLon(this.canvas.width, this.canvas.height);
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(74, 85, 104, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#4a5568';
+        ctx.font = '11px Arial';
+
+        for (let lat = Math.ceil(bottomRight.lat / spacing) * spacing; lat <= topLeft.lat; lat += spacing) {
+            const y = this.toCanvas(lat, 0).y;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.canvas.width, y);
+            ctx.stroke();
+            ctx.textAlign = 'left';
+            ctx.fillText(`${+lat.toFixed(1)}°`, 4, y - 3);
+        }
+
+        const lonStart = Math.ceil(topLeft.lon / spacing) * spacing;
+        const lonSpan = (bottomRight.lon - topLeft.lon + 360) % 360 || 360;
+        for (let lon = lonStart; lon <= topLeft.lon + lonSpan; lon += spacing) {
+            const x = this.toCanvas(0, lon).x;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.canvas.height);
+            ctx.stroke();
+            ctx.textAlign = 'center';
+            ctx.fillText(`${+((((lon + 540) % 360) - 180).toFixed(1))}°`, x, this.canvas.height - 18);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Station markers, with names once zoomed in; the selected station is highlighted
+     */
+    drawStations() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+
+        this.stations.forEach(station => {
+            const p = this.toCanvas(station.lat, station.lon);
+            if (p.x < -10 || p.y < -10 || p.x > this.canvas.width + 10 || p.y > this.canvas.height + 10) return;
+
+            const selected = station === this.selected;
+            ctx.fillStyle = selected ? '#e53e3e' : '#667eea';
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, selected ? 7 : 5, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+
+            if (selected || this.zoom >= 5) {
+                ctx.fillStyle = '#1a202c';
+                ctx.fillText(selected ? `${station.name} (${station.wmo})` : station.name, p.x + 8, p.y + 4);
+            }
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Clicked point with a dashed line to its nearest station
+     */
+    drawPoint() {
+        if (!this.point) return;
+
+        const ctx = this.ctx;
+        const p = this.toCanvas(this.point.lat, this.point.lon);
+
+        ctx.save();
+        if (this.nearestStation) {
+            const s = this.toCanvas(this.nearestStation.lat, this.nearestStation.lon);
+            ctx.strokeStyle = '#2d3748';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([5, 4]);
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(s.x, s.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Cross marker
+        ctx.strokeStyle = '#e53e3e';
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(p.x - 7, p.y - 7);
+        ctx.lineTo(p.x + 7, p.y + 7);
+        ctx.moveTo(p.x + 7, p.y - 7);
+        ctx.lineTo(p.x - 7, p.y + 7);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Tile attribution in the bottom-right corner
+     */
+    drawAttribution() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px Arial';
+        const width = ctx.measureText(this.attribution).width + 10;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(this.canvas.width - width, this.canvas.height - 16, width, 16);
+        ctx.fillStyle = '#2d3748';
+        ctx.textAlign = 'right';
+        ctx.fillText(this.attribution, this.canvas.width - 5, this.canvas.height - 4);
+        ctx.restore();
+    }
+}
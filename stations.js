@@ -0,0 +1,210 @@
+/**
+ * Catalog of upper-air (radiosonde) stations with search and nearest-station lookup
+ */
+
+// Operational North American radiosonde sites: WMO number, ICAO identifier, name, region,
+// latitude/longitude (degrees) and station elevation (m)
+const UPPER_AIR_STATIONS = [
+    // Canada
+    { wmo: '71082', icao: 'CYLT', name: 'Alert, NU', region: 'Canada', lat: 82.50, lon: -62.33, elevation: 66 },
+    { wmo: '71917', icao: 'CWEU', name: 'Eureka, NU', region: 'Canada', lat: 79.98, lon: -85.93, elevation: 10 },
+    { wmo: '71924', icao: 'CYRB', name: 'Resolute, NU', region: 'Canada', lat: 74.72, lon: -94.98, elevation: 40 },
+    { wmo: '71925', icao: 'CYCB', name: 'Cambridge Bay, NU', region: 'Canada', lat: 69.10, lon: -105.12, elevation: 25 },
+    { wmo: '71957', icao: 'CYEV', name: 'Inuvik, NT', region: 'Canada', lat: 68.32, lon: -133.53, elevation: 103 },
+    { wmo: '71081', icao: 'CYUX', name: 'Hall Beach, NU', region: 'Canada', lat: 68.78, lon: -81.25, elevation: 8 },
+    { wmo: '71043', icao: 'CYVQ', name: 'Norman Wells, NT', region: 'Canada', lat: 65.28, lon: -126.75, elevation: 95 },
+    { wmo: '71915', icao: 'CYZS', name: 'Coral Harbour, NU', region: 'Canada', lat: 64.19, lon: -83.36, elevation: 64 },
+    { wmo: '71909', icao: 'CYFB', name: 'Iqaluit, NU', region: 'Canada', lat: 63.75, lon: -68.55, elevation: 21 },
+    { wmo: '71964', icao: 'CYXY', name: 'Whitehorse, YT', region: 'Canada', lat: 60.73, lon: -135.10, elevation: 704 },
+    { wmo: '71934', icao: 'CYSM', name: 'Fort Smith, NT', region: 'Canada', lat: 60.03, lon: -111.93, elevation: 203 },
+    { wmo: '71945', icao: 'CYYE', name: 'Fort Nelson, BC', region: 'Canada', lat: 58.83, lon: -122.60, elevation: 377 },
+    { wmo: '71913', icao: 'CYYQ', name: 'Churchill, MB', region: 'Canada', lat: 58.73, lon: -94.08, elevation: 29 },
+    { wmo: '71906', icao: 'CYVP', name: 'Kuujjuaq, QC', region: 'Canada', lat: 58.10, lon: -68.42, elevation: 60 },
+    { wmo: '71867', icao: 'CYQD', name: 'The Pas, MB', region: 'Canada', lat: 53.97, lon: -101.10, elevation: 273 },
+    { wmo: '71908', icao: 'CZXS', name: 'Prince George, BC', region: 'Canada', lat: 53.90, lon: -122.80, elevation: 601 },
+    { wmo: '71119', icao: 'CWSE', name: 'Edmonton (Stony Plain), AB', region: 'Canada', lat: 53.53, lon: -114.10, elevation: 766 },
+    { wmo: '71816', icao: 'CYYR', name: 'Goose Bay, NL', region: 'Canada', lat: 53.30, lon: -60.37, elevation: 36 },
+    { wmo: '71845', icao: 'CWPL', name: 'Pickle Lake, ON', region: 'Canada', lat: 51.45, lon: -90.20, elevation: 386 },
+    { wmo: '71836', icao: 'CYMO', name: 'Moosonee, ON', region: 'Canada', lat: 51.27, lon: -80.65, elevation: 10 },
+    { wmo: '71109', icao: 'CYZT', name: 'Port Hardy, BC', region: 'Canada', lat: 50.68, lon: -127.37, elevation: 17 },
+    { wmo: '73033', icao: '', name: 'Vernon, BC', region: 'Canada', lat: 50.22, lon: -119.19, elevation: 482 },
+    { wmo: '71811', icao: 'CYZV', name: 'Sept-Îles, QC', region: 'Canada', lat: 50.22, lon: -66.27, elevation: 52 },
+    { wmo: '71203', icao: 'CYLW', name: 'Kelowna, BC', region: 'Canada', lat: 49.97, lon: -119.38, elevation: 456 },
+    { wmo: '71815', icao: 'CYJT', name: 'Stephenville, NL', region: 'Canada', lat: 48.53, lon: -58.55, elevation: 60 },
+    { wmo: '71722', icao: 'CWMW', name: 'Maniwaki, QC', region: 'Canada', lat: 46.30, lon: -76.01, elevation: 189 },
+    { wmo: '71600', icao: 'CWSA', name: 'Sable Island, NS', region: 'Canada', lat: 43.93, lon: -60.02, elevation: 4 },
+    { wmo: '71603', icao: 'CYQI', name: 'Yarmouth, NS', region: 'Canada', lat: 43.87, lon: -66.10, elevation: 9 },
+
+    // Alaska
+    { wmo: '70026', icao: 'PABR', name: 'Utqiaġvik (Barrow), AK', region: 'Alaska', lat: 71.29, lon: -156.78, elevation: 12 },
+    { wmo: '70133', icao: 'PAOT', name: 'Kotzebue, AK', region: 'Alaska', lat: 66.87, lon: -162.63, elevation: 5 },
+    { wmo: '70261', icao: 'PAFA', name: 'Fairbanks, AK', region: 'Alaska', lat: 64.82, lon: -147.88, elevation: 135 },
+    { wmo: '70200', icao: 'PAOM', name: 'Nome, AK', region: 'Alaska', lat: 64.50, lon: -165.43, elevation: 5 },
+    { wmo: '70231', icao: 'PAMC', name: 'McGrath, AK', region: 'Alaska', lat: 62.96, lon: -155.61, elevation: 103 },
+    { wmo: '70273', icao: 'PANC', name: 'Anchorage, AK', region: 'Alaska', lat: 61.16, lon: -150.00, elevation: 45 },
+    { wmo: '70219', icao: 'PABE', name: 'Bethel, AK', region: 'Alaska', lat: 60.78, lon: -161.84, elevation: 36 },
+    { wmo: '70361', icao: 'PAYA', name: 'Yakutat, AK', region: 'Alaska', lat: 59.51, lon: -139.67, elevation: 12 },
+    { wmo: '70326', icao: 'PAKN', name: 'King Salmon, AK', region: 'Alaska', lat: 58.68, lon: -156.65, elevation: 15 },
+    { wmo: '70350', icao: 'PADQ', name: 'Kodiak, AK', region: 'Alaska', lat: 57.75, lon: -152.49, elevation: 4 },
+    { wmo: '70308', icao: 'PASN', name: 'St. Paul Island, AK', region: 'Alaska', lat: 57.15, lon: -170.22, elevation: 10 },
+    { wmo: '70316', icao: 'PACD', name: 'Cold Bay, AK', region: 'Alaska', lat: 55.20, lon: -162.72, elevation: 30 },
+    { wmo: '70398', icao: 'PANT', name: 'Annette Island, AK', region: 'Alaska', lat: 55.04, lon: -131.57, elevation: 37 },
+
+    // United States - West
+    { wmo: '72797', icao: 'KUIL', name: 'Quillayute, WA', region: 'United States - West', lat: 47.95, lon: -124.55, elevation: 56 },
+    { wmo: '72786', icao: 'KOTX', name: 'Spokane, WA', region: 'United States - West', lat: 47.68, lon: -117.63, elevation: 728 },
+    { wmo: '72694', icao: 'KSLE', name: 'Salem, OR', region: 'United States - West', lat: 44.92, lon: -123.02, elevation: 61 },
+    { wmo: '72681', icao: 'KBOI', name: 'Boise, ID', region: 'United States - West', lat: 43.57, lon: -116.21, elevation: 874 },
+    { wmo: '72597', icao: 'KMFR', name: 'Medford, OR', region: 'United States - West', lat: 42.38, lon: -122.88, elevation: 397 },
+    { wmo: '72572', icao: 'KSLC', name: 'Salt Lake City, UT', region: 'United States - West', lat: 40.77, lon: -111.95, elevation: 1288 },
+    { wmo: '72489', icao: 'KREV', name: 'Reno, NV', region: 'United States - West', lat: 39.57, lon: -119.80, elevation: 1516 },
+    { wmo: '72493', icao: 'KOAK', name: 'Oakland, CA', region: 'United States - West', lat: 37.73, lon: -122.22, elevation: 3 },
+    { wmo: '72388', icao: 'KVEF', name: 'Las Vegas, NV', region: 'United States - West', lat: 36.05, lon: -115.18, elevation: 693 },
+    { wmo: '72376', icao: 'KFGZ', name: 'Flagstaff, AZ', region: 'United States - West', lat: 35.23, lon: -111.82, elevation: 2179 },
+    { wmo: '72393', icao: 'KVBG', name: 'Vandenberg, CA', region: 'United States - West', lat: 34.75, lon: -120.57, elevation: 100 },
+    { wmo: '72293', icao: 'KNKX', name: 'San Diego, CA', region: 'United States - West', lat: 32.85, lon: -117.12, elevation: 128 },
+    { wmo: '72274', icao: 'KTUS', name: 'Tucson, AZ', region: 'United States - West', lat: 32.23, lon: -110.96, elevation: 751 },
+
+    // United States - Central
+    { wmo: '72768', icao: 'KGGW', name: 'Glasgow, MT', region: 'United States - Central', lat: 48.21, lon: -106.63, elevation: 693 },
+    { wmo: '72776', icao: 'KTFX', name: 'Great Falls, MT', region: 'United States - Central', lat: 47.46, lon: -111.38, elevation: 1130 },
+    { wmo: '72764', icao: 'KBIS', name: 'Bismarck, ND', region: 'United States - Central', lat: 46.77, lon: -100.75, elevation: 503 },
+    { wmo: '72659', icao: 'KABR', name: 'Aberdeen, SD', region: 'United States - Central', lat: 45.45, lon: -98.41, elevation: 397 },
+    { wmo: '72662', icao: 'KUNR', name: 'Rapid City, SD', region: 'United States - Central', lat: 44.07, lon: -103.21, elevation: 1029 },
+    { wmo: '72672', icao: 'KRIW', name: 'Riverton, WY', region: 'United States - Central', lat: 43.06, lon: -108.48, elevation: 1688 },
+    { wmo: '72558', icao: 'KOAX', name: 'Omaha (Valley), NE', region: 'United States - Central', lat: 41.32, lon: -96.37, elevation: 350 },
+    { wmo: '72562', icao: 'KLBF', name: 'North Platte, NE', region: 'United States - Central', lat: 41.13, lon: -100.68, elevation: 847 },
+    { wmo: '72469', icao: 'KDNR', name: 'Denver, CO', region: 'United States - Central', lat: 39.77, lon: -104.87, elevation: 1611 },
+    { wmo: '72476', icao: 'KGJT', name: 'Grand Junction, CO', region: 'United States - Central', lat: 39.12, lon: -108.53, elevation: 1475 },
+    { wmo: '72456', icao: 'KTOP', name: 'Topeka, KS', region: 'United States - Central', lat: 39.07, lon: -95.63, elevation: 270 },
+    { wmo: '72451', icao: 'KDDC', name: 'Dodge City, KS', region: 'United States - Central', lat: 37.76, lon: -99.97, elevation: 790 },
+    { wmo: '72363', icao: 'KAMA', name: 'Amarillo, TX', region: 'United States - Central', lat: 35.23, lon: -101.71, elevation: 1095 },
+    { wmo: '72357', icao: 'KOUN', name: 'Norman, OK', region: 'United States - Central', lat: 35.18, lon: -97.44, elevation: 357 },
+    { wmo: '72365', icao: 'KABQ', name: 'Albuquerque, NM', region: 'United States - Central', lat: 35.04, lon: -106.62, elevation: 1619 },
+    { wmo: '72249', icao: 'KFWD', name: 'Fort Worth, TX', region: 'United States - Central', lat: 32.83, lon: -97.30, elevation: 196 },
+    { wmo: '72265', icao: 'KMAF', name: 'Midland, TX', region: 'United States - Central', lat: 31.95, lon: -102.19, elevation: 873 },
+    { wmo: '72364', icao: 'KEPZ', name: 'Santa Teresa, NM', region: 'United States - Central', lat: 31.87, lon: -106.70, elevation: 1252 },
+    { wmo: '72261', icao: 'KDRT', name: 'Del Rio, TX', region: 'United States - Central', lat: 29.37, lon: -100.92, elevation: 313 },
+    { wmo: '72251', icao: 'KCRP', name: 'Corpus Christi, TX', region: 'United States - Central', lat: 27.78, lon: -97.51, elevation: 14 },
+    { wmo: '72250', icao: 'KBRO', name: 'Brownsville, TX', region: 'United States - Central', lat: 25.92, lon: -97.42, elevation: 7 },
+
+    // United States - Midwest & East
+    { wmo: '72747', icao: 'KINL', name: 'International Falls, MN', region: 'United States - Midwest & East', lat: 48.57, lon: -93.38, elevation: 359 },
+    { wmo: '72712', icao: 'KCAR', name: 'Caribou, ME', region: 'United States - Midwest & East', lat: 46.87, lon: -68.02, elevation: 191 },
+    { wmo: '72634', icao: 'KAPX', name: 'Gaylord, MI', region: 'United States - Midwest & East', lat: 44.91, lon: -84.72, elevation: 448 },
+    { wmo: '72649', icao: 'KMPX', name: 'Chanhassen (Minneapolis), MN', region: 'United States - Midwest & East', lat: 44.85, lon: -93.57, elevation: 287 },
+    { wmo: '72645', icao: 'KGRB', name: 'Green Bay, WI', region: 'United States - Midwest & East', lat: 44.48, lon: -88.13, elevation: 209 },
+    { wmo: '74389', icao: 'KGYX', name: 'Gray (Portland), ME', region: 'United States - Midwest & East', lat: 43.89, lon: -70.25, elevation: 125 },
+    { wmo: '72528', icao: 'KBUF', name: 'Buffalo, NY', region: 'United States - Midwest & East', lat: 42.94, lon: -78.72, elevation: 218 },
+    { wmo: '72632', icao: 'KDTX', name: 'White Lake (Detroit), MI', region: 'United States - Midwest & East', lat: 42.70, lon: -83.47, elevation: 329 },
+    { wmo: '72518', icao: 'KALB', name: 'Albany, NY', region: 'United States - Midwest & East', lat: 42.69, lon: -73.83, elevation: 93 },
+    { wmo: '74494', icao: 'KCHH', name: 'Chatham, MA', region: 'United States - Midwest & East', lat: 41.67, lon: -69.97, elevation: 16 },
+    { wmo: '74455', icao: 'KDVN', name: 'Davenport, IA', region: 'United States - Midwest & East', lat: 41.61, lon: -90.58, elevation: 229 },
+    { wmo: '72501', icao: 'KOKX', name: 'Upton (New York City), NY', region: 'United States - Midwest & East', lat: 40.87, lon: -72.86, elevation: 20 },
+    { wmo: '72520', icao: 'KPIT', name: 'Pittsburgh, PA', region: 'United States - Midwest & East', lat: 40.53, lon: -80.23, elevation: 360 },
+    { wmo: '74560', icao: 'KILX', name: 'Lincoln, IL', region: 'United States - Midwest & East', lat: 40.15, lon: -89.34, elevation: 178 },
+    { wmo: '72426', icao: 'KILN', name: 'Wilmington, OH', region: 'United States - Midwest & East', lat: 39.42, lon: -83.82, elevation: 317 },
+    { wmo: '72403', icao: 'KIAD', name: 'Sterling (Washington Dulles), VA', region: 'United States - Midwest & East', lat: 38.98, lon: -77.49, elevation: 88 },
+    { wmo: '72402', icao: 'KWAL', name: 'Wallops Island, VA', region: 'United States - Midwest & East', lat: 37.93, lon: -75.47, elevation: 13 },
+    { wmo: '72440', icao: 'KSGF', name: 'Springfield, MO', region: 'United States - Midwest & East', lat: 37.23, lon: -93.40, elevation: 394 },
+    { wmo: '72318', icao: 'KRNK', name: 'Blacksburg, VA', region: 'United States - Midwest & East', lat: 37.20, lon: -80.41, elevation: 648 },
+
+    // United States - South & Southeast
+    { wmo: '72327', icao: 'KOHX', name: 'Nashville, TN', region: 'United States - South & Southeast', lat: 36.25, lon: -86.56, elevation: 180 },
+    { wmo: '72317', icao: 'KGSO', name: 'Greensboro, NC', region: 'United States - South & Southeast', lat: 36.10, lon: -79.94, elevation: 277 },
+    { wmo: '72340', icao: 'KLZK', name: 'Little Rock, AR', region: 'United States - South & Southeast', lat: 34.84, lon: -92.26, elevation: 172 },
+    { wmo: '72305', icao: 'KMHX', name: 'Newport (Morehead City), NC', region: 'United States - South & Southeast', lat: 34.78, lon: -76.88, elevation: 11 },
+    { wmo: '72215', icao: 'KFFC', name: 'Peachtree City (Atlanta), GA', region: 'United States - South & Southeast', lat: 33.36, lon: -84.57, elevation: 245 },
+    { wmo: '72230', icao: 'KBMX', name: 'Birmingham, AL', region: 'United States - South & Southeast', lat: 33.17, lon: -86.77, elevation: 178 },
+    { wmo: '72208', icao: 'KCHS', name: 'Charleston, SC', region: 'United States - South & Southeast', lat: 32.90, lon: -80.03, elevation: 15 },
+    { wmo: '72248', icao: 'KSHV', name: 'Shreveport, LA', region: 'United States - South & Southeast', lat: 32.45, lon: -93.84, elevation: 85 },
+    { wmo: '72235', icao: 'KJAN', name: 'Jackson, MS', region: 'United States - South & Southeast', lat: 32.32, lon: -90.08, elevation: 91 },
+    { wmo: '72206', icao: 'KJAX', name: 'Jacksonville, FL', region: 'United States - South & Southeast', lat: 30.50, lon: -81.70, elevation: 9 },
+    { wmo: '72214', icao: 'KTLH', name: 'Tallahassee, FL', region: 'United States - South & Southeast', lat: 30.45, lon: -84.30, elevation: 53 },
+    { wmo: '72233', icao: 'KLIX', name: 'Slidell (New Orleans), LA', region: 'United States - South & Southeast', lat: 30.34, lon: -89.83, elevation: 10 },
+    { wmo: '72240', icao: 'KLCH', name: 'Lake Charles, LA', region: 'United States - South & Southeast', lat: 30.12, lon: -93.22, elevation: 5 },
+    { wmo: '72210', icao: 'KTBW', name: 'Tampa Bay (Ruskin), FL', region: 'United States - South & Southeast', lat: 27.70, lon: -82.40, elevation: 13 },
+    { wmo: '72202', icao: 'KMFL', name: 'Miami, FL', region: 'United States - South & Southeast', lat: 25.75, lon: -80.38, elevation: 4 },
+    { wmo: '72201', icao: 'KKEY', name: 'Key West, FL', region: 'United States - South & Southeast', lat: 24.55, lon: -81.79, elevation: 2 },
+
+    // Hawaii
+    { wmo: '91165', icao: 'PHLI', name: 'Lihue, HI', region: 'Hawaii', lat: 21.98, lon: -159.35, elevation: 36 },
+    { wmo: '91285', icao: 'PHTO', name: 'Hilo, HI', region: 'Hawaii', lat: 19.72, lon: -155.05, elevation: 10 }
+];
+
+class StationCatalog {
+    /**
+     * @param {Array} stations - Station records; entries repeating a WMO number or ICAO identifier are rejected
+     */
+    constructor(stations = UPPER_AIR_STATIONS) {
+        this.stations = [];
+        this.byWMO = new Map();
+        this.byICAO = new Map();
+
+        stations.forEach(station => {
+            if (!/^\d{5}$/.test(station.wmo)) {
+                console.warn(`Station catalog: invalid WMO number "${station.wmo}" for ${station.name}`);
+                return;
+            }
+            if (this.byWMO.has(station.wmo) || (station.icao && this.byICAO.has(station.icao))) {
+                console.warn(`Station catalog: duplicate ID ${station.wmo}/${station.icao} for ${station.name}`);
+                return;
+            }
+
+            this.stations.push(station);
+            this.byWMO.set(station.wmo, station);
+            if (station.icao) this.byICAO.set(station.icao, station);
+        });
+    }
+
+    /**
+     * Station by WMO number or ICAO identifier (case-insensitive), or null
+     */
+    find(id) {
+        const key = String(id || '').trim().toUpperCase();
+        return this.byWMO.get(key) || this.byICAO.get(key) || null;
+    }
+
+    /**
+     * Stations whose WMO number, ICAO identifier or name contains the query
+     */
+    search(query) {
+        const text = String(query || '').trim().toLowerCase();
+        if (!text) return [...this.stations];
+
+        return this.stations.filter(station =>
+            station.wmo.includes(text) ||
+            station.icao.toLowerCase().includes(text) ||
+            station.name.toLowerCase().includes(text));
+    }
+
+    /**
+     * Stations nearest to a point, closest first
+     * @returns {Array} [{ station, distance }] - distance in km
+     */
+    nearest(lat, lon, count = 1) {
+        return this.stations
+            .map(station => ({ station, distance: StationCatalog.distance(lat, lon, station.lat, station.lon) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, count);
+    }
+
+    /**
+     * Great-circle distance (km) between two points, haversine formula
+     */
+    static distance(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371 * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Display label, e.g. "Kelowna, BC (71203 / CYLW)"
+     */
+    static label(station) {
+        return station.icao ? `${station.name} (${station.wmo} / ${station.icao})` : `${station.name} (${station.wmo})`;
+    }
+}
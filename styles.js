@@ -0,0 +1,362 @@
+/**
+ * Diagram layer visibility and styles: preset themes, per-layer colour, line width and opacity,
+ * and custom themes saved in the browser
+ */
+
+class DiagramStyle {
+    constructor() {
+        // Layers in panel order; color, width or opacity false when the layer keeps its own drawing style,
+        // hidden for layers off until shown, dash for dashed lines and legend for a shorter legend entry
+        this.layers = [
+            { id: 'isobars', name: 'Isobars', group: 'Background' },
+            { id: 'isotherms', name: 'Isotherms', group: 'Background' },
+            { id: 'dryAdiabats', name: 'Dry adiabats', group: 'Background' },
+            { id: 'moistAdiabats', name: 'Moist adiabats', group: 'Background' },
+            { id: 'mixingRatio', name: 'Mixing ratio lines', group: 'Background' },
+            { id: 'temperature', name: 'Temperature', group: 'Data' },
+            { id: 'dewpoint', name: 'Dew point', group: 'Data' },
+            { id: 'windBarbs', name: 'Wind barbs', group: 'Data' },
+            { id: 'parcels', name: 'Parcel traces', group: 'Data', color: false },
+            { id: 'soaring', name: 'Soaring column', group: 'Data', color: false, width: false, opacity: false },
+            { id: 'overlays', name: 'Compared soundings', group: 'Data', color: false, width: false, opacity: false },
+            { id: 'qc', name: 'QC markers', group: 'Data', color: false, width: false, opacity: false },
+            { id: 'inversions', name: 'Inversions and mixing height', group: 'Data', color: false, width: false, opacity: false },
+            { id: 'aviation', name: 'Aviation hazard columns', group: 'Data', color: false, width: false, opacity: false },
+            { id: 'wetBulb', name: 'Wet-bulb temperature', group: 'Derived', legend: 'Wet-bulb', hidden: true, dash: [] },
+            { id: 'virtualTemp', name: 'Virtual temperature', group: 'Derived', legend: 'Virtual Temp', hidden: true, dash: [2, 3] },
+            { id: 'thetaW', name: 'Wet-bulb potential temperature', group: 'Derived', legend: 'Theta-w', hidden: true, dash: [8, 4] },
+            { id: 'frostPoint', name: 'Frost point', group: 'Derived', legend: 'Frost Point', hidden: true, dash: [2, 3] },
+            { id: 'rhIce', name: 'Humidity over ice (left strip)', group: 'Derived', legend: 'RH over Ice', hidden: true, dash: [] }
+        ];
+
+        // Preset themes: background and text colours and each styled layer's { color, width, opacity }
+        this.themes = {
+            classic: {
+                name: 'Classic',
+                background: '#ffffff',
+                text: '#1a202c',
+                layers: {
+                    isobars: { color: '#333333', width: 1, opacity: 1 },
+                    isotherms: { color: '#00aa00', width: 1, opacity: 1 },
+                    dryAdiabats: { color: '#ff8c00', width: 1, opacity: 0.4 },
+                    moistAdiabats: { color: '#0064ff', width: 1, opacity: 0.3 },
+                    mixingRatio: { color: '#964b00', width: 1, opacity: 0.3 },
+                    temperature: { color: '#ff0000', width: 2.5, opacity: 1 },
+                    dewpoint: { color: '#00aa00', width: 2.5, opacity: 1 },
+                    windBarbs: { color: '#000000', width: 1.5, opacity: 1 },
+                    parcels: { width: 2, opacity: 1 },
+                    wetBulb: { color: '#0097a7', width: 1.5, opacity: 1 },
+                    virtualTemp: { color: '#ff0000', width: 1.5, opacity: 0.8 },
+                    thetaW: { color: '#805ad5', width: 1.5, opacity: 1 },
+                    frostPoint: { color: '#2f855a', width: 1.5, opacity: 1 },
+                    rhIce: { color: '#3182ce', width: 1.5, opacity: 1 }
+                }
+            },
+            highContrast: {
+                name: 'High contrast',
+                background: '#ffffff',
+                text: '#000000',
+                layers: {
+                    isobars: { color: '#000000', width: 1.5, opacity: 1 },
+                    isotherms: { color: '#006400', width: 1.5, opacity: 1 },
+                    dryAdiabats: { color: '#b35900', width: 1.5, opacity: 0.8 },
+                    moistAdiabats: { color: '#0033cc', width: 1.5, opacity: 0.7 },
+                    mixingRatio: { color: '#663300', width: 1.5, opacity: 0.7 },
+                    temperature: { color: '#d00000', width: 4, opacity: 1 },
+                    dewpoint: { color: '#007a00', width: 4, opacity: 1 },
+                    windBarbs: { color: '#000000', width: 2, opacity: 1 },
+                    parcels: { width: 3, opacity: 1 },
+                    wetBulb: { color: '#006d77', width: 2.5, opacity: 1 },
+                    virtualTemp: { color: '#d00000', width: 2.5, opacity: 1 },
+                    thetaW: { color: '#5b21b6', width: 2.5, opacity: 1 },
+                    frostPoint: { color: '#14532d', width: 2.5, opacity: 1 },
+                    rhIce: { color: '#0033cc', width: 2.5, opacity: 1 }
+                }
+            },
+            dark: {
+                name: 'Dark',
+                background: '#1a202c',
+                text: '#e2e8f0',
+                layers: {
+                    isobars: { color: '#a0aec0', width: 1, opacity: 0.8 },
+                    isotherms: { color: '#68d391', width: 1, opacity: 0.7 },
+                    dryAdiabats: { color: '#f6ad55', width: 1, opacity: 0.45 },
+                    moistAdiabats: { color: '#63b3ed', width: 1, opacity: 0.45 },
+                    mixingRatio: { color: '#d6bcfa', width: 1, opacity: 0.4 },
+                    temperature: { color: '#fc8181', width: 2.5, opacity: 1 },
+                    dewpoint: { color: '#48bb78', width: 2.5, opacity: 1 },
+                    windBarbs: { color: '#e2e8f0', width: 1.5, opacity: 1 },
+                    parcels: { width: 2, opacity: 1 },
+                    wetBulb: { color: '#76e4f7', width: 1.5, opacity: 1 },
+                    virtualTemp: { color: '#fc8181', width: 1.5, opacity: 0.8 },
+                    thetaW: { color: '#b794f4', width: 1.5, opacity: 1 },
+                    frostPoint: { color: '#9ae6b4', width: 1.5, opacity: 1 },
+                    rhIce: { color: '#90cdf4', width: 1.5, opacity: 1 }
+                }
+            },
+            colorBlind: {
+                // Okabe-Ito palette: temperature and dew point stay distinct with red-green colour blindness
+                name: 'Colour-blind safe',
+                background: '#ffffff',
+                text: '#1a202c',
+                layers: {
+                    isobars: { color: '#333333', width: 1, opacity: 1 },
+                    isotherms: { color: '#999999', width: 1, opacity: 1 },
+                    dryAdiabats: { color: '#e69f00', width: 1, opacity: 0.5 },
+                    moistAdiabats: { color: '#56b4e9', width: 1, opacity: 0.5 },
+                    mixingRatio: { color: '#cc79a7', width: 1, opacity: 0.45 },
+                    temperature: { color: '#d55e00', width: 2.5, opacity: 1 },
+                    dewpoint: { color: '#0072b2', width: 2.5, opacity: 1 },
+                    windBarbs: { color: '#000000', width: 1.5, opacity: 1 },
+                    parcels: { width: 2, opacity: 1 },
+                    wetBulb: { color: '#009e73', width: 1.5, opacity: 1 },
+                    virtualTemp: { color: '#d55e00', width: 1.5, opacity: 0.8 },
+                    thetaW: { color: '#cc79a7', width: 1.5, opacity: 1 },
+                    frostPoint: { color: '#0072b2', width: 1.5, opacity: 1 },
+                    rhIce: { color: '#56b4e9', width: 1.5, opacity: 1 }
+                }
+            },
+            print: {
+                name: 'Print',
+                background: '#ffffff',
+                text: '#000000',
+                layers: {
+                    isobars: { color: '#000000', width: 0.75, opacity: 0.8 },
+                    isotherms: { color: '#555555', width: 0.75, opacity: 0.8 },
+                    dryAdiabats: { color: '#777777', width: 0.75, opacity: 0.5 },
+                    moistAdiabats: { color: '#777777', width: 0.75, opacity: 0.4 },
+                    mixingRatio: { color: '#777777', width: 0.75, opacity: 0.4 },
+                    temperature: { color: '#000000', width: 3, opacity: 1 },
+                    dewpoint: { color: '#555555', width: 2, opacity: 1 },
+                    windBarbs: { color: '#000000', width: 1.5, opacity: 1 },
+                    parcels: { width: 1.5, opacity: 1 },
+                    wetBulb: { color: '#333333', width: 1.25, opacity: 1 },
+                    virtualTemp: { color: '#000000', width: 1.25, opacity: 1 },
+                    thetaW: { color: '#555555', width: 1.25, opacity: 1 },
+                    frostPoint: { color: '#555555', width: 1.25, opacity: 1 },
+                    rhIce: { color: '#333333', width: 1.25, opacity: 1 }
+                }
+            }
+        };
+
+        this.storageKey = 'skewt-style';
+        this.customThemesKey = 'skewt-themes';
+
+        // Current style: { theme, background, text, layers }, theme naming the preset or custom theme it
+        // came from (null once changed), and the hidden layers
+        this.settings = this.copyTheme('classic', this.themes.classic);
+        this.hidden = this.defaultHidden();
+        this.loadSettings();
+
+        // Hidden layers chosen by the user, kept apart from a shared link's visibility for the session
+        this.savedHidden = [...this.hidden];
+    }
+
+    /**
+     * Deep copy of a theme as the current style
+     */
+    copyTheme(id, theme) {
+        const layers = {};
+        Object.entries(theme.layers).forEach(([layer, style]) => {
+            layers[layer] = { ...style };
+        });
+        return { theme: id, background: theme.background, text: theme.text, layers };
+    }
+
+    /**
+     * Restore the saved style, falling back to the classic theme
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!saved) return;
+
+            // Layers added since the style was saved take their classic style and default visibility
+            const savedLayers = (saved.settings && saved.settings.layers) || {};
+            if (saved.settings && saved.settings.layers) {
+                const layers = { ...this.themes.classic.layers, ...savedLayers };
+                this.settings = this.copyTheme(saved.settings.theme, { ...saved.settings, layers });
+            }
+            if (Array.isArray(saved.hidden)) {
+                const added = this.defaultHidden().filter(id => !savedLayers[id] && !saved.hidden.includes(id));
+                this.hidden = saved.hidden.filter(id => this.layers.some(layer => layer.id === id)).concat(added);
+            }
+        } catch (error) {
+            console.warn('Could not read diagram style:', error);
+        }
+    }
+
+    /**
+     * Persist the current style and the user's hidden layers
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ settings: this.settings, hidden: this.savedHidden }));
+        } catch (error) {
+            console.warn('Could not save diagram style:', error);
+        }
+    }
+
+    /**
+     * Saved custom themes by name
+     */
+    customThemes() {
+        try {
+            return JSON.parse(localStorage.getItem(this.customThemesKey)) || {};
+        } catch (error) {
+            console.warn('Could not read custom themes:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the current colours, widths and opacities as a custom theme
+     * @returns {boolean} Whether the theme could be stored
+     */
+    saveCustomTheme(name) {
+        const themes = this.customThemes();
+        const { background, text, layers } = this.settings;
+        themes[name] = { name, background, text, layers };
+
+        if (!this.saveCustomThemes(themes)) return false;
+        this.settings.theme = `custom:${name}`;
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Delete a custom theme
+     * @returns {boolean} Whether the change could be stored
+     */
+    deleteCustomTheme(name) {
+        const themes = this.customThemes();
+        delete themes[name];
+        if (!this.saveCustomThemes(themes)) return false;
+
+        if (this.settings.theme === `custom:${name}`) {
+            this.settings.theme = null;
+            this.saveSettings();
+        }
+        return true;
+    }
+
+    /**
+     * Persist the custom themes
+     * @returns {boolean} Whether they could be stored
+     */
+    saveCustomThemes(themes) {
+        try {
+            localStorage.setItem(this.customThemesKey, JSON.stringify(themes));
+            return true;
+        } catch (error) {
+            console.warn('Could not save custom themes:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply a preset ('classic', 'dark', ...) or a custom theme ('custom:<name>'); layer visibility is kept
+     */
+    applyTheme(id) {
+        const theme = id.startsWith('custom:') ? this.customThemes()[id.slice(7)] : this.themes[id];
+        if (!theme) return;
+
+        const layers = { ...this.themes.classic.layers, ...theme.layers };
+        this.settings = this.copyTheme(id, { ...theme, layers });
+        this.saveSettings();
+    }
+
+    /**
+     * Change one style value: a layer's 'color', 'width' or 'opacity', or the 'background' or 'text' colour
+     * @param {string|null} layer - Layer id, null for the background and text colours
+     */
+    set(layer, key, value) {
+        if (layer) {
+            if (!this.settings.layers[layer]) return;
+            this.settings.layers[layer][key] = value;
+        } else {
+            this.settings[key] = value;
+        }
+
+        this.settings.theme = null;
+        this.saveSettings();
+    }
+
+    /**
+     * Show or hide a layer
+     */
+    setVisible(layer, visible) {
+        this.hidden = this.hidden.filter(id => id !== layer);
+        this.savedHidden = this.savedHidden.filter(id => id !== layer);
+        if (!visible) {
+            this.hidden.push(layer);
+            this.savedHidden.push(layer);
+        }
+        this.saveSettings();
+    }
+
+    /**
+     * Layers hidden until shown
+     */
+    defaultHidden() {
+        return this.layers.filter(layer => layer.hidden).map(layer => layer.id);
+    }
+
+    /**
+     * Layers whose visibility differs from the default: { hidden: [shown by default], shown: [hidden by default] }
+     */
+    visibilityChanges() {
+        return {
+            hidden: this.layers.filter(layer => !layer.hidden && !this.visible(layer.id)).map(layer => layer.id),
+            shown: this.layers.filter(layer => layer.hidden && this.visible(layer.id)).map(layer => layer.id)
+        };
+    }
+
+    /**
+     * Return to the default visibility, then hide and show the given layers, for this session only: the
+     * user's saved visibility is left as it was
+     */
+    setVisibilityChanges(hidden = [], shown = []) {
+        this.hidden = this.layers
+            .filter(layer => layer.hidden ? !shown.includes(layer.id) : hidden.includes(layer.id))
+            .map(layer => layer.id);
+    }
+
+    /**
+     * Whether a layer is drawn
+     */
+    visible(layer) {
+        return !this.hidden.includes(layer);
+    }
+
+    /**
+     * Style of a layer: { color, width, opacity }
+     */
+    layer(id) {
+        return this.settings.layers[id];
+    }
+
+    /**
+     * Layer colour as rgba at the layer's opacity, scaled for fainter minor lines
+     */
+    stroke(id, alphaScale = 1) {
+        const { color, opacity } = this.layer(id);
+        return DiagramStyle.rgba(color, opacity * alphaScale);
+    }
+
+    /**
+     * Layer colour for its line labels, more opaque than faint lines so the labels stay readable
+     */
+    labelColor(id) {
+        const { color, opacity } = this.layer(id);
+        return DiagramStyle.rgba(color, Math.min(1, opacity + 0.5));
+    }
+
+    /**
+     * CSS rgba() colour from #rrggbb and an alpha
+     */
+    static rgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${+alpha.toFixed(3)})`;
+    }
+}
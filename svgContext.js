@@ -0,0 +1,232 @@
+/**
+ * Minimal CanvasRenderingContext2D stand-in that records drawing as SVG, used to export diagrams as vector graphics.
+ * Covers the subset of the canvas API used by the diagram renderers.
+ */
+
+class SvgContext {
+    constructor(width, height) {
+        this.canvas = { width, height };
+        this.elements = [];
+        this.clipPaths = [];
+
+        // Drawing state saved and restored with save()/restore()
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.lineDash = [];
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.clipId = null;
+        this.stack = [];
+
+        this.path = '';
+    }
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            lineDash: this.lineDash,
+            transform: [...this.transform],
+            clipId: this.clipId
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    }
+
+    rotate(angle) {
+        const [a, b, c, d, e, f] = this.transform;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+    }
+
+    scale(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * x, b * x, c * y, d * y, e, f];
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    /**
+     * Apply the current transform to a point
+     */
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        const p = this.point(x, y);
+        this.path += `M${this.num(p.x)} ${this.num(p.y)}`;
+    }
+
+    lineTo(x, y) {
+        const p = this.point(x, y);
+        this.path += `L${this.num(p.x)} ${this.num(p.y)}`;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    /**
+     * Circular arc, drawn as SVG arcs split at half turns (uniform scale assumed)
+     */
+    arc(x, y, radius, startAngle, endAngle) {
+        const [a, b] = this.transform;
+        const r = radius * Math.hypot(a, b);
+        const sweep = Math.min(endAngle - startAngle, 2 * Math.PI);
+        const at = (angle) => this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+
+        const start = at(startAngle);
+        this.path += `${this.path ? 'L' : 'M'}${this.num(start.x)} ${this.num(start.y)}`;
+
+        const steps = Math.ceil(sweep / Math.PI);
+        for (let i = 1; i <= steps; i++) {
+            const p = at(startAngle + sweep * i / steps);
+            this.path += `A${this.num(r)} ${this.num(r)} 0 0 1 ${this.num(p.x)} ${this.num(p.y)}`;
+        }
+    }
+
+    stroke() {
+        this.addPath(`fill="none" stroke="${this.strokeStyle}" stroke-width="${this.num(this.lineWidth)}"` +
+            (this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : ''));
+    }
+
+    fill() {
+        this.addPath(`fill="${this.fillStyle}" stroke="none"`);
+    }
+
+    clip() {
+        const id = `clip${this.clipPaths.length + 1}`;
+        this.clipPaths.push(`<clipPath id="${id}"><path d="${this.path}"/></clipPath>`);
+        this.clipId = id;
+    }
+
+    fillRect(x, y, w, h) {
+        const saved = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.fill();
+        this.path = saved;
+    }
+
+    strokeRect(x, y, w, h) {
+        const saved = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.stroke();
+        this.path = saved;
+    }
+
+    /**
+     * Clearing starts a fresh drawing (the renderers clear the whole canvas before painting a background)
+     */
+    clearRect(x, y, w, h) {
+        if (x <= 0 && y <= 0 && w >= this.canvas.width && h >= this.canvas.height) {
+            this.elements = [];
+        }
+    }
+
+    fillText(text, x, y) {
+        const { size, weight, family } = this.parseFont();
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const [a, b, c, d, e, f] = this.transform.map(v => this.num(v));
+
+        const element = `<text x="${this.num(x)}" y="${this.num(y)}" transform="matrix(${a} ${b} ${c} ${d} ${e} ${f})" ` +
+            `font-family="${family}" font-size="${size}" font-weight="${weight}" text-anchor="${anchor}" ` +
+            `fill="${this.fillStyle}">${this.escape(String(text))}</text>`;
+
+        // Clip in a wrapping group so the clip path is not moved by the text transform
+        this.elements.push(this.clipId ? `<g${this.clipAttribute()}>${element}</g>` : element);
+    }
+
+    /**
+     * Approximate text width from the font size
+     */
+    measureText(text) {
+        return { width: String(text).length * this.parseFont().size * 0.55 };
+    }
+
+    /**
+     * Size, weight and family from a CSS font shorthand such as "bold 12px Arial"
+     */
+    parseFont() {
+        const match = this.font.match(/(bold\s+)?(\d+(?:\.\d+)?)px\s+(.+)/);
+        return match
+            ? { weight: match[1] ? 'bold' : 'normal', size: parseFloat(match[2]), family: match[3] }
+            : { weight: 'normal', size: 10, family: 'sans-serif' };
+    }
+
+    /**
+     * Record the current path as an SVG path element
+     */
+    addPath(attributes) {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" ${attributes}${this.clipAttribute()}/>`);
+    }
+
+    /**
+     * clip-path attribute for the active clip region
+     */
+    clipAttribute() {
+        return this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+    }
+
+    /**
+     * Round coordinates to keep the output compact
+     */
+    num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Escape text for XML
+     */
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * The recorded drawing as a standalone SVG document
+     */
+    toString() {
+        const { width, height } = this.canvas;
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `<defs>${this.clipPaths.join('')}</defs>\n` +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Aviation hazard layers from constructed profiles
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { AviationAnalysis } = loadScripts(['thermo.js', 'wind.js', 'aviation.js'], ['AviationAnalysis']);
+
+/**
+ * Levels from [pressure, height, temp, dewpoint] rows, with a light wind
+ */
+function profile(rows) {
+    return rows.map(([pressure, height, temp, dewpoint]) => ({ pressure, height, temp, dewpoint, windDir: 270, windSpeed: 5 }));
+}
+
+const freezingRain = (hazards) => hazards.filter(layer => layer.type === 'Freezing rain or drizzle');
+
+test('freezing rain beneath a saturated warm nose', () => {
+    const hazards = new AviationAnalysis().analyze(profile([
+        [1000, 100, -3, -4],
+        [950, 500, -2, -3],
+        [900, 1000, 3, 2.5],
+        [850, 1500, 2, 1.5],
+        [800, 2000, -4, -5],
+        [700, 3000, -10, -25]
+    ]));
+
+    const layers = freezingRain(hazards);
+    assert.strictEqual(layers.length, 1);
+    assert.strictEqual(layers[0].severity, 'severe');
+    assert.strictEqual(layers[0].base, 100);
+    assert.strictEqual(layers[0].top, 500);
+});
+
+test('freezing rain from cloud directly above a dry warm nose', () => {
+    const hazards = new AviationAnalysis().analyze(profile([
+        [1000, 100, -3, -6],
+        [900, 1000, 2, -8],
+        [850, 1500, -1, -2],
+        [700, 3000, -10, -25]
+    ]));
+
+    assert.strictEqual(freezingRain(hazards).length, 1);
+});
+
+test('no freezing rain under a dry warm layer with only distant cirrus', () => {
+    // Clear frosty morning: -3°C at the surface, a dry +4°C layer and thin cirrus at 9 km
+    const hazards = new AviationAnalysis().analyze(profile([
+        [1000, 100, -3, -8],
+        [950, 500, -2, -10],
+        [900, 1000, 4, -12],
+        [850, 1500, 1, -15],
+        [700, 3000, -8, -25],
+        [500, 5600, -25, -40],
+        [350, 8100, -42, -60],
+        [300, 9000, -48, -51],
+        [250, 10300, -52, -70]
+    ]));
+
+    assert.strictEqual(freezingRain(hazards).length, 0);
+    assert.ok(hazards.some(layer => layer.hazard === 'cloud' && layer.base === 9000), 'cirrus still reported as cloud');
+});
+
+test('no freezing rain without a sub-zero layer beneath the warm air', () => {
+    const hazards = new AviationAnalysis().analyze(profile([
+        [1000, 100, 5, 4],
+        [900, 1000, 3, 2.5],
+        [800, 2000, -4, -5]
+    ]));
+
+    assert.strictEqual(freezingRain(hazards).length, 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Model forecast formats (BUFKIT and Open-Meteo JSON) parsed from local fixture files
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture } = require('./helpers');
+
+const { SoundingDataParser, KNOTS_TO_MS } = loadScripts(['thermo.js', 'dataParser.js'], ['SoundingDataParser', 'KNOTS_TO_MS']);
+
+// Arrays made inside the scripts' context belong to another realm, so they are copied with Array.from
+// before deep comparison. The parser logs the errors it returns; keep the test output clean
+console.error = () => {};
+
+test('BUFKIT: detects the format and reads every forecast hour', () => {
+    const result = new SoundingDataParser().parse(readFixture('kden.buf'));
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.format, 'bufkit');
+    assert.strictEqual(result.errors.length, 0);
+    assert.strictEqual(result.forecast.runTime, '2025-06-15 12Z');
+    assert.deepStrictEqual(Array.from(result.forecast.steps.map(step => step.forecastHour)), [0, 3]);
+    assert.deepStrictEqual(Array.from(result.forecast.steps.map(step => step.data.length)), [4, 4]);
+});
+
+test('BUFKIT: station metadata and level values from wrapped rows', () => {
+    const result = new SoundingDataParser().parse(readFixture('kden.buf'));
+    const surface = result.data[0];
+
+    assert.strictEqual(result.metadata.station, 'KDEN');
+    assert.strictEqual(result.metadata.latitude, 39.87);
+    assert.strictEqual(result.metadata.longitude, -104.67);
+    assert.strictEqual(result.metadata.elevation, 1640);
+
+    assert.strictEqual(surface.pressure, 838.3);
+    assert.strictEqual(surface.height, 1640);
+    assert.strictEqual(surface.temp, 18.45);
+    assert.strictEqual(surface.dewpoint, 3.75);
+    assert.strictEqual(surface.windDir, 160);
+    assert.ok(Math.abs(surface.windSpeed - 10 * KNOTS_TO_MS) < 1e-9, 'SKNT converted to m/s');
+    assert.deepStrictEqual(Array.from(result.data.map(row => row.pressure)), [838.3, 700, 500, 300]);
+});
+
+test('BUFKIT: forecastHour selects the current profile', () => {
+    const result = new SoundingDataParser().parse(readFixture('kden.buf'), { forecastHour: 3 });
+
+    assert.strictEqual(result.data[0].temp, 24.1);
+    assert.strictEqual(result.metadata.observationTime, '2025-06-15 15Z (+3h)');
+});
+
+test('BUFKIT: a file without SNPARM is a parse error, not an exception', () => {
+    const text = readFixture('kden.buf').replace(/^SNPARM.*$/m, '');
+    const result = new SoundingDataParser().parse(text, { format: 'bufkit' });
+
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /No SNPARM line/);
+});
+
+test('Open-Meteo: detects the format and reads every forecast hour', () => {
+    const result = new SoundingDataParser().parse(readFixture('open-meteo.json'));
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.format, 'open-meteo');
+    assert.strictEqual(result.forecast.runTime, '2025-06-15 12Z');
+    assert.deepStrictEqual(Array.from(result.forecast.steps.map(step => step.forecastHour)), [0, 1]);
+    assert.strictEqual(result.metadata.latitude, 50.25);
+    assert.strictEqual(result.metadata.elevation, 482);
+});
+
+test('Open-Meteo: surface first, levels below ground dropped, wind in m/s', () => {
+    const result = new SoundingDataParser().parse(readFixture('open-meteo.json'));
+    const [surface, l850] = result.data;
+
+    // 1000 hPa lies below the 955 hPa surface
+    assert.deepStrictEqual(Array.from(result.data.map(row => row.pressure)), [955, 850, 700, 500]);
+    assert.strictEqual(surface.height, 482);
+    assert.strictEqual(surface.dewpoint, 6);
+    assert.ok(Math.abs(surface.windSpeed - 2) < 1e-9, '7.2 km/h is 2 m/s');
+    assert.strictEqual(l850.height, 1500);
+    assert.ok(Math.abs(l850.windSpeed - 5) < 1e-9, '18 km/h is 5 m/s');
+});
+
+test('Open-Meteo: dew point from relative humidity, NaN where it is missing', () => {
+    const result = new SoundingDataParser().parse(readFixture('open-meteo.json'), { forecastHour: 1 });
+    const l850 = result.data.find(row => row.pressure === 850);
+    const l500 = result.data.find(row => row.pressure === 500);
+
+    // 48% at 9.1°C is a dew point near -1.3°C
+    assert.ok(Math.abs(l850.dewpoint - -1.34) < 0.1, `850 hPa dew point ${l850.dewpoint}`);
+    assert.ok(Number.isNaN(l500.dewpoint));
+    assert.strictEqual(l500.temp, -17.6);
+});
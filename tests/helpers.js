@@ -0,0 +1,29 @@
+/**
+ * Test helpers: the app's scripts are plain browser scripts sharing one global scope, so they are run
+ * together in a fresh context and the classes the tests need are read back from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run scripts from the repository root, in order, and return the named globals
+ * @param {Array} files - Script names as loaded by index.html, dependencies first
+ * @param {Array} names - Classes and constants to return
+ */
+function loadScripts(files, names) {
+    const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    return vm.runInNewContext(`${source}\n;({ ${names.join(', ')} })`, { console });
+}
+
+/**
+ * Contents of a file in tests/fixtures
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadScripts, readFixture };
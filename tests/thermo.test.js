@@ -0,0 +1,77 @@
+/**
+ * Thermodynamic library against published reference values
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { Thermo } = loadScripts(['thermo.js'], ['Thermo']);
+
+/**
+ * Assert that actual is within tolerance of expected
+ */
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('saturation vapour pressure matches the Smithsonian tables over water within 0.3%', () => {
+    // Smithsonian Meteorological Tables (List 1951), saturation over a plane water surface (hPa); the tables
+    // use the Goff-Gratch formula, which Bolton's (1980) fit follows to within 0.3% from -20 to 40°C
+    const table = [
+        [-20, 1.2540], [-10, 2.8627], [0, 6.1078], [10, 12.272],
+        [20, 23.373], [30, 42.430], [40, 73.777]
+    ];
+
+    table.forEach(([tC, es]) => {
+        assertClose(Thermo.saturationVaporPressure(tC), es, es * 0.003, `es at ${tC}°C`);
+    });
+});
+
+test('LCL temperature and pressure match the exact saturation point', () => {
+    // Parcel at 1000 hPa, 30°C, dew point 20°C: the LCL found by iterating the dry adiabat to saturation
+    // is 864.8 hPa, 17.68°C; Bolton (1980) eq. 15 is accurate to 0.1 K
+    const lcl = Thermo.lcl(30, 20, 1000);
+
+    assertClose(lcl.temp, 17.68, 0.1, 'LCL temperature');
+    assertClose(lcl.pressure, 864.8, 0.5, 'LCL pressure');
+});
+
+test('LCL of a saturated parcel is the parcel itself', () => {
+    const lcl = Thermo.lcl(15, 15, 900);
+
+    assertClose(lcl.temp, 15, 1e-9, 'LCL temperature');
+    assertClose(lcl.pressure, 900, 1e-6, 'LCL pressure');
+});
+
+test('pseudoadiabat from 1000 hPa, 293 K matches reference temperatures', () => {
+    // Pseudoadiabatic ascent of a saturated parcel from 1000 hPa at 293 K (K), as tabulated in the MetPy
+    // moist_lapse reference values
+    const pressures = [800, 600, 500, 400];
+    const expected = [284.64, 272.81, 264.42, 252.91];
+    const tC = 293 - 273.15;
+
+    const adiabat = Thermo.moistAdiabat(tC, pressures);
+    pressures.forEach((p, i) => {
+        assertClose(adiabat[i] + 273.15, expected[i], 0.2, `moistAdiabat at ${p} hPa`);
+        assertClose(Thermo.liftMoist(tC, 1000, p) + 273.15, expected[i], 0.2, `liftMoist to ${p} hPa`);
+    });
+});
+
+test('liftMoist returns to the starting temperature when lowered back down', () => {
+    const t500 = Thermo.liftMoist(20, 1000, 500);
+    assertClose(Thermo.liftMoist(t500, 500, 1000), 20, 0.01, 'round trip');
+});
+
+test('equivalent potential temperature matches Bolton (1980) reference value', () => {
+    // 1000 hPa, 293 K, dew point 280 K: theta-e 311.19 K by Bolton (1980) eq. 43 (MetPy reference value)
+    const thetaE = Thermo.equivalentPotentialTemperature(293 - 273.15, 1000, 280 - 273.15);
+    assertClose(thetaE, 311.19, 0.1, 'theta-e');
+});
+
+test('equivalent potential temperature of dry air is the potential temperature', () => {
+    // A very dry parcel has almost no latent heat to add
+    const theta = Thermo.potentialTemperature(20, 850);
+    assertClose(Thermo.equivalentPotentialTemperature(20, 850, -80), theta, 0.05, 'theta-e of dry air');
+});
@@ -0,0 +1,204 @@
+/**
+ * Thermodynamic library shared by the diagram background lines, parcel and index calculations
+ */
+
+// Physical constants (SI units)
+const THERMO_CONSTANTS = Object.freeze({
+    Rd: 287.04,         // Gas constant for dry air (J/kg/K)
+    Rv: 461.5,          // Gas constant for water vapour (J/kg/K)
+    Cpd: 1005.7,        // Specific heat of dry air at constant pressure (J/kg/K)
+    Lv: 2.501e6,        // Latent heat of vaporization (J/kg)
+    g: 9.80665,         // Gravitational acceleration (m/s²)
+    epsilon: 0.622,     // Rd / Rv
+    kappa: 0.2857,      // Rd / Cpd
+    zeroC: 273.15       // 0°C in Kelvin
+});
+
+class Thermo {
+    /**
+     * Saturation vapor pressure over water (hPa), Bolton (1980)
+     * @param {number} tC - Temperature in Celsius
+     */
+    static saturationVaporPressure(tC) {
+        return 6.112 * Math.exp(17.67 * tC / (tC + 243.5));
+    }
+
+    /**
+     * Saturation vapor pressure over ice (hPa), Magnus form of Alduchov and Eskridge (1996)
+     * @param {number} tC - Temperature in Celsius
+     */
+    static saturationVaporPressureIce(tC) {
+        return 6.1121 * Math.exp(22.587 * tC / (tC + 273.86));
+    }
+
+    /**
+     * Mixing ratio (g/kg) from vapor pressure and total pressure (hPa)
+     */
+    static mixingRatio(e, p) {
+        return 1000 * THERMO_CONSTANTS.epsilon * e / (p - e);
+    }
+
+    /**
+     * Saturation mixing ratio (g/kg) at temperature (C) and pressure (hPa)
+     */
+    static saturationMixingRatio(tC, p) {
+        return this.mixingRatio(this.saturationVaporPressure(tC), p);
+    }
+
+    /**
+     * Vapor pressure (hPa) from mixing ratio (g/kg) and pressure (hPa)
+     */
+    static vaporPressure(w, p) {
+        const r = w / 1000;
+        return r * p / (THERMO_CONSTANTS.epsilon + r);
+    }
+
+    /**
+     * Dewpoint (C) from vapor pressure (hPa), inverse of the Bolton formula
+     */
+    static dewpointFromVaporPressure(e) {
+        const ln = Math.log(e / 6.112);
+        return 243.5 * ln / (17.67 - ln);
+    }
+
+    /**
+     * Frost point (C) from vapor pressure (hPa), inverse of saturationVaporPressureIce
+     */
+    static frostPointFromVaporPressure(e) {
+        const ln = Math.log(e / 6.1121);
+        return 273.86 * ln / (22.587 - ln);
+    }
+
+    /**
+     * Dewpoint (C) from mixing ratio (g/kg) and pressure (hPa)
+     */
+    static dewpointFromMixingRatio(w, p) {
+        return this.dewpointFromVaporPressure(this.vaporPressure(w, p));
+    }
+
+    /**
+     * Potential temperature (K) from temperature (C) and pressure (hPa)
+     */
+    static potentialTemperature(tC, p) {
+        return (tC + THERMO_CONSTANTS.zeroC) * Math.pow(1000 / p, THERMO_CONSTANTS.kappa);
+    }
+
+    /**
+     * Temperature (C) on the dry adiabat with potential temperature theta (K) at pressure p (hPa)
+     */
+    static temperatureFromTheta(theta, p) {
+        return theta * Math.pow(p / 1000, THERMO_CONSTANTS.kappa) - THERMO_CONSTANTS.zeroC;
+    }
+
+    /**
+     * Virtual temperature (C). Falls back to the dry temperature when dewpoint is missing.
+     */
+    static virtualTemperature(tC, p, tdC) {
+        if (tdC === undefined || isNaN(tdC)) return tC;
+
+        const r = this.mixingRatio(this.saturationVaporPressure(tdC), p) / 1000;
+        const tK = tC + THERMO_CONSTANTS.zeroC;
+        return tK * (1 + r / THERMO_CONSTANTS.epsilon) / (1 + r) - THERMO_CONSTANTS.zeroC;
+    }
+
+    /**
+     * Lifting condensation level of a parcel
+     * Temperature from Bolton (1980) eq. 15, pressure from conservation of theta.
+     * @returns {object} { pressure (hPa), temp (C) }
+     */
+    static lcl(tC, tdC, p) {
+        const tK = tC + THERMO_CONSTANTS.zeroC;
+        const tdK = tdC + THERMO_CONSTANTS.zeroC;
+        const tLclK = 1 / (1 / (tdK - 56) + Math.log(tK / tdK) / 800) + 56;
+
+        const theta = this.potentialTemperature(tC, p);
+        const pLcl = 1000 * Math.pow(tLclK / theta, 1 / THERMO_CONSTANTS.kappa);
+
+        return {
+            pressure: pLcl,
+            temp: tLclK - THERMO_CONSTANTS.zeroC
+        };
+    }
+
+    /**
+     * Pseudoadiabatic lapse rate dT/dp (K/hPa) for a saturated parcel
+     */
+    static moistLapseRate(tC, p) {
+        const { Rd, Cpd, Lv, epsilon, zeroC } = THERMO_CONSTANTS;
+        const tK = tC + zeroC;
+        const rs = this.saturationMixingRatio(tC, p) / 1000;
+
+        const numerator = Rd * tK + Lv * rs;
+        const denominator = Cpd + (Lv * Lv * rs * epsilon) / (Rd * tK * tK);
+
+        return numerator / denominator / p;
+    }
+
+    /**
+     * Follow a saturated parcel from pStart to pEnd (hPa) along the pseudoadiabat, returns temperature (C)
+     */
+    static liftMoist(tC, pStart, pEnd, step = 5) {
+        let t = tC;
+        let p = pStart;
+        const direction = pEnd < pStart ? -1 : 1;
+
+        while ((pEnd - p) * direction > 0) {
+            const dp = direction * Math.min(step, Math.abs(pEnd - p));
+
+            // Fourth-order Runge-Kutta step
+            const k1 = this.moistLapseRate(t, p);
+            const k2 = this.moistLapseRate(t + k1 * dp / 2, p + dp / 2);
+            const k3 = this.moistLapseRate(t + k2 * dp / 2, p + dp / 2);
+            const k4 = this.moistLapseRate(t + k3 * dp, p + dp);
+            t += (k1 + 2 * k2 + 2 * k3 + k4) * dp / 6;
+            p += dp;
+        }
+
+        return t;
+    }
+
+    /**
+     * Temperatures (C) along the pseudoadiabat with wet-bulb potential temperature thetaW (C)
+     * @param {number} thetaW - Temperature of the pseudoadiabat at 1000 hPa
+     * @param {Array} pressures - Pressures (hPa) in descending order
+     */
+    static moistAdiabat(thetaW, pressures) {
+        let t = thetaW;
+        let p = 1000;
+
+        return pressures.map(level => {
+            t = this.liftMoist(t, p, level);
+            p = level;
+            return t;
+        });
+    }
+
+    /**
+     * Wet-bulb potential temperature (C): the pseudoadiabat through the parcel's LCL, taken to 1000 hPa
+     */
+    static wetBulbPotentialTemperature(tC, tdC, p) {
+        const lcl = this.lcl(tC, tdC, p);
+        return this.liftMoist(lcl.temp, lcl.pressure, 1000);
+    }
+
+    /**
+     * Wet-bulb temperature (C) by Normand's rule: lift to the LCL, then descend moist adiabatically
+     */
+    static wetBulbTemperature(tC, tdC, p) {
+        const lcl = this.lcl(tC, tdC, p);
+        return this.liftMoist(lcl.temp, lcl.pressure, p);
+    }
+
+    /**
+     * Equivalent potential temperature (K), Bolton (1980) eq. 43
+     */
+    static equivalentPotentialTemperature(tC, p, tdC) {
+        const { zeroC } = THERMO_CONSTANTS;
+        const tK = tC + zeroC;
+        const tLclK = this.lcl(tC, tdC, p).temp + zeroC;
+        const r = this.saturationMixingRatio(tdC, p);
+
+        const thetaDL = tK * Math.pow(1000 / p, 0.2854 * (1 - 0.28e-3 * r));
+        return thetaDL * Math.exp((3.376 / tLclK - 0.00254) * r * (1 + 0.81e-3 * r));
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Display units: temperature, wind speed, height and pressure chosen by the user.
+ * Soundings are always held in °C, m/s, m and hPa; values are converted only for display and export.
+ */
+
+class UnitSystem {
+    constructor() {
+        // Units of each quantity: label, conversion from the stored unit and decimals shown
+        this.definitions = {
+            temperature: {
+                C: { name: 'Celsius', label: '°C', factor: 1, offset: 0, decimals: 1 },
+                F: { name: 'Fahrenheit', label: '°F', factor: 9 / 5, offset: 32, decimals: 1 }
+            },
+            wind: {
+                kt: { name: 'Knots', label: 'kt', factor: 1 / KNOTS_TO_MS, offset: 0, decimals: 0 },
+                kmh: { name: 'km/h', label: 'km/h', factor: 3.6, offset: 0, decimals: 0 },
+                ms: { name: 'm/s', label: 'm/s', factor: 1, offset: 0, decimals: 1 },
+                mph: { name: 'mph', label: 'mph', factor: 2.236936, offset: 0, decimals: 0 }
+            },
+            height: {
+                m: { name: 'Metres', label: 'm', factor: 1, offset: 0, decimals: 0 },
+                ft: { name: 'Feet', label: 'ft', factor: 3.280840, offset: 0, decimals: 0 }
+            },
+            pressure: {
+                hPa: { name: 'hPa', label: 'hPa', factor: 1, offset: 0, decimals: 0 },
+                inHg: { name: 'inHg', label: 'inHg', factor: 0.02952999, offset: 0, decimals: 2 }
+            }
+        };
+
+        // Wind barb increments (half barb, full barb, pennant) in each wind unit
+        this.barbIncrements = {
+            kt: { half: 5, full: 10, pennant: 50 },
+            kmh: { half: 5, full: 10, pennant: 50 },
+            ms: { half: 2.5, full: 5, pennant: 25 },
+            mph: { half: 5, full: 10, pennant: 50 }
+        };
+
+        this.defaults = { temperature: 'C', wind: 'kmh', height: 'm', pressure: 'hPa' };
+        this.storageKey = 'skewt-units';
+        this.settings = this.loadSettings();
+
+        // Choices made by the user, kept apart from units applied for the session by a shared link
+        this.saved = { ...this.settings };
+    }
+
+    /**
+     * Saved unit choices, falling back to the defaults for missing or unknown entries
+     */
+    loadSettings() {
+        const settings = { ...this.defaults };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            Object.keys(settings).forEach(quantity => {
+                if (this.definitions[quantity][saved[quantity]]) settings[quantity] = saved[quantity];
+            });
+        } catch (error) {
+            console.warn('Could not read unit settings:', error);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Persist the user's unit choices
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.warn('Could not save unit settings:', error);
+        }
+    }
+
+    /**
+     * Choose the unit of a quantity ('temperature', 'wind', 'height' or 'pressure')
+     */
+    set(quantity, unit) {
+        if (!this.definitions[quantity] || !this.definitions[quantity][unit]) return;
+
+        this.settings[quantity] = unit;
+        this.saved[quantity] = unit;
+        this.saveSettings();
+    }
+
+    /**
+     * Use a link's units for this session without saving them over the user's choices
+     * @param {object} settings - Units by quantity; unknown quantities and units are ignored
+     */
+    override(settings) {
+        Object.entries(settings).forEach(([quantity, unit]) => {
+            if (this.definitions[quantity] && this.definitions[quantity][unit]) this.settings[quantity] = unit;
+        });
+    }
+
+    /**
+     * Definition of the current unit of a quantity
+     */
+    unit(quantity) {
+        return this.definitions[quantity][this.settings[quantity]];
+    }
+
+    /**
+     * Label of the current unit, e.g. '°F' or 'kt'
+     */
+    label(quantity) {
+        return this.unit(quantity).label;
+    }
+
+    /**
+     * Stored value (°C, m/s, m, hPa) in the current unit
+     */
+    convert(quantity, value) {
+        const unit = this.unit(quantity);
+        return value * unit.factor + unit.offset;
+    }
+
+    /**
+     * Value in the current unit back to the stored unit
+     */
+    toBase(quantity, value) {
+        const unit = this.unit(quantity);
+        return (value - unit.offset) / unit.factor;
+    }
+
+    /**
+     * Temperature difference (°C) in the current unit, without the scale offset
+     */
+    convertDelta(value) {
+        return value * this.unit('temperature').factor;
+    }
+
+    /**
+     * Stored value formatted with the current unit, or 'N/A' when missing
+     * @param {number} decimals - Overrides the unit's usual number of decimals
+     */
+    format(quantity, value, decimals = this.unit(quantity).decimals) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+
+        const unit = this.unit(quantity);
+        const text = this.convert(quantity, value).toFixed(decimals);
+        return unit.label.startsWith('°') ? `${text}${unit.label}` : `${text} ${unit.label}`;
+    }
+
+    /**
+     * Barb increments for the current wind unit
+     */
+    barbs() {
+        return this.barbIncrements[this.settings.wind];
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Shareable links: the view state (sounding, source, zoom, units, overlays and comparison set)
+ * encoded in the page's query string and read back from it
+ */
+
+// Order of the quantities in the units parameter, e.g. units=F,kt,ft,inHg
+const LINK_UNIT_ORDER = ['temperature', 'wind', 'height', 'pressure'];
+
+class ViewLink {
+    /**
+     * Query string for a view state; settings left at their defaults are omitted
+     * @param {object} state - { station, date, hour, forecast: { lat, lon, step }, source,
+     *     zoom: { hMin, hMax, tMin, tMax }, vertical, parcel, qc, maxTemp, compareMode,
+     *     compare: [{ station, date, hour }], units: { temperature, wind, height, pressure },
+     *     hidden: [layers shown by default], shown: [layers hidden by default] }
+     */
+    static encode(state) {
+        const params = new URLSearchParams();
+        const round = (value, decimals) => +value.toFixed(decimals);
+
+        if (state.forecast) {
+            params.set('lat', round(state.forecast.lat, 4));
+            params.set('lon', round(state.forecast.lon, 4));
+            if (state.forecast.step > 0) params.set('fh', state.forecast.step);
+        } else if (state.station && state.date) {
+            params.set('station', state.station);
+            params.set('date', state.date);
+            params.set('hour', state.hour);
+        }
+
+        if (state.source && state.source !== 'auto') params.set('source', state.source);
+
+        if (state.zoom) {
+            const { hMin, hMax, tMin, tMax } = state.zoom;
+            params.set('zoom', [round(hMin, 0), round(hMax, 0), round(tMin, 1), round(tMax, 1)].join(','));
+        }
+
+        if (state.vertical && state.vertical !== 'height') params.set('vertical', state.vertical);
+        if (state.parcel && state.parcel !== 'sb') params.set('parcel', state.parcel);
+        if (state.qc && state.qc !== 'mark') params.set('qc', state.qc);
+        if (state.maxTemp !== undefined && state.maxTemp !== null && !isNaN(state.maxTemp)) {
+            params.set('soaring', round(state.maxTemp, 1));
+        }
+
+        if (state.units) {
+            params.set('units', LINK_UNIT_ORDER.map(quantity => state.units[quantity]).join(','));
+        }
+        if (state.hidden && state.hidden.length > 0) params.set('hide', state.hidden.join(','));
+        if (state.shown && state.shown.length > 0) params.set('show', state.shown.join(','));
+
+        if (state.compare && state.compare.length > 0) {
+            params.set('compare', state.compare.map(({ station, date, hour }) => `${station}_${date}_${hour}`).join(','));
+            if (state.compareMode && state.compareMode !== 'overlay') params.set('view', state.compareMode);
+        }
+
+        // Keep the list separators readable in the address bar
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    /**
+     * View state from a query string; malformed values are left out
+     */
+    static decode(search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+        const number = (name) => {
+            const value = parseFloat(params.get(name));
+            return isFinite(value) ? value : null;
+        };
+        const validDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date);
+        const validHour = (hour) => /^\d{2}$/.test(hour);
+
+        const lat = number('lat');
+        const lon = number('lon');
+        if (lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            state.forecast = { lat, lon, step: Math.max(0, Math.round(number('fh') || 0)) };
+        }
+
+        if (params.get('station')) state.station = params.get('station').trim();
+        if (validDate(params.get('date'))) state.date = params.get('date');
+        if (validHour(params.get('hour'))) state.hour = params.get('hour');
+        if (params.get('source')) state.source = params.get('source');
+
+        const zoom = (params.get('zoom') || '').split(',').map(parseFloat);
+        if (zoom.length === 4 && zoom.every(isFinite) && zoom[0] < zoom[1] && zoom[2] < zoom[3]) {
+            state.zoom = { hMin: zoom[0], hMax: zoom[1], tMin: zoom[2], tMax: zoom[3] };
+        }
+
+        ['vertical', 'parcel', 'qc'].forEach(name => {
+            if (params.get(name)) state[name] = params.get(name);
+        });
+        if (number('soaring') !== null) state.maxTemp = number('soaring');
+
+        const units = (params.get('units') || '').split(',');
+        if (units.length === LINK_UNIT_ORDER.length) {
+            state.units = {};
+            LINK_UNIT_ORDER.forEach((quantity, i) => {
+                state.units[quantity] = units[i];
+            });
+        }
+        const layers = (name) => params.get(name).split(',').filter(id => /^\w+$/.test(id));
+        if (params.get('hide')) state.hidden = layers('hide');
+        if (params.get('show')) state.shown = layers('show');
+
+        if (params.get('compare')) {
+            state.compare = params.get('compare').split(',')
+                .map(item => {
+                    const [station, date, hour] = item.split('_');
+                    return { station, date, hour };
+                })
+                .filter(({ station, date, hour }) => station && validDate(date) && validHour(hour));
+        }
+        if (params.get('view')) state.compareMode = params.get('view');
+
+        return state;
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Wind profile analysis: storm motion, bulk shear and storm-relative helicity
+ */
+
+class WindAnalysis {
+    constructor() {
+        // Bunkers (2000) deviation from the mean wind (m/s)
+        this.bunkersDeviation = 7.5;
+    }
+
+    /**
+     * Analyze the wind profile
+     * @param {Array} data - Rows produced by SoundingDataParser.parse()
+     * @returns {object|null} { profile, meanWind, rightMover, leftMover, shear01, shear06, srh01, srh03 }
+     *     Wind vectors are { u, v } in m/s; profile points also carry pressure, height and heightAGL.
+     */
+    analyze(data) {
+        const profile = this.windProfile(data);
+        if (profile.length < 2) return null;
+
+        const result = {
+            profile,
+            meanWind: null,
+            rightMover: null,
+            leftMover: null,
+            shear01: this.bulkShear(profile, 0, 1000),
+            shear06: this.bulkShear(profile, 0, 6000),
+            srh01: null,
+            srh03: null
+        };
+
+        const motion = this.bunkersMotion(profile);
+        if (motion) {
+            Object.assign(result, motion);
+            result.srh01 = this.helicity(profile, 1000, motion.rightMover);
+            result.srh03 = this.helicity(profile, 3000, motion.rightMover);
+        }
+
+        return result;
+    }
+
+    /**
+     * Levels with wind as u/v components, ordered upward, heights above the lowest level
+     */
+    windProfile(data) {
+        if (!data) return [];
+
+        const rows = data
+            .filter(row => !isNaN(row.height) && !isNaN(row.windDir) && !isNaN(row.windSpeed))
+            .sort((a, b) => a.height - b.height);
+        if (rows.length === 0) return [];
+
+        const surfaceHeight = rows[0].height;
+
+        return rows.map(row => ({
+            pressure: row.pressure,
+            height: row.height,
+            heightAGL: row.height - surfaceHeight,
+            ...WindAnalysis.toComponents(row.windDir, row.windSpeed)
+        }));
+    }
+
+    /**
+     * Wind at a height above ground, interpolated linearly in height
+     */
+    windAt(profile, heightAGL) {
+        for (let i = 0; i < profile.length - 1; i++) {
+            const lower = profile[i];
+            const upper = profile[i + 1];
+
+            if (lower.heightAGL <= heightAGL && upper.heightAGL >= heightAGL) {
+                const ratio = upper.heightAGL === lower.heightAGL
+                    ? 0
+                    : (heightAGL - lower.heightAGL) / (upper.heightAGL - lower.heightAGL);
+
+                return {
+                    u: lower.u + ratio * (upper.u - lower.u),
+                    v: lower.v + ratio * (upper.v - lower.v)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Mean wind over a layer, sampled every 250 m (non-pressure-weighted)
+     */
+    meanWind(profile, bottom, top) {
+        let u = 0;
+        let v = 0;
+        let count = 0;
+
+        for (let h = bottom; h <= top; h += 250) {
+            const wind = this.windAt(profile, h);
+            if (!wind) return null;
+
+            u += wind.u;
+            v += wind.v;
+            count++;
+        }
+
+        return { u: u / count, v: v / count };
+    }
+
+    /**
+     * Bulk wind difference between two heights above ground
+     * @returns {object|null} { u, v, magnitude }
+     */
+    bulkShear(profile, bottom, top) {
+        const lower = this.windAt(profile, bottom);
+        const upper = this.windAt(profile, top);
+        if (!lower || !upper) return null;
+
+        const u = upper.u - lower.u;
+        const v = upper.v - lower.v;
+        return { u, v, magnitude: Math.sqrt(u * u + v * v) };
+    }
+
+    /**
+     * Bunkers (2000) internal dynamics storm motion for right- and left-moving supercells
+     */
+    bunkersMotion(profile) {
+        const mean = this.meanWind(profile, 0, 6000);
+        const low = this.meanWind(profile, 0, 500);
+        const high = this.meanWind(profile, 5500, 6000);
+        if (!mean || !low || !high) return null;
+
+        const shearU = high.u - low.u;
+        const shearV = high.v - low.v;
+        const shearMag = Math.sqrt(shearU * shearU + shearV * shearV);
+        if (shearMag === 0) {
+            return { meanWind: mean, rightMover: mean, leftMover: mean };
+        }
+
+        // Deviation perpendicular to the shear vector
+        const du = this.bunkersDeviation * shearV / shearMag;
+        const dv = -this.bunkersDeviation * shearU / shearMag;
+
+        return {
+            meanWind: mean,
+            rightMover: { u: mean.u + du, v: mean.v + dv },
+            leftMover: { u: mean.u - du, v: mean.v - dv }
+        };
+    }
+
+    /**
+     * Storm-relative helicity (m²/s²) from the surface to a height above ground
+     */
+    helicity(profile, top, storm) {
+        const levels = profile.filter(pt => pt.heightAGL < top);
+        const topWind = this.windAt(profile, top);
+        if (!topWind) return null;
+        levels.push({ heightAGL: top, ...topWind });
+
+        let srh = 0;
+        for (let i = 0; i < levels.length - 1; i++) {
+            const sru1 = levels[i].u - storm.u;
+            const srv1 = levels[i].v - storm.v;
+            const sru2 = levels[i + 1].u - storm.u;
+            const srv2 = levels[i + 1].v - storm.v;
+
+            srh += sru2 * srv1 - sru1 * srv2;
+        }
+
+        return srh;
+    }
+
+    /**
+     * Wind components (m/s) from meteorological direction (deg) and speed
+     */
+    static toComponents(direction, speed) {
+        const angle = direction * Math.PI / 180;
+        return {
+            u: -speed * Math.sin(angle),
+            v: -speed * Math.cos(angle)
+        };
+    }
+
+    /**
+     * Meteorological direction (deg, blowing from) and speed from wind components
+     */
+    static toDirectionSpeed(u, v) {
+        return {
+            direction: (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360,
+            speed: Math.sqrt(u * u + v * v)
+        };
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Wind barb drawing shared by the Skew-T and the time-height section
+ */
+
+class WindBarb {
+    /**
+     * Draw one wind barb with its staff from (x, y) toward the direction the wind comes from
+     * - Calm (below half a half barb): circle
+     * - Half barb, full barb and pennant from increments, e.g. 5, 10 and 50 kt (UnitSystem.barbs())
+     * @param {number} speed - Wind speed in the unit of the increments
+     * @param {object} options - { length (px staff), increments: { half, full, pennant }, color, width (px line) }
+     */
+    static draw(ctx, x, y, direction, speed, { length, increments, color, width = 1.5 }) {
+        const { half, full, pennant } = increments;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = width;
+
+        // Barb staff points toward where wind is coming FROM
+        // Direction is in meteorological convention (where wind comes from)
+        const angle = direction * Math.PI / 180;
+
+        const flagWidth = length / 3;
+
+        // Pennant and barb spacing scale with the staff (drawn for a 30 px staff)
+        const scale = length / 30;
+
+        // Calm winds (rounds to no barb)
+        if (speed < half / 2) {
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.restore();
+            return;
+        }
+
+        // Draw main staff
+        const staffEndX = x + Math.sin(angle) * length;
+        const staffEndY = y - Math.cos(angle) * length;
+
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(staffEndX, staffEndY);
+        ctx.stroke();
+
+        // Draw flags/barbs, rounding the speed to the nearest half barb
+
+        let currentSpeed = speed;
+        let currentDist = length;
+
+        // Barbs extend to the right of staff (clockwise, -90 degrees)
+        const perpAngle = angle - Math.PI / 2;
+
+        // Pennants
+        while (currentSpeed >= pennant - half / 2) {
+            const x1 = x + Math.sin(angle) * currentDist;
+            const y1 = y - Math.cos(angle) * currentDist;
+            const x2 = x + Math.sin(angle) * (currentDist - 8 * scale);
+            const y2 = y - Math.cos(angle) * (currentDist - 8 * scale);
+            const x3 = x2 + Math.sin(perpAngle) * flagWidth;
+            const y3 = y2 - Math.cos(perpAngle) * flagWidth;
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x3, y3);
+            ctx.lineTo(x2, y2);
+            ctx.closePath();
+            ctx.fill();
+
+            currentSpeed -= pennant;
+            currentDist -= 10 * scale;
+        }
+
+        // Full barbs
+        while (currentSpeed >= full - half / 2) {
+            const x1 = x + Math.sin(angle) * currentDist;
+            const y1 = y - Math.cos(angle) * currentDist;
+            const x2 = x1 + Math.sin(perpAngle) * flagWidth;
+            const y2 = y1 - Math.cos(perpAngle) * flagWidth;
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+
+            currentSpeed -= full;
+            currentDist -= 6 * scale;
+        }
+
+        // Half barb
+        if (currentSpeed >= half / 2) {
+            const x1 = x + Math.sin(angle) * currentDist;
+            const y1 = y - Math.cos(angle) * currentDist;
+            const x2 = x1 + Math.sin(perpAngle) * (flagWidth / 2);
+            const y2 = y1 - Math.cos(perpAngle) * (flagWidth / 2);
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}